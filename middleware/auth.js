@@ -0,0 +1,120 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return process.env.JWT_SECRET;
+};
+
+export const signAccessToken = (user) => jwt.sign(
+  { sub: String(user._id), role: user.role, ver: user.token_version, type: 'access' },
+  getSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+export const signRefreshToken = (user) => jwt.sign(
+  { sub: String(user._id), ver: user.token_version, type: 'refresh' },
+  getSecret(),
+  { expiresIn: REFRESH_TOKEN_TTL }
+);
+
+// Throws when the token is malformed, expired or of the wrong type
+export const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== type) {
+    throw new Error(`Expected a ${type} token`);
+  }
+  return payload;
+};
+
+// Who a Bearer access token belongs to. The account is loaded on every request, so
+// deactivating a user or bumping their token_version (logout, password or role change)
+// ends their sessions at once. Resolves to { user } or { status, error }.
+const resolveUser = async (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return { status: 401, error: "Authentication required" };
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token, 'access');
+  } catch (error) {
+    if (error.message.includes('JWT_SECRET')) {
+      console.error("❌ Auth configuration error:", error.message);
+      return { status: 500, error: "Authentication is not configured" };
+    }
+    return { status: 401, error: error.name === 'TokenExpiredError' ? "Token expired" : "Invalid token" };
+  }
+
+  const user = await User.findById(payload.sub).select('role active token_version').lean();
+  if (!user || !user.active || user.token_version !== payload.ver) {
+    return { status: 401, error: "Session is no longer valid, please log in again" };
+  }
+
+  // The stored role, so a role change applies straight away
+  return { user: { id: String(user._id), role: user.role } };
+};
+
+// Attach req.user from a Bearer access token; rejects the request without one
+export const authenticate = async (req, res, next) => {
+  let result;
+  try {
+    result = await resolveUser(req);
+  } catch (error) {
+    console.error("❌ Authentication Error:", error.message);
+    return res.status(500).json({ success: false, error: "Failed to authenticate: " + error.message });
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  req.user = result.user;
+  next();
+};
+
+// Like authenticate, but lets anonymous requests through without req.user. A missing,
+// bad or expired token is ignored, so a stale token left in a browser never breaks
+// public pages; only a server-side failure is reported.
+export const optionalAuthenticate = async (req, res, next) => {
+  if (!req.headers.authorization) return next();
+
+  let result;
+  try {
+    result = await resolveUser(req);
+  } catch (error) {
+    console.error("❌ Authentication Error:", error.message);
+    return res.status(500).json({ success: false, error: "Failed to authenticate: " + error.message });
+  }
+
+  if (result.status === 500) {
+    return res.status(500).json({ success: false, error: result.error });
+  }
+  if (result.user) req.user = result.user;
+  next();
+};
+
+// Allow the request through only for the given roles (use after authenticate)
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: "Insufficient permissions"
+    });
+  }
+  next();
+};
+
+// Shorthand for authenticate + authorize
+export const requireRole = (...roles) => [authenticate, authorize(...roles)];
+
+export default { authenticate, optionalAuthenticate, authorize, requireRole };
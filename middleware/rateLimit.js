@@ -0,0 +1,33 @@
+// Fixed-window, in-memory rate limiter keyed by client IP.
+// Counts live in this process only; behind a proxy set TRUST_PROXY so req.ip is the client.
+export const rateLimit = ({ windowMs = 15 * 60 * 1000, max = 5, message = 'Too many requests, please try again later' } = {}) => {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, error: message });
+    }
+    next();
+  };
+};
+
+export default rateLimit;
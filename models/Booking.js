@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { CONSULTATION_TYPES } from './Designer.js';
+
+export const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+
+const bookingSchema = new mongoose.Schema({
+  designer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Designer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: CONSULTATION_TYPES,
+    required: [true, 'Consultation type is required']
+  },
+  starts_at: {
+    type: Date,
+    required: true
+  },
+  ends_at: {
+    type: Date,
+    required: true
+  },
+  client: {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Client email is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email is invalid']
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  // Where a site visit takes place
+  address: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  inquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inquiry',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    default: 'confirmed'
+  },
+  cancelled_at: {
+    type: Date,
+    default: null
+  },
+  cancel_reason: {
+    type: String,
+    default: ''
+  },
+  reschedules: [{
+    _id: false,
+    from: Date,
+    to: Date,
+    changed_at: Date
+  }],
+  // Bumped on every change so calendar apps replace the old event
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the token the client uses to reschedule or cancel
+  manage_token_hash: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.manage_token_hash;
+      return ret;
+    }
+  }
+});
+
+bookingSchema.pre('validate', function () {
+  if (this.type === 'site_visit' && !this.address) {
+    this.invalidate('address', 'An address is required for site visits');
+  }
+});
+
+// The double-booking guard: one confirmed booking per designer per slot start
+bookingSchema.index(
+  { designer: 1, starts_at: 1 },
+  { unique: true, partialFilterExpression: { status: 'confirmed' } }
+);
+bookingSchema.index({ designer: 1, status: 1, starts_at: 1, ends_at: 1 });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+export default Booking;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { emitCatalogChanges } from '../services/catalogEvents.js';
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and hyphens']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Materialized path from the root down to the parent; used for descendant queries
+  ancestors: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  display_order: {
+    type: Number,
+    default: 0
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  image_url: {
+    type: String,
+    default: ''
+  },
+  image_public_id: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+emitCatalogChanges(categorySchema, 'category:changed');
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, display_order: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { isValidTimeZone, isCalendarDate } from '../utils/timezone.js';
+
+export const CONSULTATION_TYPES = ['showroom', 'site_visit'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// 'HH:MM' -> minutes after midnight
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A recurring working window, in the designer's own timezone
+const availabilitySchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  start: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Times must be HH:MM (24h)']
+  },
+  end: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'Times must be HH:MM (24h)']
+  }
+}, { _id: false });
+
+const blockedDateSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Blocked date is required'],
+    validate: [isCalendarDate, 'Blocked dates must be YYYY-MM-DD']
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const designerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Designer name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+    match: [/^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email is invalid']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  bio: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Bio cannot exceed 2000 characters']
+  },
+  photo_url: {
+    type: String,
+    default: ''
+  },
+  // Staff login linked to this designer, if any
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  consultation_types: {
+    type: [{ type: String, enum: CONSULTATION_TYPES }],
+    default: () => [...CONSULTATION_TYPES]
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: [isValidTimeZone, 'Unknown timezone']
+  },
+  slot_minutes: {
+    type: Number,
+    default: 60,
+    min: [15, 'Slots must be at least 15 minutes'],
+    max: [480, 'Slots cannot exceed 8 hours']
+  },
+  weekly_availability: {
+    type: [availabilitySchema],
+    default: []
+  },
+  blocked_dates: {
+    type: [blockedDateSchema],
+    default: []
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+designerSchema.pre('validate', function () {
+  this.weekly_availability.forEach((window, index) => {
+    if (TIME_PATTERN.test(window.start) && TIME_PATTERN.test(window.end) && toMinutes(window.end) <= toMinutes(window.start)) {
+      this.invalidate(`weekly_availability.${index}.end`, 'Availability must end after it starts');
+    }
+  });
+});
+
+const Designer = mongoose.model('Designer', designerSchema);
+
+export default Designer;
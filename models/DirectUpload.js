@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const DIRECT_UPLOAD_STATUSES = ['pending', 'confirmed', 'rejected', 'expired'];
+
+// A signed browser-to-storage upload; the asset may only be used once it is confirmed
+const directUploadSchema = new mongoose.Schema({
+  public_id: {
+    type: String,
+    required: true
+  },
+  resource_type: {
+    type: String,
+    enum: ['image', 'video'],
+    required: true
+  },
+  // The policy the upload was signed with
+  allowed_formats: {
+    type: [String],
+    default: []
+  },
+  max_bytes: {
+    type: Number,
+    required: true
+  },
+  original_filename: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: DIRECT_UPLOAD_STATUSES,
+    default: 'pending'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  // Filled in from the stored asset on confirmation
+  url: {
+    type: String,
+    default: ''
+  },
+  format: {
+    type: String,
+    default: ''
+  },
+  bytes: {
+    type: Number,
+    default: null
+  },
+  confirmed_at: {
+    type: Date,
+    default: null
+  },
+  rejection_reason: {
+    type: String,
+    default: ''
+  },
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+directUploadSchema.index({ public_id: 1 }, { unique: true });
+directUploadSchema.index({ status: 1, expires_at: 1 });
+
+const DirectUpload = mongoose.model('DirectUpload', directUploadSchema);
+
+export default DirectUpload;
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+export const INQUIRY_STATUSES = ['new', 'contacted', 'site_visit', 'quoted', 'won', 'lost'];
+
+// Allowed pipeline moves; a lost lead can be reopened
+export const INQUIRY_TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['site_visit', 'quoted', 'lost'],
+  site_visit: ['quoted', 'lost'],
+  quoted: ['site_visit', 'won', 'lost'],
+  won: [],
+  lost: ['new']
+};
+
+const noteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+const inquirySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+    match: [/^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email is invalid']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^$|^\+?[\d\s\-()]{7,20}$/, 'Phone number is invalid']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  room_type: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [50, 'Room type cannot exceed 50 characters']
+  },
+  status: {
+    type: String,
+    enum: INQUIRY_STATUSES,
+    default: 'new'
+  },
+  assigned_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: [noteSchema],
+    default: []
+  },
+  status_history: [{
+    _id: false,
+    status: String,
+    changed_at: Date,
+    changed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  // Where the lead came from, for spotting abuse
+  ip: {
+    type: String,
+    default: ''
+  },
+  user_agent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+inquirySchema.pre('validate', function () {
+  if (!this.email && !this.phone) {
+    this.invalidate('email', 'An email address or phone number is required');
+  }
+  if (this.products.length > 20) {
+    this.invalidate('products', 'An inquiry can reference at most 20 products');
+  }
+});
+
+inquirySchema.index({ status: 1, created_at: -1 });
+inquirySchema.index({ assigned_to: 1, status: 1 });
+
+const Inquiry = mongoose.model('Inquiry', inquirySchema);
+
+export default Inquiry;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+export const LOCATION_TYPES = ['warehouse', 'showroom'];
+
+// A place stock is held: a warehouse or a showroom
+const locationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Location code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: LOCATION_TYPES,
+      message: 'Location type must be one of: ' + LOCATION_TYPES.join(', ')
+    },
+    default: 'warehouse'
+  },
+  address: {
+    type: String,
+    default: '',
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+const Location = mongoose.model('Location', locationSchema);
+
+export default Location;
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+
+export const BOARD_ITEM_KINDS = ['product', 'image', 'swatch', 'note'];
+
+// Something placed on the canvas; which fields matter depends on `kind`
+const boardItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: {
+      values: BOARD_ITEM_KINDS,
+      message: 'Item kind must be one of: ' + BOARD_ITEM_KINDS.join(', ')
+    },
+    required: [true, 'Item kind is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  image_url: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Set when the image was uploaded for this board, so it is deleted with it
+  public_id: {
+    type: String,
+    default: ''
+  },
+  color: {
+    type: String,
+    default: '',
+    match: [/^$|^#[0-9a-fA-F]{6}$/, 'Colour must be a hex value like #A0522D']
+  },
+  label: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  text: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  // Placement on the canvas, in canvas pixels
+  x: { type: Number, default: 0 },
+  y: { type: Number, default: 0 },
+  width: { type: Number, default: null, min: [1, 'Width must be positive'] },
+  height: { type: Number, default: null, min: [1, 'Height must be positive'] },
+  scale: {
+    type: Number,
+    default: 1,
+    min: [0.05, 'Scale must be at least 0.05'],
+    max: [20, 'Scale cannot exceed 20']
+  },
+  rotation: {
+    type: Number,
+    default: 0,
+    min: [-360, 'Rotation must be between -360 and 360 degrees'],
+    max: [360, 'Rotation must be between -360 and 360 degrees']
+  },
+  z: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Read-only link; the token is the whole credential
+const shareSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  expires_at: {
+    type: Date,
+    default: null
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+const moodBoardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Board name is required'],
+    trim: true,
+    maxlength: [150, 'Board name cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  client_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  room_type: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  canvas: {
+    width: { type: Number, default: 1600, min: [100, 'Canvas width must be at least 100'] },
+    height: { type: Number, default: 1000, min: [100, 'Canvas height must be at least 100'] },
+    background: {
+      type: String,
+      default: '#FFFFFF',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Background must be a hex value like #FFFFFF']
+    }
+  },
+  items: {
+    type: [boardItemSchema],
+    default: []
+  },
+  shares: {
+    type: [shareSchema],
+    default: []
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+moodBoardSchema.pre('validate', function () {
+  if (this.items.length > 500) this.invalidate('items', 'A board can hold at most 500 items');
+
+  this.items.forEach((item, index) => {
+    const path = `items.${index}`;
+    if (item.kind === 'product' && !item.product) this.invalidate(`${path}.product`, 'Product items need a product');
+    if (item.kind === 'image' && !item.image_url) this.invalidate(`${path}.image_url`, 'Image items need an image_url');
+    if (item.kind === 'swatch' && !item.color) this.invalidate(`${path}.color`, 'Swatch items need a colour');
+    if (item.kind === 'note' && !item.text) this.invalidate(`${path}.text`, 'Note items need text');
+  });
+});
+
+moodBoardSchema.index({ 'shares.token': 1 });
+moodBoardSchema.index({ owner: 1, updated_at: -1 });
+
+const MoodBoard = mongoose.model('MoodBoard', moodBoardSchema);
+
+export default MoodBoard;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A category suggested alongside products of the rule's category
+const complementSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Complement category is required']
+  },
+  // Shown to shoppers, e.g. "Add a rug"; defaults to the category name
+  label: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  // Products to suggest from this category
+  limit: {
+    type: Number,
+    default: 2,
+    min: [1, 'Limit must be at least 1'],
+    max: [10, 'Limit cannot exceed 10']
+  }
+}, { _id: false });
+
+/**
+ * "Complete the room" configuration: products in `category` (or any of its
+ * subcategories without a rule of their own) get suggestions from `complements`.
+ */
+const pairingRuleSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  complements: {
+    type: [complementSchema],
+    validate: {
+      validator: (complements) => complements.length > 0 && complements.length <= 10,
+      message: 'A pairing rule needs between 1 and 10 complementary categories'
+    }
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+pairingRuleSchema.pre('validate', function () {
+  const ids = this.complements.map(complement => String(complement.category));
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('complements', 'Each complementary category may only be listed once');
+  }
+  if (ids.includes(String(this.category))) {
+    this.invalidate('complements', 'A category cannot complement itself');
+  }
+});
+
+pairingRuleSchema.index({ category: 1 }, { unique: true });
+
+const PairingRule = mongoose.model('PairingRule', pairingRuleSchema);
+
+export default PairingRule;
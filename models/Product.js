@@ -1,4 +1,119 @@
 import mongoose from 'mongoose';
+import { snapshotProduct, recordProductRevision } from '../services/productHistory.js';
+import { emitCatalogChanges } from '../services/catalogEvents.js';
+import { COLOR_FAMILIES, colorFamiliesFromMedia } from '../utils/color.js';
+
+export const MEDIA_TYPES = ['image', 'video'];
+export const MAX_TAGS = 20;
+// Only published products are shown to the public; see services/productLifecycle.js
+export const PRODUCT_STATUSES = ['draft', 'in_review', 'published', 'archived'];
+
+// Lowercased, trimmed and de-duplicated; accepts an array or a comma-separated string
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// One entry in a product's ordered media gallery
+const mediaSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Media URL is required'],
+    trim: true
+  },
+  public_id: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: {
+      values: MEDIA_TYPES,
+      message: 'Media type must be one of: ' + MEDIA_TYPES.join(', ')
+    },
+    default: 'image'
+  },
+  alt: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  is_primary: {
+    type: Boolean,
+    default: false
+  },
+  // Filled in for gallery images by services/mediaDerivatives.js after they are added
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Tiny blurred WebP as a data URI, shown while the real image loads
+  placeholder: {
+    type: String,
+    default: ''
+  },
+  // Dominant colours, most prominent first; share is the fraction of the image
+  palette: {
+    type: [{ _id: false, hex: String, share: Number }],
+    default: []
+  },
+  // Resized copies for srcset, e.g. { width: 640, format: 'webp', url }
+  derivatives: {
+    type: [{ _id: false, width: Number, format: String, url: String, public_id: String, bytes: Number }],
+    default: []
+  },
+  processed_at: {
+    type: Date,
+    default: null
+  },
+  processing_error: {
+    type: String,
+    default: ''
+  }
+});
+
+const ATTRIBUTE_KEY_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+// "Seat Height" -> "seat_height"; attribute keys are stored in this form
+export const normalizeAttributeKey = (key) => String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+export const isValidAttributeKey = (key) => ATTRIBUTE_KEY_PATTERN.test(key);
+
+// A purchasable configuration of a product (finish, material, size...)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+  // Free-form attributes, e.g. { color: 'Walnut', material: 'Oak' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  dimensions: {
+    width: { type: Number, min: [0, 'Width cannot be negative'] },
+    depth: { type: Number, min: [0, 'Depth cannot be negative'] },
+    height: { type: Number, min: [0, 'Height cannot be negative'] },
+    unit: { type: String, enum: ['cm', 'mm', 'in'], default: 'cm' }
+  },
+  price_new: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  media: {
+    type: [mediaSchema],
+    default: []
+  }
+});
 
 const productSchema = new mongoose.Schema({
   product_name: {
@@ -7,6 +122,13 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Product name cannot exceed 200 characters']
   },
+  // Optional catalog code; the upsert key for bulk imports
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
   price_new: {
     type: Number,
     required: [true, 'Price is required'],
@@ -24,11 +146,96 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Category cannot exceed 100 characters']
   },
+  // Category tree node; `category` holds its name (or a legacy free-text value when unset)
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
   description: {
     type: String,
     default: '',
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Free-form style/material keywords (e.g. "walnut", "mid-century"); used to find related products
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags,
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `A product can have at most ${MAX_TAGS} tags`
+    }
+  },
+  media: {
+    type: [mediaSchema],
+    default: []
+  },
+  // Colour families from the image palettes; kept in sync with `media` (see pre-validate)
+  colors: {
+    type: [{ type: String, enum: COLOR_FAMILIES }],
+    default: []
+  },
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
+  // Aggregated from approved reviews by services/reviews.js; never written by clients
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+    sum: { type: Number, default: 0 },
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    }
+  },
+  // Lifecycle; changed only through the status and schedule endpoints
+  status: {
+    type: String,
+    enum: {
+      values: PRODUCT_STATUSES,
+      message: 'Status must be one of: ' + PRODUCT_STATUSES.join(', ')
+    },
+    default: 'draft'
+  },
+  // Applied by the lifecycle scheduler: publish_at publishes, unpublish_at archives
+  publish_at: {
+    type: Date,
+    default: null
+  },
+  unpublish_at: {
+    type: Date,
+    default: null
+  },
+  // When the product last went live
+  published_at: {
+    type: Date,
+    default: null
+  },
+  // Why the last scheduled change failed; the scheduler leaves the product alone until schedule_retry_at
+  schedule_error: {
+    type: String,
+    default: ''
+  },
+  schedule_retry_at: {
+    type: Date,
+    default: null
+  },
+  // Soft delete: trashed products are hidden from queries (see excludeTrashed)
+  deleted_at: {
+    type: Date,
+    default: null
+  },
+  deleted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Derived from `media` for backward compatibility; see syncLegacyMediaFields
   image_url: {
     type: String,
     default: ''
@@ -41,13 +248,126 @@ const productSchema = new mongoose.Schema({
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
+  },
+  // Every save bumps __v and fails with a VersionError if someone else saved first
+  optimisticConcurrency: true
+});
+
+// Build gallery entries from the legacy single image/video fields
+export const mediaFromLegacyFields = ({ image_url, video_url }) => {
+  const media = [];
+  if (image_url) media.push({ url: image_url, type: 'image', is_primary: true });
+  if (video_url) media.push({ url: video_url, type: 'video', is_primary: !image_url });
+  return media;
+};
+
+// Replace the entry the legacy field currently points at when a client writes image_url/video_url
+productSchema.methods.applyLegacyMedia = function (field, url) {
+  const type = field === 'video_url' ? 'video' : 'image';
+  if ((this[field] || '') === (url || '')) return;
+
+  const current = this.media.find(item => item.type === type && item.url === this[field]);
+  if (current) {
+    this.media.pull(current._id);
+  }
+  if (url) {
+    this.media.unshift({ url, type, is_primary: type === 'image' });
+  }
+};
+
+// Keep exactly one primary entry and mirror the gallery into image_url/video_url
+productSchema.methods.syncLegacyMediaFields = function () {
+  if (this.media.length === 0 && (this.image_url || this.video_url)) {
+    this.media = mediaFromLegacyFields(this);
+  }
+
+  const primaries = this.media.filter(item => item.is_primary);
+  const primary = primaries[0] || this.media.find(item => item.type === 'image') || this.media[0];
+  this.media.forEach(item => {
+    item.is_primary = Boolean(primary) && item._id.equals(primary._id);
+  });
+
+  const primaryImage = primary && primary.type === 'image'
+    ? primary
+    : this.media.find(item => item.type === 'image');
+  const firstVideo = this.media.find(item => item.type === 'video');
+
+  this.image_url = primaryImage ? primaryImage.url : '';
+  this.video_url = firstVideo ? firstVideo.url : '';
+};
+
+productSchema.pre('validate', function () {
+  this.syncLegacyMediaFields();
+  this.colors = colorFamiliesFromMedia(this.media);
+
+  const skus = this.variants.map(variant => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique within a product');
+  }
+});
+
+// Hide trashed products from reads unless the filter names deleted_at itself
+// or the query opts in with .setOptions({ withDeleted: true })
+function excludeTrashed() {
+  if (this.options.withDeleted) {
+    delete this.options.withDeleted;
+    return;
   }
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted_at')) return;
+  this.where({ deleted_at: null });
+}
+
+productSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], excludeTrashed);
+
+// Change history: remember the loaded state, then record a diff after every save.
+// Writers pass who they are through product.$locals.actor.
+productSchema.post('init', function () {
+  this.$locals.historyBase = snapshotProduct(this);
 });
 
+productSchema.post('save', async function () {
+  try {
+    await recordProductRevision(this);
+  } catch (error) {
+    console.error(`❌ Failed to record history for product ${this._id}:`, error.message);
+  }
+});
+
+emitCatalogChanges(productSchema, 'product:changed');
+
 // Index for better query performance
 productSchema.index({ category: 1, brand: 1 });
 productSchema.index({ created_at: -1 });
 
+// Weighted full-text index backing GET /products/search
+productSchema.index(
+  { product_name: 'text', brand: 'text', category: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { product_name: 10, brand: 5, category: 3, description: 1 }
+  }
+);
+productSchema.index({ product_name: 1 });
+productSchema.index({ brand: 1 });
+productSchema.index({ category_id: 1, created_at: -1 });
+productSchema.index({ 'rating.average': -1, _id: -1 });
+productSchema.index({ tags: 1 });
+productSchema.index({ colors: 1 });
+productSchema.index({ status: 1, created_at: -1 });
+productSchema.index({ publish_at: 1 }, { partialFilterExpression: { publish_at: { $type: 'date' } } });
+productSchema.index({ unpublish_at: 1 }, { partialFilterExpression: { unpublish_at: { $type: 'date' } } });
+productSchema.index({ deleted_at: 1 }, { partialFilterExpression: { deleted_at: { $type: 'date' } } });
+
+// SKUs are unique across the whole catalog
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
 const Product = mongoose.model('Product', productSchema);
  
 export default Product; 
\ No newline at end of file
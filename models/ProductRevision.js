@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert', 'purge'];
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only history of every write to a product
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // 1, 2, 3... per product
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  // The whole product as it stood after this revision; reverts restore from here
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reverted_from: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  },
+  minimize: false
+});
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+const ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
+
+export default ProductRevision;
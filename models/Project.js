@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { MEDIA_TYPES } from './Product.js';
+
+export const MEDIA_PHASES = ['before', 'after', 'progress'];
+
+// A photo or video of the project, tagged with when it was taken and which room it shows
+const projectMediaSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Media URL is required'],
+    trim: true
+  },
+  public_id: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: {
+      values: MEDIA_TYPES,
+      message: 'Media type must be one of: ' + MEDIA_TYPES.join(', ')
+    },
+    default: 'image'
+  },
+  phase: {
+    type: String,
+    enum: {
+      values: MEDIA_PHASES,
+      message: 'Media phase must be one of: ' + MEDIA_PHASES.join(', ')
+    },
+    default: 'after'
+  },
+  room: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  caption: {
+    type: String,
+    default: '',
+    maxlength: [300, 'Caption cannot exceed 300 characters']
+  },
+  alt: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  }
+});
+
+const projectSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Project title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Project slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and hyphens']
+  },
+  summary: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Summary cannot exceed 500 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [10000, 'Description cannot exceed 10000 characters']
+  },
+  // City/area only; never the client's name or street address
+  location: {
+    city: { type: String, trim: true, default: '' },
+    region: { type: String, trim: true, default: '' }
+  },
+  style_tags: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+  // Room types covered, e.g. living_room, kitchen
+  rooms: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+  media: {
+    type: [projectMediaSchema],
+    default: []
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  completed_at: {
+    type: Date,
+    default: null
+  },
+  is_published: {
+    type: Boolean,
+    default: false
+  },
+  display_order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Cover image for listings: the first "after" image, else any image
+export const coverUrl = (project) => {
+  const images = (project.media || []).filter(item => item.type === 'image');
+  const cover = images.find(item => item.phase === 'after') || images[0];
+  return cover ? cover.url : '';
+};
+
+projectSchema.index({ is_published: 1, display_order: 1, completed_at: -1 });
+projectSchema.index({ style_tags: 1 });
+projectSchema.index({ rooms: 1 });
+projectSchema.index({ products: 1 });
+
+const Project = mongoose.model('Project', projectSchema);
+
+export default Project;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [150, 'Promotion name cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  discount_type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: [true, 'Discount type is required']
+  },
+  // Percent off (0-100) or a fixed amount off the price
+  discount_value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative']
+  },
+  starts_at: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  ends_at: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // What the promotion covers; a category also covers all of its subcategories
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  // Switch a promotion off without deleting it
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+promotionSchema.pre('validate', function () {
+  if (this.discount_type === 'percentage' && this.discount_value > 100) {
+    this.invalidate('discount_value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.starts_at && this.ends_at && this.ends_at <= this.starts_at) {
+    this.invalidate('ends_at', 'End date must be after the start date');
+  }
+  if (this.products.length + this.categories.length + this.brands.length === 0) {
+    this.invalidate('products', 'Select at least one product, category or brand');
+  }
+});
+
+promotionSchema.index({ is_active: 1, starts_at: 1, ends_at: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+
+export const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'rejected'];
+
+// Allowed status changes; a sent quote only goes back to draft through a revision,
+// so what the client was sent is always kept
+export const QUOTE_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: []
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percent', 'amount'],
+    default: 'percent'
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Snapshots taken when the line is added, so later catalog edits don't change the quote
+  product_name: {
+    type: String,
+    required: [true, 'Line item name is required'],
+    trim: true,
+    maxlength: [200, 'Line item name cannot exceed 200 characters']
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Line item description cannot exceed 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Quantity must be greater than zero']
+  },
+  unit_price: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative']
+  },
+  discount: {
+    type: discountSchema,
+    default: () => ({})
+  },
+  // Flat charge for installing this line
+  installation_charge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Installation charge cannot be negative']
+  },
+  tax_rate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  // Computed
+  subtotal: { type: Number, default: 0 },
+  discount_amount: { type: Number, default: 0 },
+  tax_amount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 }
+});
+
+const roomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Room name is required'],
+    trim: true,
+    maxlength: [100, 'Room name cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Room notes cannot exceed 1000 characters']
+  },
+  items: {
+    type: [lineItemSchema],
+    default: []
+  },
+  total: { type: Number, default: 0 }
+});
+
+// Labour not tied to a single product (carpentry, painting, site supervision...)
+const labourSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Labour description is required'],
+    trim: true,
+    maxlength: [200, 'Labour description cannot exceed 200 characters']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Labour amount cannot be negative']
+  },
+  tax_rate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  }
+});
+
+const totalsSchema = new mongoose.Schema({
+  subtotal: { type: Number, default: 0 },
+  discount_total: { type: Number, default: 0 },
+  installation_total: { type: Number, default: 0 },
+  labour_total: { type: Number, default: 0 },
+  tax_total: { type: Number, default: 0 },
+  grand_total: { type: Number, default: 0 }
+}, { _id: false });
+
+const clientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+  },
+  email: { type: String, trim: true, lowercase: true, default: '' },
+  phone: { type: String, trim: true, default: '' },
+  address: { type: String, trim: true, default: '', maxlength: [300, 'Address cannot exceed 300 characters'] }
+}, { _id: false });
+
+// Frozen copy of an earlier version of the quote
+const revisionSchema = new mongoose.Schema({
+  version: Number,
+  status: String,
+  client: clientSchema,
+  rooms: [roomSchema],
+  labour: [labourSchema],
+  notes: String,
+  valid_until: Date,
+  totals: totalsSchema,
+  revised_at: Date,
+  revised_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  quote_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: {
+      values: QUOTE_STATUSES,
+      message: 'Status must be one of: ' + QUOTE_STATUSES.join(', ')
+    },
+    default: 'draft'
+  },
+  client: {
+    type: clientSchema,
+    required: [true, 'Client details are required']
+  },
+  rooms: {
+    type: [roomSchema],
+    default: []
+  },
+  labour: {
+    type: [labourSchema],
+    default: []
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  notes: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  valid_until: {
+    type: Date
+  },
+  totals: {
+    type: totalsSchema,
+    default: () => ({})
+  },
+  revisions: {
+    type: [revisionSchema],
+    default: []
+  },
+  status_history: [{
+    _id: false,
+    status: String,
+    changed_at: Date,
+    changed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Recompute every line, room and quote total from the stored inputs
+quoteSchema.methods.computeTotals = function () {
+  const totals = {
+    subtotal: 0,
+    discount_total: 0,
+    installation_total: 0,
+    labour_total: 0,
+    tax_total: 0,
+    grand_total: 0
+  };
+
+  this.rooms.forEach(room => {
+    let roomTotal = 0;
+    room.items.forEach(item => {
+      const subtotal = round2(item.quantity * item.unit_price);
+      const discount = item.discount || {};
+      const discountAmount = round2(Math.min(subtotal, discount.type === 'amount'
+        ? discount.value || 0
+        : subtotal * (discount.value || 0) / 100));
+      const taxable = subtotal - discountAmount + item.installation_charge;
+      const taxAmount = round2(taxable * item.tax_rate / 100);
+
+      item.subtotal = subtotal;
+      item.discount_amount = discountAmount;
+      item.tax_amount = taxAmount;
+      item.total = round2(taxable + taxAmount);
+
+      totals.subtotal += subtotal;
+      totals.discount_total += discountAmount;
+      totals.installation_total += item.installation_charge;
+      totals.tax_total += taxAmount;
+      roomTotal += item.total;
+    });
+    room.total = round2(roomTotal);
+  });
+
+  this.labour.forEach(line => {
+    totals.labour_total += line.amount;
+    totals.tax_total += round2(line.amount * line.tax_rate / 100);
+  });
+
+  Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+  totals.grand_total = round2(
+    totals.subtotal - totals.discount_total + totals.installation_total + totals.labour_total + totals.tax_total
+  );
+  this.totals = totals;
+};
+
+quoteSchema.pre('validate', function () {
+  this.computeTotals();
+});
+
+quoteSchema.index({ status: 1, created_at: -1 });
+quoteSchema.index({ 'client.email': 1 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+export default Quote;
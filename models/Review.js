@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+export const MAX_REVIEW_PHOTOS = 6;
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: [Number.isInteger, 'Rating must be a whole number of stars']
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [5000, 'Review cannot exceed 5000 characters']
+  },
+  author_name: {
+    type: String,
+    required: [true, 'Your name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Never shown publicly
+  author_email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+    match: [/^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email is invalid']
+  },
+  photos: [{
+    _id: false,
+    url: { type: String, required: true },
+    public_id: { type: String, default: '' }
+  }],
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderated_at: {
+    type: Date,
+    default: null
+  },
+  rejection_reason: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+reviewSchema.pre('validate', function () {
+  if (this.photos.length > MAX_REVIEW_PHOTOS) {
+    this.invalidate('photos', `A review can have at most ${MAX_REVIEW_PHOTOS} photos`);
+  }
+});
+
+reviewSchema.index({ product: 1, status: 1, created_at: -1 });
+reviewSchema.index({ status: 1, created_at: 1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
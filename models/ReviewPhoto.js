@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// A photo uploaded through /api/upload/review-photo. Reviews may only use photos recorded
+// here, each photo belongs to the first review that uses it, and deleting a review only
+// deletes the photos it owns.
+const reviewPhotoSchema = new mongoose.Schema({
+  public_id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  resource_type: {
+    type: String,
+    default: 'image'
+  },
+  // The review using this photo; null until the review is submitted
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+reviewPhotoSchema.index({ public_id: 1 }, { unique: true });
+reviewPhotoSchema.index({ review: 1 });
+
+const ReviewPhoto = mongoose.model('ReviewPhoto', reviewPhotoSchema);
+
+export default ReviewPhoto;
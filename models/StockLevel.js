@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Quantity of one product (or variant) held at one location
+const stockLevelSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // null when the product has no variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  on_hand: {
+    type: Number,
+    default: 0,
+    min: [0, 'On-hand quantity cannot be negative']
+  },
+  // Held by active reservations; always <= on_hand
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative']
+  },
+  low_stock_threshold: {
+    type: Number,
+    default: 2,
+    min: [0, 'Low-stock threshold cannot be negative']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stockLevelSchema.virtual('available').get(function () {
+  return this.on_hand - this.reserved;
+});
+
+stockLevelSchema.index({ product: 1, variant: 1, location: 1 }, { unique: true });
+stockLevelSchema.index({ location: 1 });
+
+const StockLevel = mongoose.model('StockLevel', stockLevelSchema);
+
+export default StockLevel;
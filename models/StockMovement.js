@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+export const MOVEMENT_TYPES = ['receipt', 'adjustment', 'sale', 'reservation', 'release', 'expiry'];
+
+// Append-only ledger of every stock change
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change to on_hand (receipt/adjustment/sale) or reserved (reservation/release/expiry)
+  quantity: {
+    type: Number,
+    required: true
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation',
+    default: null
+  },
+  reference: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  }
+});
+
+stockMovementSchema.index({ product: 1, created_at: -1 });
+stockMovementSchema.index({ location: 1, created_at: -1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
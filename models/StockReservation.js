@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+
+// Stock held for a pending order or quote until it is sold, released or expires
+const stockReservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Reservation quantity must be at least 1']
+  },
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'active'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  reference: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+stockReservationSchema.index({ status: 1, expires_at: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
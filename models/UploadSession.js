@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+export const UPLOAD_SESSION_STATUSES = ['uploading', 'assembling', 'complete', 'failed', 'aborted'];
+
+// A resumable upload sent in fixed-size chunks and assembled on completion
+const uploadSessionSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  total_bytes: {
+    type: Number,
+    required: true,
+    min: [1, 'The file cannot be empty']
+  },
+  chunk_size: {
+    type: Number,
+    required: true
+  },
+  total_chunks: {
+    type: Number,
+    required: true
+  },
+  // Hex SHA-256 of the whole file, checked after assembly
+  checksum: {
+    type: String,
+    required: [true, 'checksum (SHA-256) is required'],
+    lowercase: true,
+    match: [/^[a-f0-9]{64}$/, 'checksum must be a hex SHA-256 digest']
+  },
+  received_chunks: {
+    type: [Number],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: UPLOAD_SESSION_STATUSES,
+    default: 'uploading'
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  // The stored asset once complete, shaped like the POST /upload response
+  result: {
+    url: String,
+    public_id: String,
+    resource_type: String,
+    format: String,
+    bytes: Number
+  },
+  // Pushed forward by every chunk; stale sessions are cleaned up
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+uploadSessionSchema.index({ status: 1, expires_at: 1 });
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
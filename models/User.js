@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+export const USER_ROLES = ['admin', 'editor', 'viewer'];
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    default: ''
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email is invalid']
+  },
+  password_hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: USER_ROLES,
+      message: 'Role must be one of: ' + USER_ROLES.join(', ')
+    },
+    default: 'viewer'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped to invalidate every refresh token issued before it
+  token_version: {
+    type: Number,
+    default: 0
+  },
+  last_login_at: {
+    type: Date
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+userSchema.methods.setPassword = async function (password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+  this.password_hash = await bcrypt.hash(password, 12);
+};
+
+userSchema.methods.verifyPassword = function (password) {
+  if (!this.password_hash || typeof password !== 'string') return Promise.resolve(false);
+  return bcrypt.compare(password, this.password_hash);
+};
+
+userSchema.methods.toJSON = function () {
+  const { password_hash, __v, ...user } = this.toObject();
+  return user;
+};
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from './WebhookSubscription.js';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One try at sending a delivery
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  // null when the request never got a response (timeout, DNS, refused connection)
+  status_code: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  duration_ms: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// One event sent to one subscription, retried until it succeeds or runs out of attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  // Shared by every delivery (and redelivery) of the same event, so receivers can de-duplicate
+  event_id: {
+    type: String,
+    required: true
+  },
+  // The exact body sent on every attempt
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  next_attempt_at: {
+    type: Date,
+    default: null
+  },
+  // Start of the last response body, to help debug a failing receiver
+  response_body: {
+    type: String,
+    default: ''
+  },
+  delivered_at: {
+    type: Date,
+    default: null
+  },
+  redelivery_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  minimize: false
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ subscription: 1, created_at: -1 });
+webhookDeliverySchema.index({ created_at: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
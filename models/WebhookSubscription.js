@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = ['product.created', 'product.updated', 'product.deleted', 'upload.deleted'];
+
+// Plain http is only accepted outside production, for local receivers
+const isValidWebhookUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || (protocol === 'http:' && process.env.NODE_ENV !== 'production');
+  } catch (error) {
+    return false;
+  }
+};
+
+// An external system that is sent the listed events; see services/webhooks.js
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    validate: {
+      validator: isValidWebhookUrl,
+      message: 'Webhook URL must be an https:// URL'
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: 'Event must be one of: ' + WEBHOOK_EVENTS.join(', ')
+      }
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    },
+    set: (events) => [...new Set(events)]
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // HMAC key for the X-Webhook-Signature header; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Inactive subscriptions get no new deliveries
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+webhookSubscriptionSchema.index({ events: 1, is_active: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+export default WebhookSubscription;
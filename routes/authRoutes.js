@@ -0,0 +1,298 @@
+import express from "express";
+import mongoose from 'mongoose';
+import User, { USER_ROLES } from "../models/User.js";
+import { authenticate, requireRole, signAccessToken, signRefreshToken, verifyToken } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+
+const router = express.Router();
+
+// Slows down password guessing; counted per address, failed and successful attempts alike
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT) || 10,
+  message: "Too many login attempts from this address, please try again later"
+});
+
+const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  tokenType: "Bearer"
+});
+
+// LOGIN with email and password
+router.post("/auth/login", loginLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Email and password are required"
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+password_hash');
+    const valid = user && user.active && await user.verifyPassword(password);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid email or password"
+      });
+    }
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    console.log(`🔐 User logged in: ${user.email} (${user.role})`);
+    res.json({
+      success: true,
+      ...issueTokens(user),
+      user
+    });
+  } catch (err) {
+    console.error("❌ Login Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log in: " + err.message
+    });
+  }
+});
+
+// REFRESH an access token and rotate the refresh token. Each refresh token works once:
+// using it bumps token_version, which revokes it (and earlier access tokens) so a
+// stolen copy cannot be replayed after the owner has refreshed.
+router.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "refreshToken is required"
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token"
+      });
+    }
+
+    // Conditional on the version in the token, so two refreshes with the same token cannot both succeed
+    const user = await User.findOneAndUpdate(
+      { _id: payload.sub, active: true, token_version: payload.ver },
+      { $inc: { token_version: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token"
+      });
+    }
+
+    res.json({
+      success: true,
+      ...issueTokens(user),
+      user
+    });
+  } catch (err) {
+    console.error("❌ Refresh Token Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh token: " + err.message
+    });
+  }
+});
+
+// LOGOUT everywhere by revoking outstanding access and refresh tokens
+router.post("/auth/logout", authenticate, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { token_version: 1 } });
+    res.json({
+      success: true,
+      message: "Logged out successfully"
+    });
+  } catch (err) {
+    console.error("❌ Logout Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log out: " + err.message
+    });
+  }
+});
+
+// CURRENT USER
+router.get("/auth/me", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.active) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    console.error("❌ Get Current User Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user: " + err.message
+    });
+  }
+});
+
+// LIST USERS (admin)
+router.get("/users", requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ created_at: -1 });
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (err) {
+    console.error("❌ Get Users Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch users: " + err.message
+    });
+  }
+});
+
+// CREATE USER (admin)
+router.post("/users", requireRole('admin'), async (req, res) => {
+  try {
+    const { email, password, name = '', role = 'viewer' } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: email, password"
+      });
+    }
+
+    const user = new User({ email, name, role });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`✅ User created: ${user.email} (${user.role})`);
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      data: user
+    });
+  } catch (err) {
+    console.error("❌ Create User Error:", err.message);
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A user with this email already exists"
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed: " + errors.join(', ')
+      });
+    }
+
+    if (err.message.startsWith('Password')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create user: " + err.message
+    });
+  }
+});
+
+// UPDATE USER role, status or password (admin)
+router.patch("/users/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID format"
+      });
+    }
+
+    const { name, role, active, password } = req.body || {};
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: "Role must be one of: " + USER_ROLES.join(', ')
+      });
+    }
+
+    if (userId === req.user.id && (role !== undefined && role !== 'admin' || active === false)) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot demote or deactivate your own account"
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) {
+      await user.setPassword(password);
+    }
+    // Any change to credentials, role or status revokes existing sessions
+    if (role !== undefined || active !== undefined || password !== undefined) {
+      user.token_version += 1;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      data: user
+    });
+  } catch (err) {
+    console.error("❌ Update User Error:", err.message);
+
+    if (err.name === 'ValidationError' || err.message.startsWith('Password')) {
+      return res.status(400).json({
+        success: false,
+        error: err.name === 'ValidationError'
+          ? "Validation failed: " + Object.values(err.errors).map(error => error.message).join(', ')
+          : err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update user: " + err.message
+    });
+  }
+});
+
+export default router;
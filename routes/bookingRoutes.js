@@ -0,0 +1,195 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Booking, { BOOKING_STATUSES } from "../models/Booking.js";
+import Designer from "../models/Designer.js";
+import {
+  createBooking,
+  rescheduleBooking,
+  cancelBooking,
+  manageTokenMatches
+} from "../services/bookings.js";
+import { bookingToIcs } from "../services/ics.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const bookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many booking requests from this address, please try again later"
+});
+
+const handleBookingError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Booking Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} booking: ` + err.message
+  });
+};
+
+const calendarUrl = (booking, token) => `/api/bookings/${booking._id}/calendar.ics?token=${encodeURIComponent(token)}`;
+
+// The client's manage token may arrive as ?token=, in the body or as X-Booking-Token
+const manageTokenOf = (req) => req.query.token || (req.body && req.body.token) || req.get('X-Booking-Token');
+
+/**
+ * Load a booking for either staff (any role; `write` needs admin/editor) or the client
+ * holding its manage token. Anyone else gets a 404, so booking ids cannot be probed.
+ */
+const loadBooking = async (req, { write = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw new HttpError(400, "Invalid booking ID format");
+
+  const booking = await Booking.findById(req.params.id).select('+manage_token_hash');
+  if (!booking) throw new HttpError(404, "Booking not found");
+
+  const staffRoles = write ? ['admin', 'editor'] : ['admin', 'editor', 'viewer'];
+  const isStaff = Boolean(req.user && staffRoles.includes(req.user.role));
+  if (!isStaff && !manageTokenMatches(booking, manageTokenOf(req))) {
+    throw new HttpError(404, "Booking not found");
+  }
+
+  return booking;
+};
+
+const designerOf = async (booking) => {
+  const designer = await Designer.findById(booking.designer);
+  if (!designer) throw new HttpError(409, "The designer for this booking no longer exists");
+  return designer;
+};
+
+// BOOK A CONSULTATION (public)
+router.post("/bookings", bookingLimiter, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!body.designer || !body.type || !body.starts_at || !body.client) {
+      throw new HttpError(400, "Missing required fields: designer, type, starts_at, client");
+    }
+    if (!mongoose.Types.ObjectId.isValid(body.designer)) throw new HttpError(400, "Invalid designer ID format");
+
+    const designer = await Designer.findById(body.designer);
+    if (!designer) throw new HttpError(404, "Designer not found");
+
+    const { booking, token } = await createBooking(designer, body);
+
+    console.log(`📅 Booking ${booking._id} with ${designer.name} at ${booking.starts_at.toISOString()}`);
+    res.status(201).json({
+      success: true,
+      message: "Consultation booked",
+      data: booking,
+      // Shown once: the client needs it to view, reschedule or cancel
+      manage_token: token,
+      calendar_url: calendarUrl(booking, token)
+    });
+  } catch (err) {
+    handleBookingError(res, err, 'Create');
+  }
+});
+
+// LIST BOOKINGS (staff; designer, status, from, to)
+router.get("/bookings", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const { designer, status, from, to } = req.query;
+    const filter = {};
+
+    if (designer !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(designer)) throw new HttpError(400, "Invalid designer ID format");
+      filter.designer = designer;
+    }
+    if (status !== undefined) {
+      if (!BOOKING_STATUSES.includes(status)) {
+        throw new HttpError(400, "status must be one of: " + BOOKING_STATUSES.join(', '));
+      }
+      filter.status = status;
+    }
+    [['from', '$gte'], ['to', '$lt']].forEach(([bound, operator]) => {
+      if (req.query[bound] === undefined) return;
+      const date = new Date(req.query[bound]);
+      if (Number.isNaN(date.getTime())) throw new HttpError(400, `${bound} must be a valid date`);
+      filter.starts_at = { ...filter.starts_at, [operator]: date };
+    });
+    if (from === undefined && to === undefined) filter.starts_at = { $gte: new Date() };
+
+    const bookings = await Booking.find(filter)
+      .sort({ starts_at: 1 })
+      .limit(500)
+      .populate('designer', 'name')
+      .lean();
+
+    res.json({ success: true, count: bookings.length, data: bookings });
+  } catch (err) {
+    handleBookingError(res, err, 'Fetch');
+  }
+});
+
+// GET BOOKING (staff, or the client with its token)
+router.get("/bookings/:id", optionalAuthenticate, async (req, res) => {
+  try {
+    const booking = await loadBooking(req);
+    await booking.populate('designer', 'name photo_url timezone');
+    res.json({ success: true, data: booking });
+  } catch (err) {
+    handleBookingError(res, err, 'Fetch');
+  }
+});
+
+// CALENDAR FILE (.ics) for the booking; cancelled bookings yield a cancellation
+router.get("/bookings/:id/calendar.ics", optionalAuthenticate, async (req, res) => {
+  try {
+    const booking = await loadBooking(req);
+    const designer = await designerOf(booking);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="consultation-${booking._id}.ics"`);
+    res.send(bookingToIcs(booking, designer));
+  } catch (err) {
+    handleBookingError(res, err, 'Export');
+  }
+});
+
+// RESCHEDULE to another free slot
+router.post("/bookings/:id/reschedule", optionalAuthenticate, bookingLimiter, async (req, res) => {
+  try {
+    const { starts_at } = req.body || {};
+    if (!starts_at) throw new HttpError(400, "Missing required field: starts_at");
+
+    const booking = await loadBooking(req, { write: true });
+    await rescheduleBooking(booking, await designerOf(booking), starts_at);
+
+    res.json({
+      success: true,
+      message: "Booking rescheduled",
+      data: booking
+    });
+  } catch (err) {
+    handleBookingError(res, err, 'Reschedule');
+  }
+});
+
+// CANCEL
+router.post("/bookings/:id/cancel", optionalAuthenticate, async (req, res) => {
+  try {
+    const booking = await loadBooking(req, { write: true });
+    await cancelBooking(booking, (req.body && req.body.reason) || '');
+
+    res.json({
+      success: true,
+      message: "Booking cancelled",
+      data: booking
+    });
+  } catch (err) {
+    handleBookingError(res, err, 'Cancel');
+  }
+});
+
+export default router;
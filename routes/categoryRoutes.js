@@ -0,0 +1,229 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import {
+  slugify,
+  resolveCategory,
+  descendantIds,
+  buildTree,
+  moveCategory,
+  syncProductCategoryNames
+} from "../services/categories.js";
+import { removeMediaAssets } from "../storage/index.js";
+import { assertUploadsConfirmed } from "../services/directUploads.js";
+import { requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const handleCategoryError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Category Error:`, err.message);
+
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: "A category with this slug already exists" });
+  }
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} category: ` + err.message
+  });
+};
+
+const findCategoryOr404 = async (ref) => {
+  const category = await resolveCategory(ref);
+  if (!category) throw new HttpError(404, "Category not found");
+  return category;
+};
+
+// WHOLE CATEGORY TREE
+router.get("/categories/tree", async (req, res) => {
+  try {
+    const categories = await Category.find({}).lean();
+    res.json({
+      success: true,
+      count: categories.length,
+      data: buildTree(categories)
+    });
+  } catch (err) {
+    handleCategoryError(res, err, 'Fetch');
+  }
+});
+
+// FLAT CATEGORY LIST (optionally the direct children of ?parent=)
+router.get("/categories", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.parent !== undefined) {
+      if (req.query.parent === 'root') {
+        filter.parent = null;
+      } else {
+        filter.parent = (await findCategoryOr404(req.query.parent))._id;
+      }
+    }
+
+    const categories = await Category.find(filter).sort({ display_order: 1, name: 1 }).lean();
+    res.json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (err) {
+    handleCategoryError(res, err, 'Fetch');
+  }
+});
+
+// SINGLE CATEGORY by id or slug, with its breadcrumb and direct children
+router.get("/categories/:ref", async (req, res) => {
+  try {
+    const category = await findCategoryOr404(req.params.ref);
+
+    const [ancestors, children, productCount] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select('name slug').lean(),
+      Category.find({ parent: category._id }).sort({ display_order: 1, name: 1 }).lean(),
+      Product.countDocuments({ category_id: { $in: await descendantIds(category._id) }, status: 'published' })
+    ]);
+
+    // Keep the breadcrumb in root-to-parent order
+    const breadcrumb = category.ancestors
+      .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+      .filter(Boolean);
+
+    res.json({
+      success: true,
+      data: {
+        ...category.toObject(),
+        breadcrumb,
+        children,
+        product_count: productCount
+      }
+    });
+  } catch (err) {
+    handleCategoryError(res, err, 'Fetch');
+  }
+});
+
+// CREATE CATEGORY
+router.post("/categories", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { name, slug, parent = null, display_order = 0, description = '', image_url = '', image_public_id = '' } = req.body || {};
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: "Missing required field: name" });
+    }
+
+    await assertUploadsConfirmed([image_url]);
+
+    let ancestors = [];
+    if (parent) {
+      if (!mongoose.Types.ObjectId.isValid(parent)) throw new HttpError(400, "Invalid parent ID format");
+      const parentCategory = await Category.findById(parent).lean();
+      if (!parentCategory) throw new HttpError(400, "Parent category not found");
+      ancestors = [...parentCategory.ancestors, parentCategory._id];
+    }
+
+    const category = await Category.create({
+      name,
+      slug: slug ? slugify(slug) : slugify(name),
+      parent: parent || null,
+      ancestors,
+      display_order,
+      description,
+      image_url,
+      image_public_id
+    });
+
+    console.log(`✅ Category created: ${category.slug}`);
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      data: category
+    });
+  } catch (err) {
+    handleCategoryError(res, err, 'Create');
+  }
+});
+
+// UPDATE CATEGORY (fields sent only; `parent` moves the whole subtree)
+router.put("/categories/:id", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new HttpError(400, "Invalid category ID format");
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) throw new HttpError(404, "Category not found");
+
+    const body = req.body || {};
+    await assertUploadsConfirmed([body.image_url]);
+    const renamed = body.name !== undefined && body.name !== category.name;
+    const previousImage = { url: category.image_url, public_id: category.image_public_id };
+
+    ['name', 'display_order', 'description', 'image_url', 'image_public_id'].forEach(field => {
+      if (body[field] !== undefined) category[field] = body[field];
+    });
+    if (body.slug !== undefined) category.slug = slugify(body.slug);
+
+    if (body.parent !== undefined && String(body.parent || '') !== String(category.parent || '')) {
+      await moveCategory(category, body.parent);
+    } else {
+      await category.save();
+    }
+
+    if (renamed) await syncProductCategoryNames(category, req.user.id);
+    if (body.image_url !== undefined && previousImage.url && previousImage.url !== category.image_url) {
+      await removeMediaAssets([previousImage]);
+    }
+
+    res.json({
+      success: true,
+      message: "Category updated successfully",
+      data: category
+    });
+  } catch (err) {
+    handleCategoryError(res, err, 'Update');
+  }
+});
+
+// DELETE CATEGORY (only when it has no children and no products)
+router.delete("/categories/:id", requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new HttpError(400, "Invalid category ID format");
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) throw new HttpError(404, "Category not found");
+
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category_id: category._id }).setOptions({ withDeleted: true })
+    ]);
+
+    if (childCount > 0 || productCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Category still has ${childCount} subcategories and ${productCount} products`
+      });
+    }
+
+    await category.deleteOne();
+    await removeMediaAssets([{ url: category.image_url, public_id: category.image_public_id }]);
+
+    res.json({
+      success: true,
+      message: "Category deleted successfully"
+    });
+  } catch (err) {
+    handleCategoryError(res, err, 'Delete');
+  }
+});
+
+export default router;
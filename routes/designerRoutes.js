@@ -0,0 +1,171 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Designer from "../models/Designer.js";
+import { findFreeSlots } from "../services/bookings.js";
+import { assertUploadsConfirmed } from "../services/directUploads.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+import { isValidTimeZone, isCalendarDate } from "../utils/timezone.js";
+
+const router = express.Router();
+
+const DESIGNER_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'bio',
+  'photo_url',
+  'user',
+  'consultation_types',
+  'timezone',
+  'slot_minutes',
+  'weekly_availability',
+  'blocked_dates',
+  'is_active'
+];
+// What anonymous visitors see
+const PUBLIC_FIELDS = 'name bio photo_url consultation_types timezone slot_minutes';
+
+const isStaff = (req) => Boolean(req.user && ['admin', 'editor', 'viewer'].includes(req.user.role));
+
+const handleDesignerError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Designer Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} designer: ` + err.message
+  });
+};
+
+const findDesignerOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid designer ID format");
+  const designer = await Designer.findById(id);
+  if (!designer) throw new HttpError(404, "Designer not found");
+  return designer;
+};
+
+// LIST DESIGNERS (staff also see inactive ones and contact details)
+router.get("/designers", optionalAuthenticate, async (req, res) => {
+  try {
+    const designers = isStaff(req)
+      ? await Designer.find({}).sort({ name: 1 }).lean()
+      : await Designer.find({ is_active: true }).select(PUBLIC_FIELDS).sort({ name: 1 }).lean();
+
+    res.json({ success: true, count: designers.length, data: designers });
+  } catch (err) {
+    handleDesignerError(res, err, 'Fetch');
+  }
+});
+
+// GET DESIGNER
+router.get("/designers/:id", optionalAuthenticate, async (req, res) => {
+  try {
+    const designer = await findDesignerOr404(req.params.id);
+    if (!isStaff(req) && !designer.is_active) throw new HttpError(404, "Designer not found");
+
+    const data = designer.toObject();
+    res.json({
+      success: true,
+      data: isStaff(req)
+        ? data
+        : Object.fromEntries(['_id', ...PUBLIC_FIELDS.split(' ')].map(field => [field, data[field]]))
+    });
+  } catch (err) {
+    handleDesignerError(res, err, 'Fetch');
+  }
+});
+
+// FREE SLOTS between ?from= and ?to= (YYYY-MM-DD, inclusive) in ?tz= (defaults to the designer's timezone)
+router.get("/designers/:id/slots", async (req, res) => {
+  try {
+    const designer = await findDesignerOr404(req.params.id);
+    if (!designer.is_active) throw new HttpError(404, "Designer not found");
+
+    const { from, to = from, type } = req.query;
+    const timeZone = req.query.tz || designer.timezone;
+
+    if (!isCalendarDate(from) || !isCalendarDate(to)) {
+      throw new HttpError(400, "from and to must be dates in YYYY-MM-DD format");
+    }
+    if (!isValidTimeZone(timeZone)) throw new HttpError(400, `Unknown timezone: ${timeZone}`);
+    if (type !== undefined && !designer.consultation_types.includes(type)) {
+      throw new HttpError(400, `This designer does not offer ${type} consultations`);
+    }
+
+    const slots = await findFreeSlots(designer, { from, to, timeZone });
+    res.json({
+      success: true,
+      timezone: timeZone,
+      slot_minutes: designer.slot_minutes,
+      count: slots.length,
+      data: slots
+    });
+  } catch (err) {
+    handleDesignerError(res, err, 'Fetch Slots');
+  }
+});
+
+// CREATE DESIGNER
+router.post("/designers", requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    await assertUploadsConfirmed([body.photo_url]);
+    const designer = new Designer();
+    DESIGNER_FIELDS.forEach(field => {
+      if (body[field] !== undefined) designer.set(field, body[field]);
+    });
+    await designer.save();
+
+    console.log(`✅ Designer created: ${designer.name}`);
+    res.status(201).json({
+      success: true,
+      message: "Designer created successfully",
+      data: designer
+    });
+  } catch (err) {
+    handleDesignerError(res, err, 'Create');
+  }
+});
+
+// UPDATE DESIGNER (fields sent only; availability and blocked dates are replaced whole)
+router.put("/designers/:id", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const designer = await findDesignerOr404(req.params.id);
+    const body = req.body || {};
+    await assertUploadsConfirmed([body.photo_url]);
+    DESIGNER_FIELDS.forEach(field => {
+      if (body[field] !== undefined) designer.set(field, body[field]);
+    });
+    await designer.save();
+
+    res.json({
+      success: true,
+      message: "Designer updated successfully",
+      data: designer
+    });
+  } catch (err) {
+    handleDesignerError(res, err, 'Update');
+  }
+});
+
+// DEACTIVATE DESIGNER (kept so existing bookings still resolve)
+router.delete("/designers/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const designer = await findDesignerOr404(req.params.id);
+    designer.is_active = false;
+    await designer.save();
+
+    res.json({ success: true, message: "Designer deactivated" });
+  } catch (err) {
+    handleDesignerError(res, err, 'Delete');
+  }
+});
+
+export default router;
@@ -0,0 +1,226 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Inquiry, { INQUIRY_STATUSES } from "../models/Inquiry.js";
+import {
+  changeInquiryStatus,
+  assignInquiry,
+  parseInquiryFilter,
+  exportInquiries
+} from "../services/inquiries.js";
+import { requireRole } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { existingProductIds, sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+
+// Hidden form field real visitors leave empty; bots tend to fill every input
+const HONEYPOT_FIELD = 'website';
+
+const inquiryLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.INQUIRY_RATE_LIMIT) || 5,
+  message: "Too many inquiries from this address, please try again later"
+});
+
+const handleInquiryError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Inquiry Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} inquiry: ` + err.message
+  });
+};
+
+const findInquiryOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid inquiry ID format");
+  const inquiry = await Inquiry.findById(id);
+  if (!inquiry) throw new HttpError(404, "Inquiry not found");
+  return inquiry;
+};
+
+const INQUIRY_RECEIVED = "Thank you! We have received your inquiry and will be in touch soon.";
+
+// SUBMIT AN INQUIRY (public)
+router.post("/inquiries", inquiryLimiter, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    // Answer bots exactly like a real submission, but store nothing
+    if (body[HONEYPOT_FIELD]) {
+      console.log(`🍯 Honeypot caught an inquiry from ${req.ip}`);
+      return res.status(201).json({ success: true, message: INQUIRY_RECEIVED });
+    }
+
+    const inquiry = new Inquiry({
+      name: body.name,
+      email: body.email || '',
+      phone: body.phone || '',
+      message: body.message,
+      room_type: body.room_type || '',
+      products: await existingProductIds(body.products),
+      ip: req.ip || '',
+      user_agent: String(req.get('User-Agent') || '').slice(0, 300),
+      status_history: [{ status: 'new', changed_at: new Date() }]
+    });
+    await inquiry.save();
+
+    console.log(`📩 New inquiry from ${inquiry.name}`);
+    res.status(201).json({ success: true, message: INQUIRY_RECEIVED });
+  } catch (err) {
+    handleInquiryError(res, err, 'Submit');
+  }
+});
+
+// LIST LEADS (status, assigned_to, product, room_type, q, from, to)
+router.get("/inquiries", requireRole(...STAFF), async (req, res) => {
+  try {
+    const filter = parseInquiryFilter(req.query, req.user);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const [inquiries, total] = await Promise.all([
+      Inquiry.find(filter)
+        .select('-notes -status_history -user_agent')
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('assigned_to', 'name email')
+        .populate('products', 'product_name')
+        .lean(),
+      Inquiry.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, count: inquiries.length, total, data: inquiries });
+  } catch (err) {
+    handleInquiryError(res, err, 'Fetch');
+  }
+});
+
+// EXPORT LEADS as CSV (same filters as the list)
+router.get("/inquiries/export", requireRole(...STAFF), async (req, res) => {
+  try {
+    const filter = parseInquiryFilter(req.query, req.user);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="inquiries-${stamp}.csv"`);
+    await exportInquiries(res, filter);
+  } catch (err) {
+    if (res.headersSent) {
+      console.error("❌ Export Inquiry Error:", err.message);
+      return res.end();
+    }
+    handleInquiryError(res, err, 'Export');
+  }
+});
+
+// GET LEAD with notes and status history
+router.get("/inquiries/:id", requireRole(...STAFF), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw new HttpError(400, "Invalid inquiry ID format");
+
+    const inquiry = await Inquiry.findById(req.params.id)
+      .populate('assigned_to', 'name email')
+      .populate('products', 'product_name price_new image_url')
+      .populate('notes.author', 'name email')
+      .lean();
+    if (!inquiry) throw new HttpError(404, "Inquiry not found");
+
+    res.json({ success: true, data: inquiry });
+  } catch (err) {
+    handleInquiryError(res, err, 'Fetch');
+  }
+});
+
+// MOVE THROUGH THE PIPELINE
+router.patch("/inquiries/:id/status", requireRole(...STAFF), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+
+    if (!INQUIRY_STATUSES.includes(status)) {
+      throw new HttpError(400, "status must be one of: " + INQUIRY_STATUSES.join(', '));
+    }
+
+    const inquiry = await findInquiryOr404(req.params.id);
+    changeInquiryStatus(inquiry, status, req.user.id);
+    if (note) inquiry.notes.push({ text: note, author: req.user.id });
+    await inquiry.save();
+
+    res.json({
+      success: true,
+      message: `Lead moved to ${status}`,
+      data: inquiry
+    });
+  } catch (err) {
+    handleInquiryError(res, err, 'Update Status');
+  }
+});
+
+// ASSIGN TO A STAFF MEMBER (user_id: null unassigns)
+router.patch("/inquiries/:id/assign", requireRole(...STAFF), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.user_id === undefined) {
+      throw new HttpError(400, "Missing required field: user_id (null to unassign)");
+    }
+
+    const inquiry = await findInquiryOr404(req.params.id);
+    await assignInquiry(inquiry, body.user_id);
+    await inquiry.save();
+
+    res.json({
+      success: true,
+      message: inquiry.assigned_to ? "Lead assigned" : "Lead unassigned",
+      data: inquiry
+    });
+  } catch (err) {
+    handleInquiryError(res, err, 'Assign');
+  }
+});
+
+// ADD A NOTE
+router.post("/inquiries/:id/notes", requireRole(...STAFF), async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new HttpError(400, "Missing required field: text");
+    }
+
+    const inquiry = await findInquiryOr404(req.params.id);
+    inquiry.notes.push({ text, author: req.user.id });
+    await inquiry.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Note added",
+      data: inquiry.notes[inquiry.notes.length - 1]
+    });
+  } catch (err) {
+    handleInquiryError(res, err, 'Add Note');
+  }
+});
+
+// DELETE LEAD (e.g. on a data removal request)
+router.delete("/inquiries/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const inquiry = await findInquiryOr404(req.params.id);
+    await inquiry.deleteOne();
+    res.json({ success: true, message: "Inquiry deleted successfully" });
+  } catch (err) {
+    handleInquiryError(res, err, 'Delete');
+  }
+});
+
+export default router;
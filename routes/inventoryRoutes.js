@@ -0,0 +1,273 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Location from "../models/Location.js";
+import StockLevel from "../models/StockLevel.js";
+import StockMovement from "../models/StockMovement.js";
+import StockReservation, { RESERVATION_STATUSES } from "../models/StockReservation.js";
+import {
+  receiveStock,
+  adjustStock,
+  recordSale,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  lowStockReport
+} from "../services/inventory.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { findProductOr404, sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+
+const handleInventoryError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: "A record with this key already exists" });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()}: ` + err.message
+  });
+};
+
+// Pull the common stock-change fields out of a request
+const stockDetails = (req) => {
+  const { product, variant = null, location, quantity, reference = '', note = '' } = req.body || {};
+  return {
+    product,
+    variant,
+    location,
+    quantity: typeof quantity === 'string' ? Number(quantity) : quantity,
+    reference,
+    note,
+    actor: req.user.id
+  };
+};
+
+// LIST LOCATIONS
+router.get("/inventory/locations", async (req, res) => {
+  try {
+    const locations = await Location.find({ active: true }).sort({ name: 1 }).lean();
+    res.json({ success: true, count: locations.length, data: locations });
+  } catch (err) {
+    handleInventoryError(res, err, 'Fetch Locations');
+  }
+});
+
+// CREATE LOCATION
+router.post("/inventory/locations", requireRole('admin'), async (req, res) => {
+  try {
+    const { code, name, type, address } = req.body || {};
+    const location = await Location.create({ code, name, type, address });
+    res.status(201).json({
+      success: true,
+      message: "Location created successfully",
+      data: location
+    });
+  } catch (err) {
+    handleInventoryError(res, err, 'Create Location');
+  }
+});
+
+// UPDATE LOCATION
+router.put("/inventory/locations/:locationId", requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.locationId)) {
+      throw new HttpError(400, "Invalid location ID format");
+    }
+
+    const location = await Location.findById(req.params.locationId);
+    if (!location) throw new HttpError(404, "Location not found");
+
+    ['name', 'type', 'address', 'active'].forEach(field => {
+      if (req.body && req.body[field] !== undefined) location[field] = req.body[field];
+    });
+    await location.save();
+
+    res.json({
+      success: true,
+      message: "Location updated successfully",
+      data: location
+    });
+  } catch (err) {
+    handleInventoryError(res, err, 'Update Location');
+  }
+});
+
+// STOCK LEVELS for one product, per variant and location
+router.get("/products/:id/stock", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const levels = await StockLevel.find({ product: product._id })
+      .populate('location', 'code name type')
+      .lean();
+
+    const data = levels.map(level => ({
+      ...level,
+      available: level.on_hand - level.reserved,
+      sku: level.variant ? (product.variants.id(level.variant) || {}).sku : undefined
+    }));
+    const available = data.reduce((sum, level) => sum + level.available, 0);
+
+    res.json({
+      success: true,
+      availability: { available, in_stock: available > 0 },
+      data
+    });
+  } catch (err) {
+    handleInventoryError(res, err, 'Fetch Stock');
+  }
+});
+
+// RECEIVE STOCK
+router.post("/inventory/receipts", requireRole(...STAFF), async (req, res) => {
+  try {
+    const level = await receiveStock(stockDetails(req));
+    res.status(201).json({ success: true, message: "Stock received", data: level });
+  } catch (err) {
+    handleInventoryError(res, err, 'Receive Stock');
+  }
+});
+
+// ADJUST STOCK by a signed quantity
+router.post("/inventory/adjustments", requireRole(...STAFF), async (req, res) => {
+  try {
+    const level = await adjustStock(stockDetails(req));
+    res.status(201).json({ success: true, message: "Stock adjusted", data: level });
+  } catch (err) {
+    handleInventoryError(res, err, 'Adjust Stock');
+  }
+});
+
+// RECORD A SALE of unreserved stock
+router.post("/inventory/sales", requireRole(...STAFF), async (req, res) => {
+  try {
+    const level = await recordSale(stockDetails(req));
+    res.status(201).json({ success: true, message: "Sale recorded", data: level });
+  } catch (err) {
+    handleInventoryError(res, err, 'Record Sale');
+  }
+});
+
+// LIST RESERVATIONS
+router.get("/inventory/reservations", requireRole(...STAFF), async (req, res) => {
+  try {
+    const filter = {};
+    const { status, product } = req.query;
+
+    if (status !== undefined) {
+      if (!RESERVATION_STATUSES.includes(status)) {
+        throw new HttpError(400, "status must be one of: " + RESERVATION_STATUSES.join(', '));
+      }
+      filter.status = status;
+    }
+    if (product !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(product)) throw new HttpError(400, "Invalid product ID format");
+      filter.product = product;
+    }
+
+    const reservations = await StockReservation.find(filter).sort({ created_at: -1 }).limit(200).lean();
+    res.json({ success: true, count: reservations.length, data: reservations });
+  } catch (err) {
+    handleInventoryError(res, err, 'Fetch Reservations');
+  }
+});
+
+// RESERVE STOCK for a limited time
+router.post("/inventory/reservations", requireRole(...STAFF), async (req, res) => {
+  try {
+    const { ttlMinutes } = req.body || {};
+    const reservation = await reserveStock({
+      ...stockDetails(req),
+      ...(ttlMinutes !== undefined && { ttlMinutes: Number(ttlMinutes) })
+    });
+    res.status(201).json({ success: true, message: "Stock reserved", data: reservation });
+  } catch (err) {
+    handleInventoryError(res, err, 'Reserve Stock');
+  }
+});
+
+// COMMIT A RESERVATION as a sale
+router.post("/inventory/reservations/:reservationId/commit", requireRole(...STAFF), async (req, res) => {
+  try {
+    const reservation = await commitReservation(req.params.reservationId, {
+      actor: req.user.id,
+      note: (req.body && req.body.note) || ''
+    });
+    res.json({ success: true, message: "Reservation committed as a sale", data: reservation });
+  } catch (err) {
+    handleInventoryError(res, err, 'Commit Reservation');
+  }
+});
+
+// RELEASE A RESERVATION
+router.delete("/inventory/reservations/:reservationId", requireRole(...STAFF), async (req, res) => {
+  try {
+    const reservation = await releaseReservation(req.params.reservationId, { actor: req.user.id });
+    res.json({ success: true, message: "Reservation released", data: reservation });
+  } catch (err) {
+    handleInventoryError(res, err, 'Release Reservation');
+  }
+});
+
+// STOCK MOVEMENT LEDGER
+router.get("/inventory/movements", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const filter = {};
+    ['product', 'location'].forEach(field => {
+      if (req.query[field] === undefined) return;
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        throw new HttpError(400, `Invalid ${field} ID format`);
+      }
+      filter[field] = req.query[field];
+    });
+
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const movements = await StockMovement.find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .populate('location', 'code name')
+      .lean();
+
+    res.json({ success: true, count: movements.length, data: movements });
+  } catch (err) {
+    handleInventoryError(res, err, 'Fetch Movements');
+  }
+});
+
+// LOW-STOCK REPORT
+router.get("/inventory/low-stock", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const { location } = req.query;
+    let threshold;
+
+    if (location !== undefined && !mongoose.Types.ObjectId.isValid(location)) {
+      throw new HttpError(400, "Invalid location ID format");
+    }
+    if (req.query.threshold !== undefined) {
+      threshold = Number(req.query.threshold);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        throw new HttpError(400, "threshold must be a non-negative integer");
+      }
+    }
+
+    const data = await lowStockReport({ location, threshold });
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    handleInventoryError(res, err, 'Fetch Low Stock Report');
+  }
+});
+
+export default router;
@@ -0,0 +1,262 @@
+import express from "express";
+import mongoose from 'mongoose';
+import MoodBoard from "../models/MoodBoard.js";
+import {
+  applyBoardChanges,
+  assertItemMediaConfirmed,
+  pickItemFields,
+  ownedMedia,
+  describeBoard,
+  createShare,
+  findBoardByShareToken
+} from "../services/moodBoards.js";
+import { removeMediaAssets } from "../storage/index.js";
+import { requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+
+const handleBoardError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Mood Board Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} mood board: ` + err.message
+  });
+};
+
+const findBoardOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid board ID format");
+  const board = await MoodBoard.findById(id);
+  if (!board) throw new HttpError(404, "Mood board not found");
+  return board;
+};
+
+const findItemOr404 = (board, itemId) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) ? board.items.id(itemId) : null;
+  if (!item) throw new HttpError(404, "Board item not found");
+  return item;
+};
+
+const shareUrl = (share) => `/api/shared/boards/${share.token}`;
+
+// LIST BOARDS (?mine=true for the caller's own)
+router.get("/boards", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const filter = req.query.mine === 'true' ? { owner: req.user.id } : {};
+    const boards = await MoodBoard.find(filter)
+      .select('name client_name room_type owner created_at updated_at items.kind')
+      .sort({ updated_at: -1 })
+      .populate('owner', 'name email')
+      .lean();
+
+    res.json({
+      success: true,
+      count: boards.length,
+      data: boards.map(({ items, ...board }) => ({ ...board, item_count: items.length }))
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Fetch');
+  }
+});
+
+// GET BOARD with product details and cost total
+router.get("/boards/:id", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    res.json({ success: true, data: await describeBoard(board) });
+  } catch (err) {
+    handleBoardError(res, err, 'Fetch');
+  }
+});
+
+// CREATE BOARD
+router.post("/boards", requireRole(...STAFF), async (req, res) => {
+  try {
+    if (!req.body || !req.body.name) {
+      return res.status(400).json({ success: false, error: "Missing required field: name" });
+    }
+
+    const board = await applyBoardChanges(new MoodBoard({ owner: req.user.id }), req.body);
+    await board.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Mood board created successfully",
+      data: await describeBoard(board)
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Create');
+  }
+});
+
+// UPDATE BOARD (fields sent only; `items` replaces every item on the canvas)
+router.put("/boards/:id", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    const previousMedia = ownedMedia(board.items);
+
+    await applyBoardChanges(board, req.body || {});
+    await board.save();
+
+    const keptUrls = new Set(board.items.map(item => item.image_url));
+    await removeMediaAssets(previousMedia.filter(media => !keptUrls.has(media.url)));
+
+    res.json({
+      success: true,
+      message: "Mood board updated successfully",
+      data: await describeBoard(board)
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Update');
+  }
+});
+
+// DELETE BOARD and the images uploaded for it
+router.delete("/boards/:id", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    await board.deleteOne();
+    await removeMediaAssets(ownedMedia(board.items));
+
+    res.json({ success: true, message: "Mood board deleted successfully" });
+  } catch (err) {
+    handleBoardError(res, err, 'Delete');
+  }
+});
+
+// PLACE AN ITEM
+router.post("/boards/:id/items", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    const fields = pickItemFields(req.body);
+    await assertItemMediaConfirmed([fields]);
+    board.items.push(fields);
+    await board.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Item added",
+      data: await describeBoard(board)
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Add Item');
+  }
+});
+
+// MOVE / RESIZE / EDIT AN ITEM (fields sent only)
+router.patch("/boards/:id/items/:itemId", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    const item = findItemOr404(board, req.params.itemId);
+    const { kind, ...changes } = pickItemFields(req.body);
+
+    if (kind !== undefined && kind !== item.kind) {
+      throw new HttpError(400, "An item's kind cannot be changed; remove it and add a new one");
+    }
+
+    await assertItemMediaConfirmed([changes]);
+    item.set(changes);
+    await board.save();
+
+    res.json({
+      success: true,
+      message: "Item updated",
+      data: await describeBoard(board)
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Update Item');
+  }
+});
+
+// REMOVE AN ITEM
+router.delete("/boards/:id/items/:itemId", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    const item = findItemOr404(board, req.params.itemId);
+    const removedMedia = ownedMedia([item]);
+
+    board.items.pull(item._id);
+    await board.save();
+    await removeMediaAssets(removedMedia);
+
+    res.json({
+      success: true,
+      message: "Item removed",
+      data: await describeBoard(board)
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Remove Item');
+  }
+});
+
+// CREATE A READ-ONLY SHARE LINK ({ label, expires_in_days })
+router.post("/boards/:id/shares", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    const { label = '', expires_in_days = null } = req.body || {};
+    const share = createShare(board, { label, expiresInDays: expires_in_days, actor: req.user.id });
+    await board.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Share link created",
+      data: { ...share.toObject(), url: shareUrl(share) }
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Share');
+  }
+});
+
+// LIST SHARE LINKS
+router.get("/boards/:id/shares", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    res.json({
+      success: true,
+      count: board.shares.length,
+      data: board.shares.map(share => ({ ...share.toObject(), url: shareUrl(share) }))
+    });
+  } catch (err) {
+    handleBoardError(res, err, 'Fetch Shares');
+  }
+});
+
+// REVOKE A SHARE LINK
+router.delete("/boards/:id/shares/:shareId", requireRole(...STAFF), async (req, res) => {
+  try {
+    const board = await findBoardOr404(req.params.id);
+    const share = mongoose.Types.ObjectId.isValid(req.params.shareId) ? board.shares.id(req.params.shareId) : null;
+    if (!share) throw new HttpError(404, "Share link not found");
+
+    board.shares.pull(share._id);
+    await board.save();
+
+    res.json({ success: true, message: "Share link revoked" });
+  } catch (err) {
+    handleBoardError(res, err, 'Revoke Share');
+  }
+});
+
+// SHARED BOARD (public, read-only)
+router.get("/shared/boards/:token", async (req, res) => {
+  try {
+    const board = await findBoardByShareToken(req.params.token);
+    const { shares, owner, ...data } = await describeBoard(board);
+
+    res.json({ success: true, data });
+  } catch (err) {
+    handleBoardError(res, err, 'Fetch');
+  }
+});
+
+export default router;
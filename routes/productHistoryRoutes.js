@@ -0,0 +1,125 @@
+import express from "express";
+import mongoose from 'mongoose';
+import ProductRevision from "../models/ProductRevision.js";
+import { revertProduct, priceHistory } from "../services/productHistory.js";
+import { requireRole, optionalAuthenticate } from "../middleware/auth.js";
+import { findProductOr404, sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const handleHistoryError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Product History Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: "That revision's SKU is now used by another product" });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} product history: ` + err.message
+  });
+};
+
+const parseRevision = (value) => {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1) throw new HttpError(400, "Revision must be a positive integer");
+  return revision;
+};
+
+// HISTORY of a product, newest first (also available for trashed and purged products)
+router.get("/products/:id/history", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new HttpError(400, "Invalid product ID format");
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = { product: req.params.id };
+    if (req.query.before !== undefined) filter.revision = { $lt: parseRevision(req.query.before) };
+
+    const revisions = await ProductRevision.find(filter)
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .limit(limit)
+      .populate('actor', 'name email')
+      .lean();
+
+    if (revisions.length === 0 && req.query.before === undefined) {
+      throw new HttpError(404, "No history found for this product");
+    }
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (err) {
+    handleHistoryError(res, err, 'Fetch');
+  }
+});
+
+// PRICE HISTORY (public, for "was / now" displays); only for products the caller can see
+router.get("/products/:id/price-history", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const history = await priceHistory(product._id);
+    res.json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (err) {
+    handleHistoryError(res, err, 'Fetch');
+  }
+});
+
+// ONE REVISION with the full product snapshot
+router.get("/products/:id/history/:revision", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new HttpError(400, "Invalid product ID format");
+    }
+
+    const revision = await ProductRevision.findOne({
+      product: req.params.id,
+      revision: parseRevision(req.params.revision)
+    }).populate('actor', 'name email').lean();
+
+    if (!revision) throw new HttpError(404, "Revision not found");
+
+    res.json({ success: true, data: revision });
+  } catch (err) {
+    handleHistoryError(res, err, 'Fetch');
+  }
+});
+
+// REVERT to an earlier revision (recorded as a new 'revert' revision)
+router.post("/products/:id/history/:revision/revert", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const revision = parseRevision(req.params.revision);
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    await revertProduct(product, revision, req.user.id);
+
+    console.log(`⏪ Product ${product._id} reverted to revision ${revision}`);
+    res.json({
+      success: true,
+      message: `Product reverted to revision ${revision}`,
+      data: product
+    });
+  } catch (err) {
+    handleHistoryError(res, err, 'Revert');
+  }
+});
+
+export default router;
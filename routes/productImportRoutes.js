@@ -0,0 +1,113 @@
+import express from "express";
+import multer from "multer";
+import {
+  detectFormat,
+  parseSpreadsheet,
+  importProducts,
+  exportProducts,
+  UPSERT_KEYS
+} from "../services/productImport.js";
+import { parseProductListQuery } from "../utils/productQuery.js";
+import { expandCategoryFilter } from "../services/categories.js";
+import { requireRole } from "../middleware/auth.js";
+import { HttpError } from "../utils/HttpError.js";
+
+// Mounted before productRoutes so /products/export is not taken for a product ID
+const router = express.Router();
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectFormat(file)) {
+      cb(null, true);
+    } else {
+      cb(new HttpError(400, "Only CSV or XLSX files can be imported"));
+    }
+  }
+});
+
+// BULK IMPORT from CSV/XLSX - ?key=sku|name_brand&dryRun=true
+router.post("/products/import", requireRole('admin', 'editor'), (req, res, next) => {
+  spreadsheetUpload.single("file")(req, res, (error) => {
+    if (!error) return next();
+    const status = error instanceof HttpError ? error.status : 400;
+    res.status(status).json({ success: false, error: error.message });
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: "No file uploaded" });
+    }
+
+    const key = req.query.key || 'sku';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+    if (!UPSERT_KEYS.includes(key)) {
+      return res.status(400).json({
+        success: false,
+        error: "key must be one of: " + UPSERT_KEYS.join(', ')
+      });
+    }
+
+    console.log(`📥 Product import: ${req.file.originalname} (key=${key}${dryRun ? ', dry run' : ''})`);
+    const rows = await parseSpreadsheet(req.file.buffer, detectFormat(req.file));
+    const report = await importProducts(rows, { key, dryRun, actor: req.user.id });
+
+    console.log(`✅ Import finished: ${report.created} created, ${report.updated} updated, ${report.failed} failed`);
+    res.status(dryRun ? 200 : (report.failed === report.total && report.total > 0 ? 422 : 200)).json({
+      success: report.failed === 0,
+      message: dryRun ? "Dry run complete, no changes were saved" : "Import complete",
+      report
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error("❌ Product Import Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import products: " + err.message
+    });
+  }
+});
+
+// EXPORT the catalog as CSV/XLSX - accepts the same filters as GET /products
+router.get("/products/export", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const { format = 'csv', ...query } = req.query;
+
+    if (format !== 'csv' && format !== 'xlsx') {
+      return res.status(400).json({ success: false, error: 'format must be "csv" or "xlsx"' });
+    }
+
+    const listQuery = parseProductListQuery(query);
+    if (listQuery.errors) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters: " + listQuery.errors.join(', ')
+      });
+    }
+
+    const filter = await expandCategoryFilter(listQuery.filter);
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await exportProducts(res, { format, filter });
+  } catch (err) {
+    console.error("❌ Product Export Error:", err.message);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export products: " + err.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import express from "express";
+import { STATUS_TRANSITIONS, transitionProduct, scheduleProduct } from "../services/productLifecycle.js";
+import { requireRole } from "../middleware/auth.js";
+import {
+  findProductOr404,
+  productEtag,
+  checkProductPreconditions,
+  sendValidationError
+} from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const handleLifecycleError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Product Status Error:`, err.message);
+
+  if (err.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      error: "Product was modified by another request; reload it and try again"
+    });
+  }
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} product status: ` + err.message
+  });
+};
+
+const lifecycleOf = (product) => ({
+  status: product.status,
+  allowed_transitions: STATUS_TRANSITIONS[product.status],
+  publish_at: product.publish_at,
+  unpublish_at: product.unpublish_at,
+  published_at: product.published_at
+});
+
+// CURRENT STATUS, schedule and the statuses the product can move to
+router.get("/products/:id/status", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    res.json({ success: true, data: lifecycleOf(product) });
+  } catch (err) {
+    handleLifecycleError(res, err, 'Fetch');
+  }
+});
+
+// CHANGE STATUS: { status }. Editors move between draft and in_review; publishing and archiving is for admins
+router.post("/products/:id/status", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!status) throw new HttpError(400, "Missing required field: status");
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    checkProductPreconditions(req, product);
+    const from = product.status;
+    transitionProduct(product, status, { role: req.user.role });
+    await product.save();
+
+    console.log(`🚦 Product ${product._id}: ${from} -> ${product.status}`);
+    res.set('ETag', productEtag(product));
+    res.json({
+      success: true,
+      message: `Product moved from ${from} to ${product.status}`,
+      data: lifecycleOf(product)
+    });
+  } catch (err) {
+    handleLifecycleError(res, err, 'Update');
+  }
+});
+
+// SCHEDULE: { publish_at, unpublish_at } as future dates; null clears one. Applied by the lifecycle scheduler
+router.put("/products/:id/schedule", requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.publish_at === undefined && body.unpublish_at === undefined) {
+      throw new HttpError(400, "Send publish_at and/or unpublish_at");
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    checkProductPreconditions(req, product);
+    scheduleProduct(product, body);
+    await product.save();
+
+    console.log(`📅 Product ${product._id} scheduled: publish ${product.publish_at || '-'}, unpublish ${product.unpublish_at || '-'}`);
+    res.set('ETag', productEtag(product));
+    res.json({
+      success: true,
+      message: "Product schedule updated",
+      data: lifecycleOf(product)
+    });
+  } catch (err) {
+    handleLifecycleError(res, err, 'Schedule');
+  }
+});
+
+export default router;
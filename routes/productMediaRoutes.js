@@ -0,0 +1,215 @@
+import express from "express";
+import mongoose from 'mongoose';
+import { MEDIA_TYPES } from "../models/Product.js";
+import { getStorage, removeMediaAssets } from "../storage/index.js";
+import { assertUploadsConfirmed } from "../services/directUploads.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { findProductOr404, sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+// LIST PRODUCT MEDIA
+router.get("/products/:id/media", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    res.json({
+      success: true,
+      count: product.media.length,
+      data: product.media
+    });
+  } catch (err) {
+    console.error("❌ Get Product Media Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch product media: " + err.message
+    });
+  }
+});
+
+// ADD MEDIA to a product (accepts the response fields of POST /upload as well)
+router.post("/products/:id/media", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const url = body.url || body.filePath;
+    const type = body.type || (url ? getStorage().resourceTypeFromUrl(url) : undefined);
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: url"
+      });
+    }
+
+    if (!MEDIA_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: "Media type must be one of: " + MEDIA_TYPES.join(', ')
+      });
+    }
+
+    await assertUploadsConfirmed([url]);
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const item = {
+      url,
+      public_id: body.public_id || body.publicId || '',
+      type,
+      alt: body.alt || '',
+      is_primary: body.is_primary === true
+    };
+
+    // Insert at an explicit position, otherwise append to the end of the gallery
+    const position = Number.isInteger(body.position)
+      ? Math.min(Math.max(body.position, 0), product.media.length)
+      : product.media.length;
+
+    if (item.is_primary) {
+      product.media.forEach(entry => { entry.is_primary = false; });
+    }
+    product.media.splice(position, 0, item);
+
+    await product.save();
+
+    console.log(`✅ Media added to product ${product._id}`);
+    res.status(201).json({
+      success: true,
+      message: "Media added successfully",
+      data: product.media[position],
+      media: product.media
+    });
+  } catch (err) {
+    console.error("❌ Add Product Media Error:", err.message);
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    if (err.name === 'ValidationError') return sendValidationError(res, err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add media: " + err.message
+    });
+  }
+});
+
+// REORDER MEDIA - body: { order: [mediaId, ...] } listing every media id once
+router.put("/products/:id/media/order", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { order } = req.body || {};
+
+    if (!Array.isArray(order)) {
+      return res.status(400).json({
+        success: false,
+        error: "order must be an array of media IDs"
+      });
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const currentIds = product.media.map(item => String(item._id));
+    const requestedIds = order.map(String);
+    const isPermutation = requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        error: "order must list every media ID of the product exactly once"
+      });
+    }
+
+    product.media = requestedIds.map(id => product.media.id(id).toObject());
+    await product.save();
+
+    res.json({
+      success: true,
+      message: "Media reordered successfully",
+      data: product.media
+    });
+  } catch (err) {
+    console.error("❌ Reorder Product Media Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reorder media: " + err.message
+    });
+  }
+});
+
+// UPDATE MEDIA alt text or primary flag
+router.patch("/products/:id/media/:mediaId", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const item = mongoose.Types.ObjectId.isValid(req.params.mediaId) && product.media.id(req.params.mediaId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: "Media not found"
+      });
+    }
+
+    const { alt, is_primary } = req.body || {};
+    if (alt !== undefined) item.alt = alt;
+    if (is_primary === true) {
+      product.media.forEach(entry => { entry.is_primary = false; });
+      item.is_primary = true;
+    }
+
+    await product.save();
+
+    res.json({
+      success: true,
+      message: "Media updated successfully",
+      data: item
+    });
+  } catch (err) {
+    console.error("❌ Update Product Media Error:", err.message);
+    if (err.name === 'ValidationError') return sendValidationError(res, err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update media: " + err.message
+    });
+  }
+});
+
+// REMOVE MEDIA from a product and delete the stored file
+router.delete("/products/:id/media/:mediaId", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const item = mongoose.Types.ObjectId.isValid(req.params.mediaId) && product.media.id(req.params.mediaId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: "Media not found"
+      });
+    }
+
+    const removed = item.toObject();
+    product.media.pull(item._id);
+    await product.save();
+
+    await removeMediaAssets([removed]);
+
+    res.json({
+      success: true,
+      message: "Media removed successfully",
+      data: product.media
+    });
+  } catch (err) {
+    console.error("❌ Remove Product Media Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove media: " + err.message
+    });
+  }
+});
+
+export default router;
@@ -1,66 +1,174 @@
 import express from "express";
 import mongoose from 'mongoose';
 import Product from "../models/Product.js";
-import cloudinary from "cloudinary";
+import { parseProductListQuery, parseStatusFilter, encodeCursor } from "../utils/productQuery.js";
+import { buildHighlights, escapeRegex, tokenizeQuery } from "../utils/productSearch.js";
+import { trashProduct } from "../services/trash.js";
+import { attachAvailability } from "../services/inventory.js";
+import { attachPricing } from "../services/pricing.js";
+import { projectsFeaturingProduct } from "../services/projects.js";
+import { assertUploadsConfirmed } from "../services/directUploads.js";
+import { applyCategory, expandCategoryFilter } from "../services/categories.js";
+import { transitionProduct } from "../services/productLifecycle.js";
+import { HttpError } from "../utils/HttpError.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import {
+  canSeeUnpublished,
+  findProductOr404,
+  productEtag,
+  checkProductPreconditions,
+  sendValidationError
+} from "../utils/routeHelpers.js";
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Helper function to extract public ID from Cloudinary URL
-const extractPublicId = (url) => {
-  if (!url || typeof url !== 'string') return null;
-  
+// GET ALL PRODUCTS (filterable, sortable, cursor-paginated; staff may pass ?status=)
+router.get("/products", optionalAuthenticate, async (req, res) => {
   try {
-    // Cloudinary URL format: https://res.cloudinary.com/cloud_name/image/upload/v1234567890/folder/filename.jpg
-    const urlParts = url.split('/');
-    const uploadIndex = urlParts.indexOf('upload');
-    
-    if (uploadIndex !== -1 && uploadIndex + 1 < urlParts.length) {
-      // Get everything after 'upload/' and before the file extension
-      const pathAfterUpload = urlParts.slice(uploadIndex + 1).join('/');
-      const publicId = pathAfterUpload.replace(/\.[^/.]+$/, ""); // Remove file extension
-      return publicId;
+    const listQuery = parseProductListQuery(req.query);
+
+    if (listQuery.errors) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid query parameters: " + listQuery.errors.join(', ') 
+      });
     }
+
+    const { cursorFilter, sort, sortField, limit } = listQuery;
+    if (!canSeeUnpublished(req)) listQuery.filter.status = 'published';
+    // ?category= matches a category and all of its descendants
+    const filter = await expandCategoryFilter(listQuery.filter);
+    const pageFilter = cursorFilter ? { $and: [filter, cursorFilter] } : filter;
+
+    const [products, total] = await Promise.all([
+      Product.find(pageFilter)
+        .sort(sort)
+        .limit(limit + 1)
+        .lean(),
+      Product.countDocuments(filter)
+    ]);
+
+    const hasMore = products.length > limit;
+    const page = hasMore ? products.slice(0, limit) : products;
     
-    return null;
-  } catch (error) {
-    console.error("Error extracting public ID:", error);
-    return null;
+    res.json({ 
+      success: true, 
+      count: page.length, 
+      total,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+      data: await attachPricing(await attachAvailability(page)) 
+    });
+  } catch (err) {
+    console.error("❌ Get Products Error:", err.message);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch products: " + err.message 
+    });
   }
-};
+});
 
-// GET ALL PRODUCTS
-router.get("/products", async (req, res) => {
+// FULL-TEXT SEARCH ranked by relevance (staff may pass ?status= as for the listing)
+router.get("/products/search", optionalAuthenticate, async (req, res) => {
   try {
-    const products = await Product.find({})
-      .sort({ created_at: -1 })
+    const { q } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (typeof q !== 'string' || q.trim().length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Query parameter 'q' must be at least 2 characters" 
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "limit must be an integer between 1 and 50" 
+      });
+    }
+
+    const errors = [];
+    const status = canSeeUnpublished(req) ? parseStatusFilter(req.query.status, errors) : 'published';
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid query parameters: " + errors.join(', ') 
+      });
+    }
+
+    const products = await Product.find(
+      { $text: { $search: q.trim() }, ...(status ? { status } : {}) },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
       .lean();
+
+    const terms = tokenizeQuery(q);
+    const priced = await attachPricing(products);
     
     res.json({ 
       success: true, 
+      query: q.trim(),
       count: products.length, 
-      data: products 
+      data: priced.map(product => ({
+        ...product,
+        highlights: buildHighlights(product, terms)
+      }))
     });
   } catch (err) {
-    console.error("❌ Get Products Error:", err.message);
+    console.error("❌ Search Products Error:", err.message);
     res.status(500).json({ 
       success: false, 
-      error: "Failed to fetch products: " + err.message 
+      error: "Failed to search products: " + err.message 
     });
   }
 });
 
-// GET SINGLE PRODUCT BY ID
-router.get("/products/:id", async (req, res) => {
+// AUTOCOMPLETE SUGGESTIONS for product names and brands
+router.get("/products/suggest", async (req, res) => {
+  try {
+    const { prefix } = req.query;
+
+    if (typeof prefix !== 'string' || prefix.trim() === '') {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Query parameter 'prefix' is required" 
+      });
+    }
+
+    const pattern = new RegExp('^' + escapeRegex(prefix.trim().slice(0, 100)), 'i');
+
+    const [names, brands] = await Promise.all([
+      Product.find({ product_name: pattern, status: 'published' })
+        .select('product_name')
+        .sort({ product_name: 1 })
+        .limit(8)
+        .lean(),
+      Product.distinct('brand', { brand: pattern, status: 'published' })
+    ]);
+    
+    res.json({ 
+      success: true, 
+      data: {
+        products: names.map(product => ({ _id: product._id, product_name: product.product_name })),
+        brands: brands.sort((a, b) => a.localeCompare(b)).slice(0, 5)
+      }
+    });
+  } catch (err) {
+    console.error("❌ Suggest Products Error:", err.message);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch suggestions: " + err.message 
+    });
+  }
+});
+
+// GET SINGLE PRODUCT BY ID (unpublished products are only visible to staff)
+router.get("/products/:id", optionalAuthenticate, async (req, res) => {
   try {
     const productId = req.params.id;
     
@@ -73,16 +181,25 @@ router.get("/products/:id", async (req, res) => {
 
     const product = await Product.findById(productId).lean();
     
-    if (!product) {
+    if (!product || (product.status !== 'published' && !canSeeUnpublished(req))) {
       return res.status(404).json({ 
         success: false, 
         error: "Product not found" 
       });
     }
+
+    const [[withAvailability], projects] = await Promise.all([
+      attachPricing(await attachAvailability([product])),
+      projectsFeaturingProduct(product._id)
+    ]);
     
+    res.set('ETag', productEtag(product));
     res.json({ 
       success: true, 
-      data: product 
+      data: {
+        ...withAvailability,
+        seen_in_projects: projects
+      }
     });
   } catch (err) {
     console.error("❌ Get Product Error:", err.message);
@@ -94,7 +211,7 @@ router.get("/products/:id", async (req, res) => {
 });
 
 // CREATE NEW PRODUCT
-router.post("/products", async (req, res) => {
+router.post("/products", requireRole('admin', 'editor'), async (req, res) => {
   console.log("📨 Received POST /products request");
   
   if (!req.body || Object.keys(req.body).length === 0) {
@@ -109,16 +226,20 @@ router.post("/products", async (req, res) => {
     price_new, 
     brand, 
     category, 
+    category_id,
     description = '', 
     image_url = '', 
-    video_url = '' 
+    video_url = '',
+    tags = [],
+    media,
+    status = 'draft'
   } = req.body;
   
   // Validate required fields
-  if (!product_name || !price_new || !brand || !category) {
+  if (!product_name || !price_new || !brand || !(category || category_id)) {
     return res.status(400).json({ 
       success: false, 
-      error: "Missing required fields: product_name, price_new, brand, category" 
+      error: "Missing required fields: product_name, price_new, brand, category (or category_id)" 
     });
   }
 
@@ -128,15 +249,33 @@ router.post("/products", async (req, res) => {
       price_new: parseFloat(price_new),
       brand,
       category,
+      category_id,
       description,
       image_url,
-      video_url
+      video_url,
+      tags
     };
 
+    await applyCategory(productData);
+    await assertUploadsConfirmed([
+      image_url,
+      video_url,
+      ...(Array.isArray(media) ? media.map(item => item && item.url) : [])
+    ]);
+
+    // A full gallery takes precedence over the legacy single image/video fields
+    if (Array.isArray(media)) {
+      productData.media = media;
+    }
+
     const product = new Product(productData);
+    // New products start as drafts; the status may move them on like POST /products/:id/status would
+    if (status !== 'draft') transitionProduct(product, status, { role: req.user.role });
+    product.$locals.actor = req.user.id;
     const savedProduct = await product.save();
     
     console.log("✅ Product created successfully, ID:", savedProduct._id);
+    res.set('ETag', productEtag(savedProduct));
     res.status(201).json({ 
       success: true, 
       message: "Product created successfully",
@@ -145,6 +284,13 @@ router.post("/products", async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Create Product Error:", err.message);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        error: err.message 
+      });
+    }
     
     if (err.name === 'ValidationError') {
       const errors = Object.values(err.errors).map(error => error.message);
@@ -161,53 +307,86 @@ router.post("/products", async (req, res) => {
   }
 });
 
-// UPDATE PRODUCT
-router.put("/products/:id", async (req, res) => {
+// Fields a client may write through PUT/PATCH; variants, media order etc. have their own routes
+const REQUIRED_FIELDS = ['product_name', 'price_new', 'brand'];
+const TEXT_FIELDS = ['product_name', 'brand', 'description', 'sku'];
+
+/**
+ * Copy the request body onto a loaded product. A full update (PUT) needs every
+ * required field and resets anything omitted; a partial one (PATCH) only
+ * touches the fields that were sent.
+ */
+const applyProductBody = async (product, body, { partial }) => {
+  const isSet = (field) => body[field] !== undefined;
+
+  if (!partial) {
+    const missing = REQUIRED_FIELDS.filter(field => !isSet(field) || body[field] === '');
+    if (!isSet('category') && !isSet('category_id')) missing.push('category (or category_id)');
+    if (missing.length > 0) {
+      throw new HttpError(400, "PUT replaces the whole product; missing required fields: " + missing.join(', '));
+    }
+  }
+
+  if (isSet('price_new')) {
+    const price = Number(body.price_new);
+    if (body.price_new === null || body.price_new === '' || !Number.isFinite(price)) {
+      throw new HttpError(400, "price_new must be a number");
+    }
+    product.price_new = price;
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (isSet(field)) {
+      // A blank SKU clears it rather than claiming the empty string in the unique index
+      product.set(field, field === 'sku' && !body.sku ? undefined : body[field]);
+    } else if (!partial) {
+      product.set(field, field === 'description' ? '' : undefined);
+    }
+  });
+
+  if (isSet('tags') || !partial) product.tags = body.tags || [];
+
+  if (isSet('category') || isSet('category_id')) {
+    const categoryData = await applyCategory({ category: body.category, category_id: body.category_id });
+    product.category = categoryData.category;
+    product.category_id = categoryData.category_id;
+  }
+
+  await assertUploadsConfirmed([
+    body.image_url,
+    body.video_url,
+    ...(Array.isArray(body.media) ? body.media.map(item => item && item.url) : [])
+  ]);
+
+  // Save through the document so media and the derived legacy fields stay in sync
+  if (Array.isArray(body.media)) {
+    product.media = body.media;
+  } else {
+    ['image_url', 'video_url'].forEach(field => {
+      if (isSet(field) || !partial) product.applyLegacyMedia(field, body[field] || '');
+    });
+  }
+};
+
+const updateProduct = (partial) => async (req, res) => {
   try {
-    const productId = req.params.id;
-    
-    if (!mongoose.Types.ObjectId.isValid(productId)) {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
       return res.status(400).json({ 
         success: false, 
-        error: "Invalid product ID format" 
+        error: "Request body is missing." 
       });
     }
 
-    // Check if product exists
-    const existingProduct = await Product.findById(productId);
-    if (!existingProduct) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Product not found" 
-      });
-    }
+    const existingProduct = await findProductOr404(req, res);
+    if (!existingProduct) return;
 
-    const { 
-      product_name, 
-      price_new, 
-      brand, 
-      category, 
-      description = '', 
-      image_url = '', 
-      video_url = '' 
-    } = req.body;
-
-    const updateData = {
-      product_name,
-      price_new: parseFloat(price_new),
-      brand,
-      category,
-      description,
-      image_url,
-      video_url
-    };
+    checkProductPreconditions(req, existingProduct);
+    await applyProductBody(existingProduct, body, { partial });
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const updatedProduct = await existingProduct.save();
 
+    res.set('ETag', productEtag(updatedProduct));
     res.json({ 
       success: true, 
       message: "Product updated successfully",
@@ -215,24 +394,46 @@ router.put("/products/:id", async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Update Product Error:", err.message);
-    
-    if (err.name === 'ValidationError') {
-      const errors = Object.values(err.errors).map(error => error.message);
-      return res.status(400).json({ 
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
         success: false, 
-        error: "Validation failed: " + errors.join(', ') 
+        error: err.message 
+      });
+    }
+
+    // Another request saved the product between our read and write
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ 
+        success: false, 
+        error: "Product was modified by another request; reload it and try again" 
+      });
+    }
+
+    if (err.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: "SKU already used by another product" 
       });
     }
     
+    if (err.name === 'ValidationError') return sendValidationError(res, err);
+    
     res.status(500).json({ 
       success: false, 
       error: "Failed to update product: " + err.message 
     });
   }
-});
+};
+
+// REPLACE PRODUCT (full document; omitted optional fields are cleared)
+router.put("/products/:id", requireRole('admin', 'editor'), updateProduct(false));
 
-// DELETE PRODUCT with Cloudinary cleanup
-router.delete("/products/:id", async (req, res) => {
+// UPDATE PRODUCT (only the fields sent)
+router.patch("/products/:id", requireRole('admin', 'editor'), updateProduct(true));
+
+// DELETE PRODUCT - moves it to the trash; media is kept until it is purged
+router.delete("/products/:id", requireRole('admin'), async (req, res) => {
   try {
     const productId = req.params.id;
     
@@ -252,37 +453,15 @@ router.delete("/products/:id", async (req, res) => {
       });
     }
 
-    // Delete files from Cloudinary if they exist
-    if (existingProduct.image_url) {
-      const imagePublicId = extractPublicId(existingProduct.image_url);
-      if (imagePublicId) {
-        try {
-          await cloudinary.v2.uploader.destroy(imagePublicId);
-          console.log(`✅ Deleted image from Cloudinary: ${imagePublicId}`);
-        } catch (cloudinaryError) {
-          console.error(`⚠️ Error deleting image from Cloudinary: ${cloudinaryError.message}`);
-        }
-      }
-    }
-
-    if (existingProduct.video_url) {
-      const videoPublicId = extractPublicId(existingProduct.video_url);
-      if (videoPublicId) {
-        try {
-          await cloudinary.v2.uploader.destroy(videoPublicId, { resource_type: 'video' });
-          console.log(`✅ Deleted video from Cloudinary: ${videoPublicId}`);
-        } catch (cloudinaryError) {
-          console.error(`⚠️ Error deleting video from Cloudinary: ${cloudinaryError.message}`);
-        }
-      }
-    }
-
-    // Delete product from database
-    await Product.findByIdAndDelete(productId);
+    await trashProduct(existingProduct, req.user.id);
 
     res.json({ 
       success: true, 
-      message: "Product deleted successfully"
+      message: "Product moved to trash",
+      data: {
+        _id: existingProduct._id,
+        deleted_at: existingProduct.deleted_at
+      }
     });
   } catch (err) {
     console.error("❌ Delete Product Error:", err.message);
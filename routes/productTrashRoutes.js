@@ -0,0 +1,107 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Product from "../models/Product.js";
+import { restoreProduct, purgeProduct, TRASH_RETENTION_DAYS } from "../services/trash.js";
+import { requireRole } from "../middleware/auth.js";
+
+// Mounted before productRoutes so /products/trash is not taken for a product ID
+const router = express.Router();
+
+// Load a trashed product, or send the 400/404 response and return null
+const findTrashedOr404 = async (req, res) => {
+  const productId = req.params.id;
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid product ID format"
+    });
+    return null;
+  }
+
+  const product = await Product.findOne({ _id: productId, deleted_at: { $ne: null } });
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      error: "Product not found in trash"
+    });
+    return null;
+  }
+
+  return product;
+};
+
+// LIST TRASH
+router.get("/products/trash", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const products = await Product.find({ deleted_at: { $ne: null } })
+      .sort({ deleted_at: -1 })
+      .populate('deleted_by', 'name email')
+      .lean();
+
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    res.json({
+      success: true,
+      count: products.length,
+      retention_days: TRASH_RETENTION_DAYS,
+      data: products.map(product => ({
+        ...product,
+        purge_after: new Date(new Date(product.deleted_at).getTime() + retentionMs)
+      }))
+    });
+  } catch (err) {
+    console.error("❌ Get Trash Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch trash: " + err.message
+    });
+  }
+});
+
+// RESTORE FROM TRASH
+router.post("/products/:id/restore", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const product = await findTrashedOr404(req, res);
+    if (!product) return;
+
+    await restoreProduct(product, req.user.id);
+
+    console.log(`♻️ Product restored from trash: ${product._id}`);
+    res.json({
+      success: true,
+      message: "Product restored successfully",
+      data: product
+    });
+  } catch (err) {
+    console.error("❌ Restore Product Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore product: " + err.message
+    });
+  }
+});
+
+// PURGE PERMANENTLY (deletes stored media too)
+router.delete("/products/:id/purge", requireRole('admin'), async (req, res) => {
+  try {
+    const product = await findTrashedOr404(req, res);
+    if (!product) return;
+
+    await purgeProduct(product, req.user.id);
+
+    console.log(`🔥 Product purged: ${product._id}`);
+    res.json({
+      success: true,
+      message: "Product permanently deleted"
+    });
+  } catch (err) {
+    console.error("❌ Purge Product Error:", err.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to purge product: " + err.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,222 @@
+import express from "express";
+import mongoose from 'mongoose';
+import { normalizeAttributeKey, isValidAttributeKey } from "../models/Product.js";
+import { removeMediaAssets } from "../storage/index.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { findProductOr404, sendValidationError } from "../utils/routeHelpers.js";
+import { assertUploadsConfirmed } from "../services/directUploads.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const VARIANT_FIELDS = ['sku', 'attributes', 'dimensions', 'price_new', 'media'];
+
+// Validate and normalise an attributes object; returns { attributes } or { error }
+const parseAttributes = (input) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: "attributes must be an object of name/value pairs" };
+  }
+
+  const attributes = {};
+  for (const [rawKey, rawValue] of Object.entries(input)) {
+    const key = normalizeAttributeKey(rawKey);
+    if (!isValidAttributeKey(key)) {
+      return { error: `Invalid attribute name "${rawKey}"` };
+    }
+    if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+      return { error: `Attribute "${rawKey}" must be a string or number` };
+    }
+    attributes[key] = String(rawValue).trim();
+  }
+  return { attributes };
+};
+
+// Pick the variant fields present in the body; returns { data } or { error }
+const parseVariantBody = (body = {}) => {
+  const data = {};
+
+  VARIANT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (data.attributes !== undefined) {
+    const { attributes, error } = parseAttributes(data.attributes);
+    if (error) return { error };
+    data.attributes = attributes;
+  }
+
+  if (data.price_new !== undefined) {
+    data.price_new = parseFloat(data.price_new);
+  }
+
+  if (data.media !== undefined && !Array.isArray(data.media)) {
+    return { error: "media must be an array" };
+  }
+
+  return { data };
+};
+
+const findVariantOr404 = (product, req, res) => {
+  const variant = mongoose.Types.ObjectId.isValid(req.params.variantId) && product.variants.id(req.params.variantId);
+  if (!variant) {
+    res.status(404).json({
+      success: false,
+      error: "Variant not found"
+    });
+    return null;
+  }
+  return variant;
+};
+
+const handleVariantError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Variant Error:`, err.message);
+
+  if (err.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: "A variant with this SKU already exists"
+    });
+  }
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} variant: ` + err.message
+  });
+};
+
+// LIST VARIANTS of a product
+router.get("/products/:id/variants", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    res.json({
+      success: true,
+      count: product.variants.length,
+      data: product.variants
+    });
+  } catch (err) {
+    handleVariantError(res, err, 'Fetch');
+  }
+});
+
+// GET SINGLE VARIANT
+router.get("/products/:id/variants/:variantId", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const variant = findVariantOr404(product, req, res);
+    if (!variant) return;
+
+    res.json({
+      success: true,
+      data: variant
+    });
+  } catch (err) {
+    handleVariantError(res, err, 'Fetch');
+  }
+});
+
+// CREATE VARIANT
+router.post("/products/:id/variants", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { data, error } = parseVariantBody(req.body);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (!data.sku || data.price_new === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: sku, price_new"
+      });
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    await assertUploadsConfirmed((data.media || []).map(item => item && item.url));
+    product.variants.push(data);
+    await product.save();
+
+    const variant = product.variants[product.variants.length - 1];
+    console.log(`✅ Variant ${variant.sku} added to product ${product._id}`);
+    res.status(201).json({
+      success: true,
+      message: "Variant created successfully",
+      data: variant
+    });
+  } catch (err) {
+    handleVariantError(res, err, 'Create');
+  }
+});
+
+// UPDATE VARIANT (only the fields sent are changed)
+router.put("/products/:id/variants/:variantId", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { data, error } = parseVariantBody(req.body);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const variant = findVariantOr404(product, req, res);
+    if (!variant) return;
+
+    await assertUploadsConfirmed((data.media || []).map(item => item && item.url));
+    const previousMedia = variant.media.map(item => item.toObject());
+    variant.set(data);
+    await product.save();
+
+    // Clean up files that were dropped from the variant's media
+    if (data.media !== undefined) {
+      const keptUrls = new Set(variant.media.map(item => item.url));
+      await removeMediaAssets(previousMedia.filter(item => !keptUrls.has(item.url)));
+    }
+
+    res.json({
+      success: true,
+      message: "Variant updated successfully",
+      data: variant
+    });
+  } catch (err) {
+    handleVariantError(res, err, 'Update');
+  }
+});
+
+// DELETE VARIANT and its media
+router.delete("/products/:id/variants/:variantId", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const variant = findVariantOr404(product, req, res);
+    if (!variant) return;
+
+    const removedMedia = variant.media.map(item => item.toObject());
+    product.variants.pull(variant._id);
+    await product.save();
+
+    await removeMediaAssets(removedMedia);
+
+    res.json({
+      success: true,
+      message: "Variant deleted successfully"
+    });
+  } catch (err) {
+    handleVariantError(res, err, 'Delete');
+  }
+});
+
+export default router;
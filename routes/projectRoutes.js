@@ -0,0 +1,151 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Project, { coverUrl } from "../models/Project.js";
+import {
+  PROJECT_CARD_FIELDS,
+  toProjectCard,
+  applyProjectChanges,
+  parseProjectFilter
+} from "../services/projects.js";
+import { attachPricing } from "../services/pricing.js";
+import { removeMediaAssets } from "../storage/index.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+const canSeeDrafts = (req) => Boolean(req.user && ['admin', 'editor', 'viewer'].includes(req.user.role));
+
+const handleProjectError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Project Error:`, err.message);
+
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: "A project with this slug already exists" });
+  }
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} project: ` + err.message
+  });
+};
+
+// Projects are addressed by id or slug
+const findProjectOr404 = async (ref) => {
+  const filter = mongoose.Types.ObjectId.isValid(ref) ? { _id: ref } : { slug: String(ref).toLowerCase() };
+  const project = await Project.findOne(filter);
+  if (!project) throw new HttpError(404, "Project not found");
+  return project;
+};
+
+// LIST PROJECTS (?style=, ?room=, ?product=, ?city=; staff may pass ?include_drafts=true)
+router.get("/projects", optionalAuthenticate, async (req, res) => {
+  try {
+    const filter = parseProjectFilter(req.query);
+    if (!(canSeeDrafts(req) && req.query.include_drafts === 'true')) filter.is_published = true;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 100);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const [projects, total] = await Promise.all([
+      Project.find(filter)
+        .select(PROJECT_CARD_FIELDS + ' is_published')
+        .sort({ display_order: 1, completed_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Project.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: projects.length,
+      total,
+      data: projects.map(toProjectCard)
+    });
+  } catch (err) {
+    handleProjectError(res, err, 'Fetch');
+  }
+});
+
+// PROJECT DETAIL by id or slug, with the products used
+router.get("/projects/:ref", optionalAuthenticate, async (req, res) => {
+  try {
+    const project = await findProjectOr404(req.params.ref);
+    if (!project.is_published && !canSeeDrafts(req)) throw new HttpError(404, "Project not found");
+
+    await project.populate({
+      path: 'products',
+      select: 'product_name brand category category_id price_new image_url',
+      match: canSeeDrafts(req) ? {} : { status: 'published' }
+    });
+    const data = project.toObject();
+    data.products = await attachPricing(data.products);
+
+    res.json({ success: true, data: { ...data, cover_url: coverUrl(data) } });
+  } catch (err) {
+    handleProjectError(res, err, 'Fetch');
+  }
+});
+
+// CREATE PROJECT (media comes from /api/upload)
+router.post("/projects", requireRole(...STAFF), async (req, res) => {
+  try {
+    if (!req.body || !req.body.title) {
+      return res.status(400).json({ success: false, error: "Missing required field: title" });
+    }
+
+    const project = new Project();
+    await applyProjectChanges(project, req.body);
+    await project.save();
+
+    console.log(`✅ Project created: ${project.slug}`);
+    res.status(201).json({
+      success: true,
+      message: "Project created successfully",
+      data: project
+    });
+  } catch (err) {
+    handleProjectError(res, err, 'Create');
+  }
+});
+
+// UPDATE PROJECT (fields sent only; `media` replaces the gallery and removed files are deleted)
+router.put("/projects/:ref", requireRole(...STAFF), async (req, res) => {
+  try {
+    const project = await findProjectOr404(req.params.ref);
+    const removedMedia = await applyProjectChanges(project, req.body || {});
+    await project.save();
+    await removeMediaAssets(removedMedia);
+
+    res.json({
+      success: true,
+      message: "Project updated successfully",
+      data: project
+    });
+  } catch (err) {
+    handleProjectError(res, err, 'Update');
+  }
+});
+
+// DELETE PROJECT and its media
+router.delete("/projects/:ref", requireRole('admin'), async (req, res) => {
+  try {
+    const project = await findProjectOr404(req.params.ref);
+    await project.deleteOne();
+    await removeMediaAssets(project.media);
+
+    res.json({ success: true, message: "Project deleted successfully" });
+  } catch (err) {
+    handleProjectError(res, err, 'Delete');
+  }
+});
+
+export default router;
@@ -0,0 +1,138 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Promotion from "../models/Promotion.js";
+import { requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'discount_type',
+  'discount_value',
+  'starts_at',
+  'ends_at',
+  'products',
+  'categories',
+  'brands',
+  'is_active'
+];
+const PROMOTION_STATES = ['active', 'scheduled', 'expired', 'disabled'];
+
+const handlePromotionError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Promotion Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} promotion: ` + err.message
+  });
+};
+
+const findPromotionOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid promotion ID format");
+  const promotion = await Promotion.findById(id);
+  if (!promotion) throw new HttpError(404, "Promotion not found");
+  return promotion;
+};
+
+// Mongo filter for a promotion's state at `now`
+const stateFilter = (state, now) => {
+  switch (state) {
+    case 'active': return { is_active: true, starts_at: { $lte: now }, ends_at: { $gt: now } };
+    case 'scheduled': return { is_active: true, starts_at: { $gt: now } };
+    case 'expired': return { ends_at: { $lte: now } };
+    default: return { is_active: false };
+  }
+};
+
+// LIST PROMOTIONS (optionally ?state=active|scheduled|expired|disabled)
+router.get("/promotions", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const { state } = req.query;
+    let filter = {};
+
+    if (state !== undefined) {
+      if (!PROMOTION_STATES.includes(state)) {
+        throw new HttpError(400, "state must be one of: " + PROMOTION_STATES.join(', '));
+      }
+      filter = stateFilter(state, new Date());
+    }
+
+    const promotions = await Promotion.find(filter).sort({ starts_at: -1 }).lean();
+    res.json({ success: true, count: promotions.length, data: promotions });
+  } catch (err) {
+    handlePromotionError(res, err, 'Fetch');
+  }
+});
+
+// GET PROMOTION
+router.get("/promotions/:id", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const promotion = await findPromotionOr404(req.params.id);
+    res.json({ success: true, data: promotion });
+  } catch (err) {
+    handlePromotionError(res, err, 'Fetch');
+  }
+});
+
+// CREATE PROMOTION
+router.post("/promotions", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const promotion = new Promotion({ created_by: req.user.id });
+    PROMOTION_FIELDS.forEach(field => {
+      if (body[field] !== undefined) promotion.set(field, body[field]);
+    });
+    await promotion.save();
+
+    console.log(`✅ Promotion created: ${promotion.name}`);
+    res.status(201).json({
+      success: true,
+      message: "Promotion created successfully",
+      data: promotion
+    });
+  } catch (err) {
+    handlePromotionError(res, err, 'Create');
+  }
+});
+
+// UPDATE PROMOTION (fields sent only)
+router.put("/promotions/:id", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const promotion = await findPromotionOr404(req.params.id);
+    const body = req.body || {};
+    PROMOTION_FIELDS.forEach(field => {
+      if (body[field] !== undefined) promotion.set(field, body[field]);
+    });
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: "Promotion updated successfully",
+      data: promotion
+    });
+  } catch (err) {
+    handlePromotionError(res, err, 'Update');
+  }
+});
+
+// DELETE PROMOTION
+router.delete("/promotions/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await findPromotionOr404(req.params.id);
+    await promotion.deleteOne();
+    res.json({ success: true, message: "Promotion deleted successfully" });
+  } catch (err) {
+    handlePromotionError(res, err, 'Delete');
+  }
+});
+
+export default router;
@@ -0,0 +1,248 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Quote, { QUOTE_STATUSES } from "../models/Quote.js";
+import {
+  nextQuoteNumber,
+  applyQuoteChanges,
+  reviseQuote,
+  changeQuoteStatus
+} from "../services/quotes.js";
+import { renderQuotePdf } from "../services/quotePdf.js";
+import { requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+import { escapeRegex } from "../utils/productSearch.js";
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+
+const handleQuoteError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Quote Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} quote: ` + err.message
+  });
+};
+
+const findQuoteOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid quote ID format");
+  const quote = await Quote.findById(id);
+  if (!quote) throw new HttpError(404, "Quote not found");
+  return quote;
+};
+
+// A stored revision shaped like a quote, for viewing or PDF rendering
+const revisionAsQuote = (quote, version) => {
+  if (version === quote.version) return quote.toObject();
+  const revision = quote.revisions.find(entry => entry.version === version);
+  if (!revision) throw new HttpError(404, `Version ${version} not found`);
+  return {
+    ...revision.toObject(),
+    _id: quote._id,
+    quote_number: quote.quote_number,
+    currency: quote.currency,
+    updated_at: revision.revised_at
+  };
+};
+
+// LIST QUOTES
+router.get("/quotes", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const { status, client } = req.query;
+    const filter = {};
+
+    if (status !== undefined) {
+      if (!QUOTE_STATUSES.includes(status)) {
+        throw new HttpError(400, "status must be one of: " + QUOTE_STATUSES.join(', '));
+      }
+      filter.status = status;
+    }
+    if (typeof client === 'string' && client.trim()) {
+      const pattern = new RegExp(escapeRegex(client.trim()), 'i');
+      filter.$or = [{ 'client.name': pattern }, { 'client.email': pattern }, { quote_number: pattern }];
+    }
+
+    const quotes = await Quote.find(filter)
+      .select('-revisions -rooms -labour')
+      .sort({ created_at: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ success: true, count: quotes.length, data: quotes });
+  } catch (err) {
+    handleQuoteError(res, err, 'Fetch');
+  }
+});
+
+// GET QUOTE (current version)
+router.get("/quotes/:id", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+    res.json({ success: true, data: quote });
+  } catch (err) {
+    handleQuoteError(res, err, 'Fetch');
+  }
+});
+
+// CREATE QUOTE (starts as draft v1)
+router.post("/quotes", requireRole(...STAFF), async (req, res) => {
+  try {
+    if (!req.body || !req.body.client) {
+      return res.status(400).json({ success: false, error: "Missing required field: client" });
+    }
+
+    const quote = new Quote({
+      quote_number: await nextQuoteNumber(),
+      created_by: req.user.id,
+      status_history: [{ status: 'draft', changed_at: new Date(), changed_by: req.user.id }]
+    });
+    await applyQuoteChanges(quote, req.body);
+    await quote.save();
+
+    console.log(`✅ Quote created: ${quote.quote_number}`);
+    res.status(201).json({
+      success: true,
+      message: "Quote created successfully",
+      data: quote
+    });
+  } catch (err) {
+    handleQuoteError(res, err, 'Create');
+  }
+});
+
+// EDIT A DRAFT in place (sent quotes must be revised instead)
+router.put("/quotes/:id", requireRole(...STAFF), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+
+    if (quote.status !== 'draft') {
+      throw new HttpError(409, `Only draft quotes can be edited; create a revision of this ${quote.status} quote`);
+    }
+
+    await applyQuoteChanges(quote, req.body);
+    await quote.save();
+
+    res.json({
+      success: true,
+      message: "Quote updated successfully",
+      data: quote
+    });
+  } catch (err) {
+    handleQuoteError(res, err, 'Update');
+  }
+});
+
+// REVISE: snapshot the current version and open the next one as a draft
+router.post("/quotes/:id/revisions", requireRole(...STAFF), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+    await reviseQuote(quote, req.body || {}, req.user.id);
+    await quote.save();
+
+    console.log(`✅ Quote ${quote.quote_number} revised to v${quote.version}`);
+    res.status(201).json({
+      success: true,
+      message: `Quote revised to version ${quote.version}`,
+      data: quote
+    });
+  } catch (err) {
+    handleQuoteError(res, err, 'Revise');
+  }
+});
+
+// LIST VERSIONS
+router.get("/quotes/:id/revisions", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+    const versions = [
+      ...quote.revisions.map(revision => ({
+        version: revision.version,
+        status: revision.status,
+        grand_total: revision.totals && revision.totals.grand_total,
+        revised_at: revision.revised_at
+      })),
+      { version: quote.version, status: quote.status, grand_total: quote.totals.grand_total, current: true }
+    ];
+    res.json({ success: true, count: versions.length, data: versions });
+  } catch (err) {
+    handleQuoteError(res, err, 'Fetch');
+  }
+});
+
+// GET A SPECIFIC VERSION
+router.get("/quotes/:id/revisions/:version", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+    res.json({ success: true, data: revisionAsQuote(quote, Number(req.params.version)) });
+  } catch (err) {
+    handleQuoteError(res, err, 'Fetch');
+  }
+});
+
+// CHANGE STATUS: draft -> sent -> accepted | rejected (a sent quote only returns to draft through a revision)
+router.patch("/quotes/:id/status", requireRole(...STAFF), async (req, res) => {
+  try {
+    const { status } = req.body || {};
+
+    if (!QUOTE_STATUSES.includes(status)) {
+      throw new HttpError(400, "status must be one of: " + QUOTE_STATUSES.join(', '));
+    }
+
+    const quote = await findQuoteOr404(req.params.id);
+    changeQuoteStatus(quote, status, req.user.id);
+    await quote.save();
+
+    res.json({
+      success: true,
+      message: `Quote marked as ${status}`,
+      data: quote
+    });
+  } catch (err) {
+    handleQuoteError(res, err, 'Update Status');
+  }
+});
+
+// DOWNLOAD PDF (current version, or ?version=N)
+router.get("/quotes/:id/pdf", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+    const version = req.query.version === undefined ? quote.version : Number(req.query.version);
+    const data = revisionAsQuote(quote, version);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${quote.quote_number}-v${version}.pdf"`);
+    renderQuotePdf(data, res);
+  } catch (err) {
+    if (res.headersSent) {
+      console.error("❌ Quote PDF Error:", err.message);
+      return res.end();
+    }
+    handleQuoteError(res, err, 'Render');
+  }
+});
+
+// DELETE A DRAFT
+router.delete("/quotes/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const quote = await findQuoteOr404(req.params.id);
+
+    if (quote.status !== 'draft' || quote.revisions.length > 0) {
+      throw new HttpError(409, "Only unsent draft quotes can be deleted");
+    }
+
+    await quote.deleteOne();
+    res.json({ success: true, message: "Quote deleted successfully" });
+  } catch (err) {
+    handleQuoteError(res, err, 'Delete');
+  }
+});
+
+export default router;
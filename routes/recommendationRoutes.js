@@ -0,0 +1,150 @@
+import express from "express";
+import mongoose from 'mongoose';
+import PairingRule from "../models/PairingRule.js";
+import {
+  relatedProducts,
+  completeTheRoom,
+  applyPairingRuleChanges,
+  invalidateRecommendations
+} from "../services/recommendations.js";
+import { attachPricing } from "../services/pricing.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { findProductOr404, sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const MAX_RELATED = 24;
+
+const handleRecommendationError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Recommendation Error:`, err.message);
+
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, error: "That category already has a pairing rule" });
+  }
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} recommendations: ` + err.message
+  });
+};
+
+const findPairingRuleOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid pairing rule ID format");
+  const rule = await PairingRule.findById(id);
+  if (!rule) throw new HttpError(404, "Pairing rule not found");
+  return rule;
+};
+
+// RELATED PRODUCTS (?limit=, default 8); prices are applied fresh on every request
+router.get("/products/:id/related", optionalAuthenticate, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 8 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED) {
+      throw new HttpError(400, `limit must be an integer between 1 and ${MAX_RELATED}`);
+    }
+
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const related = await attachPricing(await relatedProducts(product, { limit }));
+    res.json({ success: true, count: related.length, data: related });
+  } catch (err) {
+    handleRecommendationError(res, err, 'Fetch');
+  }
+});
+
+// COMPLETE THE ROOM: suggestions from the complementary categories of the product's pairing rule
+router.get("/products/:id/complete-the-room", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const { rule, groups } = await completeTheRoom(product);
+    const priced = await Promise.all(groups.map(async (group) => ({
+      ...group,
+      products: await attachPricing(group.products)
+    })));
+
+    res.json({ success: true, rule, count: priced.length, data: priced });
+  } catch (err) {
+    handleRecommendationError(res, err, 'Fetch');
+  }
+});
+
+// LIST PAIRING RULES
+router.get("/pairing-rules", requireRole('admin', 'editor', 'viewer'), async (req, res) => {
+  try {
+    const rules = await PairingRule.find({})
+      .populate('category', 'name slug')
+      .populate('complements.category', 'name slug')
+      .sort({ created_at: -1 })
+      .lean();
+    res.json({ success: true, count: rules.length, data: rules });
+  } catch (err) {
+    handleRecommendationError(res, err, 'Fetch');
+  }
+});
+
+// CREATE PAIRING RULE ({ category, complements: [{ category, label, limit }] }; categories by id or slug)
+router.post("/pairing-rules", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.category) {
+      return res.status(400).json({ success: false, error: "Missing required field: category" });
+    }
+
+    const rule = new PairingRule({ created_by: req.user.id });
+    await applyPairingRuleChanges(rule, body);
+    await rule.save();
+    invalidateRecommendations();
+
+    console.log(`✅ Pairing rule created for category ${rule.category}`);
+    res.status(201).json({
+      success: true,
+      message: "Pairing rule created successfully",
+      data: rule
+    });
+  } catch (err) {
+    handleRecommendationError(res, err, 'Create');
+  }
+});
+
+// UPDATE PAIRING RULE (fields sent only; complements are replaced as a whole)
+router.put("/pairing-rules/:id", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const rule = await findPairingRuleOr404(req.params.id);
+    await applyPairingRuleChanges(rule, req.body || {});
+    await rule.save();
+    invalidateRecommendations();
+
+    res.json({
+      success: true,
+      message: "Pairing rule updated successfully",
+      data: rule
+    });
+  } catch (err) {
+    handleRecommendationError(res, err, 'Update');
+  }
+});
+
+// DELETE PAIRING RULE
+router.delete("/pairing-rules/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await findPairingRuleOr404(req.params.id);
+    await rule.deleteOne();
+    invalidateRecommendations();
+
+    res.json({ success: true, message: "Pairing rule deleted successfully" });
+  } catch (err) {
+    handleRecommendationError(res, err, 'Delete');
+  }
+});
+
+export default router;
@@ -0,0 +1,184 @@
+import express from "express";
+import mongoose from 'mongoose';
+import Review, { REVIEW_STATUSES } from "../models/Review.js";
+import {
+  PUBLIC_REVIEW_FIELDS,
+  parseReviewPhotos,
+  createReview,
+  moderateReview,
+  deleteReview
+} from "../services/reviews.js";
+import { optionalAuthenticate, requireRole } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { findProductOr404, sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+const REVIEW_SORTS = {
+  newest: { created_at: -1 },
+  highest: { rating: -1, created_at: -1 },
+  lowest: { rating: 1, created_at: -1 }
+};
+
+const reviewLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Too many reviews from this address, please try again later"
+});
+
+const handleReviewError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Review Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} review: ` + err.message
+  });
+};
+
+const reviewIdOr400 = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid review ID format");
+  return id;
+};
+
+// SUBMIT A REVIEW (public; held for moderation)
+router.post("/products/:id/reviews", optionalAuthenticate, reviewLimiter, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const body = req.body || {};
+    // Same honeypot convention as inquiries: only bots fill the hidden field
+    if (body.website) {
+      return res.status(201).json({ success: true, message: "Thank you! Your review will appear once it has been approved." });
+    }
+
+    const review = await createReview({
+      product: product._id,
+      rating: Number(body.rating),
+      title: body.title || '',
+      body: body.body || '',
+      author_name: body.author_name,
+      author_email: body.author_email || '',
+      photos: parseReviewPhotos(body.photos),
+      ip: req.ip || ''
+    });
+
+    console.log(`📝 Review ${review._id} submitted for product ${product._id}`);
+    res.status(201).json({
+      success: true,
+      message: "Thank you! Your review will appear once it has been approved."
+    });
+  } catch (err) {
+    handleReviewError(res, err, 'Submit');
+  }
+});
+
+// APPROVED REVIEWS of a product, with its rating summary (?sort=newest|highest|lowest, ?rating=N)
+router.get("/products/:id/reviews", optionalAuthenticate, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res, { visibleOnly: true });
+    if (!product) return;
+
+    const sort = req.query.sort === undefined ? 'newest' : req.query.sort;
+    if (!REVIEW_SORTS[sort]) throw new HttpError(400, "sort must be one of: " + Object.keys(REVIEW_SORTS).join(', '));
+
+    const filter = { product: product._id, status: 'approved' };
+    if (req.query.rating !== undefined) {
+      const stars = Number(req.query.rating);
+      if (!Number.isInteger(stars) || stars < 1 || stars > 5) throw new HttpError(400, "rating must be 1-5");
+      filter.rating = stars;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const reviews = await Review.find(filter)
+      .select(PUBLIC_REVIEW_FIELDS)
+      .sort(REVIEW_SORTS[sort])
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      rating: product.rating,
+      count: reviews.length,
+      data: reviews
+    });
+  } catch (err) {
+    handleReviewError(res, err, 'Fetch');
+  }
+});
+
+// MODERATION QUEUE (?status=pending by default, ?product=)
+router.get("/reviews", requireRole(...STAFF), async (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'pending' : req.query.status;
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new HttpError(400, "status must be one of: " + REVIEW_STATUSES.join(', '));
+    }
+
+    const filter = { status };
+    if (req.query.product !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.product)) throw new HttpError(400, "Invalid product ID format");
+      filter.product = req.query.product;
+    }
+
+    const reviews = await Review.find(filter)
+      // Oldest first so the queue is worked in order
+      .sort({ created_at: status === 'pending' ? 1 : -1 })
+      .limit(200)
+      .populate('product', 'product_name image_url')
+      .lean();
+
+    res.json({ success: true, count: reviews.length, data: reviews });
+  } catch (err) {
+    handleReviewError(res, err, 'Fetch');
+  }
+});
+
+// APPROVE (counts towards the product's rating)
+router.post("/reviews/:id/approve", requireRole(...STAFF), async (req, res) => {
+  try {
+    const review = await moderateReview(reviewIdOr400(req.params.id), 'approved', { actor: req.user.id });
+    res.json({ success: true, message: "Review approved", data: review });
+  } catch (err) {
+    handleReviewError(res, err, 'Approve');
+  }
+});
+
+// REJECT ({ reason }; an approved review stops counting)
+router.post("/reviews/:id/reject", requireRole(...STAFF), async (req, res) => {
+  try {
+    const review = await moderateReview(reviewIdOr400(req.params.id), 'rejected', {
+      actor: req.user.id,
+      reason: (req.body && req.body.reason) || ''
+    });
+    res.json({ success: true, message: "Review rejected", data: review });
+  } catch (err) {
+    handleReviewError(res, err, 'Reject');
+  }
+});
+
+// DELETE REVIEW and its photos
+router.delete("/reviews/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const review = await Review.findById(reviewIdOr400(req.params.id));
+    if (!review) throw new HttpError(404, "Review not found");
+
+    await deleteReview(review);
+    res.json({ success: true, message: "Review deleted successfully" });
+  } catch (err) {
+    handleReviewError(res, err, 'Delete');
+  }
+});
+
+export default router;
@@ -1,146 +1,175 @@
 import express from "express";
+import mongoose from 'mongoose';
 import multer from "multer";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
-import cloudinary from "cloudinary";
+import DirectUpload from "../models/DirectUpload.js";
+import ReviewPhoto from "../models/ReviewPhoto.js";
+import { getStorage, notifyAssetDeleted, removeMediaAssets } from "../storage/index.js";
+import { resourceTypeFromFilename } from "../storage/utils.js";
+import { issueDirectUpload, confirmDirectUpload } from "../services/directUploads.js";
+import { requireRole } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { HttpError } from "../utils/HttpError.js";
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const router = express.Router();
 
-// Validate Cloudinary configuration
-if (!process.env.CLOUDINARY_CLOUD_NAME || 
-    !process.env.CLOUDINARY_API_KEY || 
-    !process.env.CLOUDINARY_API_SECRET) {
-  console.error("❌ Cloudinary environment variables are missing!");
-  throw new Error("Cloudinary configuration is incomplete");
-}
-
-// Configure Cloudinary
-cloudinary.v2.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-  secure: true
-});
+// Media storage adapter (Cloudinary or local disk, see storage/index.js)
+const storage = getStorage();
 
-// Helper function to sanitize filenames
-const sanitizeFilename = (filename) => {
-  if (!filename) return 'uploaded-file';
-  
-  // Remove zero-width spaces and special characters
-  let cleanName = filename
-    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width spaces
-    .replace(/[^\w\s.-]/gi, '') // Remove special characters except dots and hyphens
-    .replace(/\s+/g, '_') // Replace spaces with underscores
-    .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-    .trim();
-  
-  // Ensure it has an extension
-  const hasExtension = cleanName.includes('.');
-  const nameWithoutExt = hasExtension ? cleanName.substring(0, cleanName.lastIndexOf('.')) : cleanName;
-  const ext = hasExtension ? filename.split('.').pop().substring(0, 10) : '';
-  
-  // Limit total length to 100 characters
-  const finalName = nameWithoutExt.substring(0, 90 - ext.length);
-  return ext ? `${finalName}.${ext}` : finalName;
-};
-
-// Configure Cloudinary storage for Multer
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary.v2,
-  params: {
-    folder: 'interior-design-products',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'mp4', 'mov', 'avi', 'webm', 'mkv'],
-    resource_type: 'auto', // Automatically detect image or video
-    transformation: [
-      { width: 1000, height: 1000, crop: 'limit', quality: 'auto' }
-    ],
-    unique_filename: true,
-    overwrite: false
-  },
-  filename: (req, file, cb) => {
-    const sanitizedFilename = sanitizeFilename(file.originalname);
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 9);
-    const nameWithoutExt = sanitizedFilename.substring(0, sanitizedFilename.lastIndexOf('.'));
-    const extension = sanitizedFilename.substring(sanitizedFilename.lastIndexOf('.') + 1);
-    const finalFilename = `${nameWithoutExt}-${timestamp}-${randomString}.${extension}`;
-    cb(null, finalFilename);
-  }
-});
+// Allow images and videos
+const UPLOAD_TYPES = [
+  'image/jpeg', 'image/jpg', 'image/png', 'image/gif',
+  'video/mp4', 'video/mov', 'video/avi', 'video/webm', 'video/x-matroska'
+];
+const UPLOAD_TYPE_ERROR = "Only images (JPEG, PNG, GIF) and videos (MP4, MOV, AVI, WEBM) are allowed";
+const MAX_BATCH_FILES = 20;
 
 const upload = multer({
-  storage: storage,
+  storage: storage.multerStorage,
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Allow images and videos
-    const allowedTypes = [
-      'image/jpeg', 'image/jpg', 'image/png', 'image/gif',
-      'video/mp4', 'video/mov', 'video/avi', 'video/webm', 'video/x-matroska'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (UPLOAD_TYPES.includes(file.mimetype)) {
       // Log the file being uploaded
       console.log(`📤 File accepted: ${file.originalname} (${file.mimetype})`);
       cb(null, true);
     } else {
       console.log(`❌ File rejected: ${file.originalname} (${file.mimetype})`);
-      cb(new Error("Only images (JPEG, PNG, GIF) and videos (MP4, MOV, AVI, WEBM) are allowed"));
+      cb(new HttpError(400, UPLOAD_TYPE_ERROR));
     }
   }
 });
 
-// Test Cloudinary connection before upload route
-router.get("/upload/test-cloudinary", async (req, res) => {
+// Store every file of a batch on its own: a storage failure is recorded on the file
+// (file.storageError) instead of aborting the request, and a stored file keeps what
+// the storage returned (file.stored)
+const independentStorage = (engine) => ({
+  _handleFile: (req, file, cb) => {
+    engine._handleFile(req, file, (error, info) => {
+      if (error) {
+        console.log(`❌ File not stored: ${file.originalname} (${error.message})`);
+        file.storageError = error.message || "Upload failed";
+        file.stream.resume();
+        return cb(null, {});
+      }
+      file.stored = info;
+      cb(null, info);
+    });
+  },
+  _removeFile: (req, file, cb) => (file.storageError ? cb(null) : engine._removeFile(req, file, cb))
+});
+
+// Batch uploads skip unsupported files and files storage refused instead of failing the
+// whole request. req.batchFiles keeps every file in the order it was sent.
+const batchUpload = multer({
+  storage: independentStorage(storage.multerStorage),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB per file
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    req.batchFiles = [...(req.batchFiles || []), file];
+    if (UPLOAD_TYPES.includes(file.mimetype)) return cb(null, true);
+    console.log(`❌ File rejected: ${file.originalname} (${file.mimetype})`);
+    file.rejection = UPLOAD_TYPE_ERROR;
+    cb(null, false);
+  }
+});
+
+// Test storage connection before upload route
+const testStorage = async (req, res) => {
   try {
-    console.log("🔍 Testing Cloudinary connection...");
+    console.log(`🔍 Testing ${storage.name} storage...`);
     
-    // Test with a simple API call
-    const result = await cloudinary.v2.api.ping();
+    const details = await storage.ping();
     
-    // Also test uploader with a small operation
-    const uploadTest = await cloudinary.v2.uploader.upload('data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCI+PHJlY3Qgd2lkdGg9IjEwMCIgaGVpZ2h0PSIxMDAiIGZpbGw9IiNmZmYiLz48L3N2Zz4=', {
-      public_id: 'test-connection',
-      folder: 'interior-design-products',
-      overwrite: true
-    });
-    
-    console.log("✅ Cloudinary connection successful:", {
-      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-      testUpload: uploadTest.secure_url
-    });
+    console.log(`✅ ${storage.name} storage check successful:`, details);
     
     res.json({
       success: true,
-      message: "Cloudinary connection and upload test successful",
-      cloudinary: {
-        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      message: `${storage.name} storage connection test successful`,
+      storage: {
+        driver: storage.name,
         status: "Connected",
-        test_upload_url: uploadTest.secure_url,
+        ...details,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error("❌ Cloudinary test failed:", error.message);
+    console.error(`❌ ${storage.name} storage test failed:`, error.message);
     console.error("Full error:", error);
     
     res.status(500).json({
       success: false,
-      error: "Cloudinary connection failed",
+      error: `${storage.name} storage connection failed`,
       details: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
+};
+
+router.get("/upload/test-storage", requireRole('admin'), testStorage);
+
+// Kept for existing clients; only meaningful with the Cloudinary driver
+router.get("/upload/test-cloudinary", requireRole('admin'), (req, res) => {
+  if (storage.name !== 'cloudinary') {
+    return res.status(400).json({
+      success: false,
+      error: `Cloudinary is not the active storage driver (using ${storage.name})`
+    });
+  }
+  return testStorage(req, res);
+});
+
+// Customer photos for product reviews: anyone may upload, but only small images and not often
+const REVIEW_PHOTO_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+const reviewPhotoUpload = multer({
+  storage: storage.multerStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (REVIEW_PHOTO_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new HttpError(400, "Review photos must be JPEG or PNG images"));
+  }
 });
 
-// Single file upload endpoint - Uploads to Cloudinary
-// Update your upload route - Replace the entire POST /upload handler:
-router.post("/upload", upload.single("file"), async (req, res) => {
+const reviewPhotoLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: "Too many photo uploads from this address, please try again later"
+});
+
+// Record each review photo so reviews can only use (and later delete) files uploaded here
+const recordReviewPhoto = async (req, res, next) => {
+  if (!req.file) return next();
+
+  const asset = storage.describeUpload(req.file);
+  if (!asset.url) return next();
+
   try {
-    console.log("📁 Cloudinary upload request received");
+    await ReviewPhoto.create({
+      public_id: asset.publicId,
+      url: asset.url,
+      resource_type: asset.resourceType,
+      ip: req.ip || ''
+    });
+  } catch (error) {
+    console.error("❌ Review photo record error:", error.message);
+    await removeMediaAssets([{ url: asset.url, public_id: asset.publicId, type: asset.resourceType }]);
+    return res.status(500).json({ success: false, error: "Failed to record review photo: " + error.message });
+  }
+  next();
+};
+
+// Single file upload endpoint - Uploads through the configured storage adapter
+const handleUpload = async (req, res) => {
+  try {
+    console.log(`📁 Upload request received (${storage.name} storage)`);
     
     if (!req.file) {
       console.log("❌ No file in request");
@@ -150,55 +179,33 @@ router.post("/upload", upload.single("file"), async (req, res) => {
       });
     }
 
-    console.log("✅ File uploaded to Cloudinary:", req.file);
-    
-    // Extract Cloudinary URL from path property
-    const cloudinaryUrl = req.file.path;
+    const asset = storage.describeUpload(req.file);
     
-    if (!cloudinaryUrl) {
-      console.error("❌ No Cloudinary URL found in file object");
+    if (!asset.url) {
+      console.error("❌ No URL found in uploaded file object");
       return res.status(500).json({
         success: false,
-        error: "Cloudinary upload failed - no URL returned",
+        error: `${storage.name} upload failed - no URL returned`,
         fileInfo: req.file
       });
     }
     
-    // Extract public_id from the URL
-    // URL format: https://res.cloudinary.com/dc2sd6qcd/image/upload/v1765727739/interior-design-products/lab0bq64vfedaefwegg7.png
-    const urlParts = cloudinaryUrl.split('/');
-    const uploadIndex = urlParts.indexOf('upload');
-    let publicId = '';
-    
-    if (uploadIndex !== -1 && uploadIndex + 1 < urlParts.length) {
-      // Get everything after 'upload/'
-      const pathAfterUpload = urlParts.slice(uploadIndex + 1).join('/');
-      // Remove version prefix (v1234567890/) if present
-      publicId = pathAfterUpload.replace(/^v\d+\//, '');
-      // Remove file extension
-      publicId = publicId.replace(/\.[^/.]+$/, "");
-    }
-    
-    // Determine resource type from mimetype
-    const isVideo = req.file.mimetype.startsWith('video/');
-    const resourceType = isVideo ? 'video' : 'image';
-    
-    console.log("🌐 Extracted Cloudinary URL:", cloudinaryUrl);
-    console.log("🔑 Extracted Public ID:", publicId);
-    console.log("📁 File type:", resourceType);
+    console.log("🌐 Stored file URL:", asset.url);
+    console.log("🔑 Public ID:", asset.publicId);
+    console.log("📁 File type:", asset.resourceType);
 
     res.json({
       success: true,
-      message: `File uploaded to Cloudinary successfully as ${resourceType}`,
+      message: `File uploaded to ${storage.name} storage successfully as ${asset.resourceType}`,
       fileName: req.file.originalname,
-      filePath: cloudinaryUrl, // Use the path property
-      publicId: publicId,
-      type: resourceType,
-      bytes: req.file.size,
+      filePath: asset.url,
+      publicId: asset.publicId,
+      type: asset.resourceType,
+      bytes: asset.bytes,
       mimetype: req.file.mimetype
     });
   } catch (error) {
-    console.error("❌ Cloudinary upload error:", error.message);
+    console.error("❌ Upload error:", error.message);
     console.error("Stack trace:", error.stack);
     res.status(500).json({ 
       success: false, 
@@ -206,59 +213,183 @@ router.post("/upload", upload.single("file"), async (req, res) => {
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
-});
+};
+
+router.post("/upload", requireRole('admin', 'editor'), upload.single("file"), handleUpload);
+
+// Many files at once (field "files"); the response has a result ({ file, ok, error }) for every file sent
+router.post("/upload/batch", requireRole('admin', 'editor'), batchUpload.array("files", MAX_BATCH_FILES), async (req, res) => {
+  const sent = req.batchFiles || [];
+  const stored = sent.filter(file => file.stored);
 
-// Alternative upload endpoint using direct Cloudinary API (fallback)
-router.post("/upload-direct", async (req, res) => {
   try {
-    // This is a fallback method using direct Cloudinary upload
-    console.log("🔄 Using direct Cloudinary upload method");
-    
-    // You would need to handle multipart form data differently here
-    // For now, this is just a placeholder to show the alternative
-    
-    res.status(501).json({
-      success: false,
-      error: "Direct upload endpoint not implemented",
-      message: "Use the /upload endpoint with multer middleware"
+    if (sent.length === 0) {
+      return res.status(400).json({ success: false, error: `No files uploaded; send them in the "files" field` });
+    }
+
+    const results = sent.map(file => {
+      if (file.rejection) return { file: file.originalname, ok: false, error: file.rejection };
+      if (file.storageError) return { file: file.originalname, ok: false, error: file.storageError };
+
+      const asset = storage.describeUpload({ ...file, ...file.stored });
+      if (!asset.url) {
+        return { file: file.originalname, ok: false, error: `${storage.name} upload failed - no URL returned` };
+      }
+      return {
+        file: file.originalname,
+        ok: true,
+        filePath: asset.url,
+        publicId: asset.publicId,
+        type: asset.resourceType,
+        bytes: asset.bytes,
+        mimetype: file.mimetype
+      };
+    });
+    const succeeded = results.filter(result => result.ok).length;
+
+    console.log(`📤 Batch upload: ${succeeded}/${results.length} file(s) stored`);
+    res.status(succeeded > 0 ? 200 : 400).json({
+      success: succeeded > 0,
+      message: `${succeeded} of ${results.length} file(s) uploaded`,
+      uploaded: succeeded,
+      failed: results.length - succeeded,
+      results
     });
   } catch (error) {
-    console.error("Direct upload error:", error);
-    res.status(500).json({ success: false, error: error.message });
+    // Nothing was reported as uploaded, so nothing stored may be left behind
+    console.error("❌ Batch upload error:", error.message);
+    await Promise.all(stored.map(file => new Promise(resolve => {
+      storage.multerStorage._removeFile(req, { ...file, ...file.stored }, () => resolve());
+    })));
+    res.status(500).json({ success: false, error: error.message || "Upload failed" });
+  }
+});
+
+router.post("/upload/review-photo", reviewPhotoLimiter, reviewPhotoUpload.single("file"), recordReviewPhoto, handleUpload);
+
+const handleDirectUploadError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Direct Upload Error:`, err.message);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} direct upload: ` + err.message
+  });
+};
+
+const findDirectUploadOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid upload ID format");
+  const record = await DirectUpload.findById(id);
+  if (!record) throw new HttpError(404, "Upload not found");
+  return record;
+};
+
+// SIGN A DIRECT UPLOAD: { filename, resource_type?, bytes? } -> where and how the browser uploads the file
+router.post("/upload-direct", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const { filename, resource_type, bytes } = req.body || {};
+    if (!filename || typeof filename !== 'string') {
+      return res.status(400).json({ success: false, error: "Missing required field: filename" });
+    }
+
+    const { record, upload } = await issueDirectUpload({
+      filename,
+      resourceType: resource_type || resourceTypeFromFilename(filename),
+      bytes,
+      actor: req.user.id
+    });
+
+    console.log(`✍️ Signed direct upload ${record.public_id} (${storage.name} storage)`);
+    res.status(201).json({
+      success: true,
+      message: "Upload the file to the returned URL, then confirm it",
+      data: {
+        id: record._id,
+        public_id: record.public_id,
+        resource_type: record.resource_type,
+        allowed_formats: record.allowed_formats,
+        max_bytes: record.max_bytes,
+        expires_at: record.expires_at,
+        upload
+      }
+    });
+  } catch (err) {
+    handleDirectUploadError(res, err, 'Sign');
+  }
+});
+
+// RECEIVE A SIGNED UPLOAD (local storage only; the Cloudinary driver uploads to Cloudinary itself)
+router.put("/upload-direct/local/:publicId", async (req, res) => {
+  try {
+    if (typeof storage.receiveDirectUpload !== 'function') {
+      throw new HttpError(404, `Direct uploads go straight to ${storage.name} storage`);
+    }
+    // A JSON or form body has already been parsed away; the file must be the raw body
+    if (req._body) throw new HttpError(415, "Send the file itself as the request body");
+
+    const receipt = await storage.receiveDirectUpload(req.params.publicId, req.query, req, {
+      contentLength: Number(req.headers['content-length']) || 0
+    });
+
+    console.log(`📥 Direct upload received: ${receipt.public_id} (${receipt.bytes} bytes)`);
+    res.status(201).json({ success: true, ...receipt });
+  } catch (err) {
+    handleDirectUploadError(res, err, 'Receive');
   }
 });
 
-// Delete file from Cloudinary
-router.delete("/upload/:publicId", async (req, res) => {
+// CONFIRM A DIRECT UPLOAD with the storage receipt { version, signature } before it can be used
+router.post("/upload-direct/:id/confirm", requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const record = await findDirectUploadOr404(req.params.id);
+    await confirmDirectUpload(record, req.body || {});
+
+    res.json({
+      success: true,
+      message: "Upload confirmed",
+      fileName: record.original_filename,
+      filePath: record.url,
+      publicId: record.public_id,
+      type: record.resource_type,
+      bytes: record.bytes,
+      data: record
+    });
+  } catch (err) {
+    handleDirectUploadError(res, err, 'Confirm');
+  }
+});
+
+// Delete file from storage
+router.delete("/upload/:publicId", requireRole('admin', 'editor'), async (req, res) => {
   try {
     const { publicId } = req.params;
     const resourceType = req.query.type || 'image';
     
-    console.log(`🗑️ Deleting file from Cloudinary: ${publicId}, type: ${resourceType}`);
+    console.log(`🗑️ Deleting file from ${storage.name} storage: ${publicId}, type: ${resourceType}`);
     
-    const result = await cloudinary.v2.uploader.destroy(publicId, {
-      resource_type: resourceType,
-      invalidate: true
-    });
+    const { result, details } = await storage.remove(publicId, { resourceType });
     
-    console.log("Cloudinary delete result:", result);
+    console.log("Storage delete result:", result);
+    if (result === 'ok') notifyAssetDeleted(publicId, resourceType, storage.resolveUrl(publicId, { resourceType }));
     
-    if (result.result === 'ok' || result.result === 'not found') {
+    if (result === 'ok' || result === 'not found') {
       res.json({
         success: true,
-        message: result.result === 'not found' ? 
-          "File not found in Cloudinary (may have been deleted already)" : 
-          "File deleted from Cloudinary successfully"
+        message: result === 'not found' ? 
+          "File not found in storage (may have been deleted already)" : 
+          "File deleted from storage successfully"
       });
     } else {
       res.status(400).json({
         success: false,
-        error: result.result || "Failed to delete file",
-        details: result
+        error: result || "Failed to delete file",
+        details
       });
     }
   } catch (error) {
-    console.error("❌ Cloudinary delete error:", error);
+    console.error("❌ Storage delete error:", error);
     res.status(500).json({ 
       success: false, 
       error: error.message,
@@ -267,30 +398,19 @@ router.delete("/upload/:publicId", async (req, res) => {
   }
 });
 
-// List files in Cloudinary folder
+// List files in storage
 router.get("/upload/list", async (req, res) => {
   try {
-    const result = await cloudinary.v2.api.resources({
-      type: 'upload',
-      prefix: 'interior-design-products/',
-      max_results: 50
-    });
+    const files = await storage.list({ limit: 50 });
     
     res.json({
       success: true,
-      message: `Found ${result.resources.length} files in Cloudinary`,
-      files: result.resources.map(resource => ({
-        public_id: resource.public_id,
-        secure_url: resource.secure_url,
-        resource_type: resource.resource_type,
-        format: resource.format,
-        bytes: resource.bytes,
-        created_at: resource.created_at
-      })),
-      count: result.resources.length
+      message: `Found ${files.length} files in ${storage.name} storage`,
+      files,
+      count: files.length
     });
   } catch (error) {
-    console.error("❌ Error listing Cloudinary files:", error);
+    console.error("❌ Error listing stored files:", error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -309,7 +429,7 @@ router.use((error, req, res, next) => {
     if (error.code === "LIMIT_FILE_SIZE") {
       return res.status(400).json({
         success: false,
-        error: "File too large. Maximum size is 50MB"
+        error: `File too large. Maximum size is ${req.path === '/upload/review-photo' ? '5MB' : '50MB'}`
       });
     }
     if (error.code === "LIMIT_UNEXPECTED_FILE") {
@@ -318,11 +438,22 @@ router.use((error, req, res, next) => {
         error: "Unexpected file field"
       });
     }
+    if (error.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({
+        success: false,
+        error: `Too many files. A batch may contain at most ${MAX_BATCH_FILES}`
+      });
+    }
     return res.status(400).json({
       success: false,
       error: `Upload error: ${error.message}`
     });
   }
+
+  // Files refused by a fileFilter
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
   
   console.error("❌ Upload middleware error:", error.message);
   console.error("Stack:", error.stack);
@@ -339,6 +470,7 @@ router.get("/health", (req, res) => {
   res.json({
     success: true,
     message: "Upload service is running",
+    storage_driver: storage.name,
     cloudinary_configured: !!process.env.CLOUDINARY_CLOUD_NAME,
     timestamp: new Date().toISOString()
   });
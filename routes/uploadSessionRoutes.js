@@ -0,0 +1,124 @@
+import express from "express";
+import mongoose from 'mongoose';
+import UploadSession from "../models/UploadSession.js";
+import {
+  createUploadSession,
+  writeChunk,
+  completeUploadSession,
+  abortUploadSession,
+  describeUploadSession
+} from "../services/chunkedUploads.js";
+import { requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const STAFF = ['admin', 'editor'];
+
+const handleSessionError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Upload Session Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} upload: ` + err.message
+  });
+};
+
+const findSessionOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid upload session ID format");
+  const session = await UploadSession.findById(id);
+  if (!session) throw new HttpError(404, "Upload session not found");
+  return session;
+};
+
+// START A CHUNKED UPLOAD: { filename, total_bytes, checksum (hex SHA-256), chunk_size? }
+router.post("/upload/sessions", requireRole(...STAFF), async (req, res) => {
+  try {
+    const { filename, total_bytes, checksum, chunk_size } = req.body || {};
+    const session = await createUploadSession({
+      filename,
+      totalBytes: total_bytes,
+      checksum,
+      chunkSize: chunk_size,
+      actor: req.user.id
+    });
+
+    console.log(`📦 Chunked upload started: ${session.filename} (${session.total_chunks} chunks)`);
+    res.status(201).json({
+      success: true,
+      message: `Send ${session.total_chunks} chunk(s) of ${session.chunk_size} bytes, then complete the upload`,
+      data: describeUploadSession(session)
+    });
+  } catch (err) {
+    handleSessionError(res, err, 'Start');
+  }
+});
+
+// PROGRESS: which chunks have arrived, so an interrupted client knows where to resume
+router.get("/upload/sessions/:id", requireRole(...STAFF), async (req, res) => {
+  try {
+    const session = await findSessionOr404(req.params.id);
+    res.json({ success: true, data: describeUploadSession(session) });
+  } catch (err) {
+    handleSessionError(res, err, 'Fetch');
+  }
+});
+
+// UPLOAD CHUNK :index as the raw request body (application/octet-stream)
+router.put("/upload/sessions/:id/chunks/:index", requireRole(...STAFF), async (req, res) => {
+  try {
+    // A JSON or form body has already been parsed away; the chunk must be the raw body
+    if (req._body) throw new HttpError(415, "Send the chunk bytes as the request body");
+
+    const session = await findSessionOr404(req.params.id);
+    const index = Number(req.params.index);
+    const updated = await writeChunk(session, index, req, {
+      contentLength: Number(req.headers['content-length']) || 0
+    });
+
+    res.json({ success: true, data: describeUploadSession(updated) });
+  } catch (err) {
+    handleSessionError(res, err, 'Store Chunk');
+  }
+});
+
+// COMPLETE: assemble, verify checksum and file type, and store the file
+router.post("/upload/sessions/:id/complete", requireRole(...STAFF), async (req, res) => {
+  try {
+    const session = await completeUploadSession(await findSessionOr404(req.params.id));
+    const { result } = session;
+
+    console.log(`✅ Chunked upload complete: ${session.filename} -> ${result.url}`);
+    res.json({
+      success: true,
+      message: `File uploaded successfully as ${result.resource_type}`,
+      fileName: session.filename,
+      filePath: result.url,
+      publicId: result.public_id,
+      type: result.resource_type,
+      bytes: result.bytes,
+      data: describeUploadSession(session)
+    });
+  } catch (err) {
+    handleSessionError(res, err, 'Complete');
+  }
+});
+
+// ABORT: discard the received chunks
+router.delete("/upload/sessions/:id", requireRole(...STAFF), async (req, res) => {
+  try {
+    const session = await abortUploadSession(await findSessionOr404(req.params.id));
+    res.json({ success: true, message: "Upload aborted", data: describeUploadSession(session) });
+  } catch (err) {
+    handleSessionError(res, err, 'Abort');
+  }
+});
+
+export default router;
@@ -0,0 +1,203 @@
+import express from "express";
+import mongoose from 'mongoose';
+import WebhookSubscription, { WEBHOOK_EVENTS } from "../models/WebhookSubscription.js";
+import WebhookDelivery, { DELIVERY_STATUSES } from "../models/WebhookDelivery.js";
+import {
+  generateWebhookSecret,
+  applyWebhookChanges,
+  redeliverWebhook
+} from "../services/webhooks.js";
+import { requireRole } from "../middleware/auth.js";
+import { sendValidationError } from "../utils/routeHelpers.js";
+import { HttpError } from "../utils/HttpError.js";
+
+const router = express.Router();
+
+const handleWebhookError = (res, err, action) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
+  console.error(`❌ ${action} Webhook Error:`, err.message);
+
+  if (err.name === 'ValidationError') return sendValidationError(res, err);
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action.toLowerCase()} webhook: ` + err.message
+  });
+};
+
+const findSubscriptionOr404 = async (id, { withSecret = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid webhook ID format");
+  const query = WebhookSubscription.findById(id);
+  const subscription = await (withSecret ? query.select('+secret') : query);
+  if (!subscription) throw new HttpError(404, "Webhook not found");
+  return subscription;
+};
+
+const findDeliveryOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new HttpError(400, "Invalid delivery ID format");
+  const delivery = await WebhookDelivery.findById(id);
+  if (!delivery) throw new HttpError(404, "Delivery not found");
+  return delivery;
+};
+
+// The log leaves out payloads; fetch a single delivery to see one
+const toDeliverySummary = (delivery) => {
+  const { payload, attempts, response_body, ...summary } = delivery;
+  const last = attempts[attempts.length - 1];
+  return {
+    ...summary,
+    attempt_count: attempts.length,
+    last_status_code: last ? last.status_code : null,
+    last_error: last ? last.error : ''
+  };
+};
+
+// LIST WEBHOOKS, with the event types that can be subscribed to
+router.get("/webhooks", requireRole('admin'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({}).sort({ created_at: -1 }).lean();
+    res.json({ success: true, count: subscriptions.length, events: WEBHOOK_EVENTS, data: subscriptions });
+  } catch (err) {
+    handleWebhookError(res, err, 'Fetch');
+  }
+});
+
+// REGISTER WEBHOOK: { url, events: [...], description? }. The signing secret is only shown in this response
+router.post("/webhooks", requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.url || body.events === undefined) {
+      return res.status(400).json({ success: false, error: "Missing required fields: url, events" });
+    }
+
+    const subscription = new WebhookSubscription({ secret: generateWebhookSecret(), created_by: req.user.id });
+    applyWebhookChanges(subscription, body);
+    await subscription.save();
+
+    console.log(`🪝 Webhook registered: ${subscription.url} (${subscription.events.join(', ')})`);
+    res.status(201).json({
+      success: true,
+      message: "Webhook registered; store the secret now, it is not shown again",
+      data: subscription.toObject()
+    });
+  } catch (err) {
+    handleWebhookError(res, err, 'Create');
+  }
+});
+
+router.get("/webhooks/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req.params.id);
+    res.json({ success: true, data: subscription });
+  } catch (err) {
+    handleWebhookError(res, err, 'Fetch');
+  }
+});
+
+// UPDATE WEBHOOK (fields sent only; events are replaced as a whole)
+router.put("/webhooks/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req.params.id);
+    applyWebhookChanges(subscription, req.body || {});
+    await subscription.save();
+
+    res.json({ success: true, message: "Webhook updated successfully", data: subscription });
+  } catch (err) {
+    handleWebhookError(res, err, 'Update');
+  }
+});
+
+// ROTATE SECRET: deliveries are signed with the new secret from now on, retries included
+router.post("/webhooks/:id/rotate-secret", requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req.params.id, { withSecret: true });
+    subscription.secret = generateWebhookSecret();
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: "Secret rotated; store it now, it is not shown again",
+      data: { _id: subscription._id, secret: subscription.secret }
+    });
+  } catch (err) {
+    handleWebhookError(res, err, 'Rotate');
+  }
+});
+
+// DELETE WEBHOOK; its pending deliveries fail on their next attempt, the log is kept
+router.delete("/webhooks/:id", requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req.params.id);
+    await subscription.deleteOne();
+
+    console.log(`🗑️ Webhook deleted: ${subscription.url}`);
+    res.json({ success: true, message: "Webhook deleted successfully" });
+  } catch (err) {
+    handleWebhookError(res, err, 'Delete');
+  }
+});
+
+// DELIVERY LOG, newest first (?status=, ?event=, ?limit=, ?skip=)
+router.get("/webhooks/:id/deliveries", requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await findSubscriptionOr404(req.params.id);
+
+    const filter = { subscription: subscription._id };
+    if (req.query.status !== undefined) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        throw new HttpError(400, "status must be one of: " + DELIVERY_STATUSES.join(', '));
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.event !== undefined) {
+      if (!WEBHOOK_EVENTS.includes(req.query.event)) {
+        throw new HttpError(400, "event must be one of: " + WEBHOOK_EVENTS.join(', '));
+      }
+      filter.event = req.query.event;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ created_at: -1 }).skip(skip).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, count: deliveries.length, total, data: deliveries.map(toDeliverySummary) });
+  } catch (err) {
+    handleWebhookError(res, err, 'Fetch');
+  }
+});
+
+// ONE DELIVERY with its payload and every attempt
+router.get("/webhooks/deliveries/:deliveryId", requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await findDeliveryOr404(req.params.deliveryId);
+    res.json({ success: true, data: delivery });
+  } catch (err) {
+    handleWebhookError(res, err, 'Fetch');
+  }
+});
+
+// REDELIVER a finished delivery (succeeded or failed) as a new delivery
+router.post("/webhooks/deliveries/:deliveryId/redeliver", requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await findDeliveryOr404(req.params.deliveryId);
+    const redelivery = await redeliverWebhook(delivery, req.user.id);
+
+    console.log(`🔁 Webhook delivery ${delivery._id} queued again as ${redelivery._id}`);
+    res.status(202).json({
+      success: true,
+      message: "Delivery queued",
+      data: redelivery
+    });
+  } catch (err) {
+    handleWebhookError(res, err, 'Redeliver');
+  }
+});
+
+export default router;
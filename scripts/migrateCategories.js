@@ -0,0 +1,61 @@
+// One-off migration: turn free-text product categories into Category documents.
+// Spellings that share a slug ("Living Room", "living room", "LivingRoom") are merged
+// into one root category named after the most common spelling.
+// Usage: npm run migrate:categories [-- --dry-run]
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { slugify } from '../services/categories.js';
+import { connectToDatabase } from '../db.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectToDatabase();
+
+  const spellings = await Product.aggregate([
+    { $match: { $or: [{ category_id: null }, { category_id: { $exists: false } }] } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  // slug -> [{ name, count }]
+  const groups = new Map();
+  spellings.forEach(({ _id: name, count }) => {
+    const slug = slugify(name || '');
+    if (!slug) return;
+    if (!groups.has(slug)) groups.set(slug, []);
+    groups.get(slug).push({ name, count });
+  });
+
+  let linked = 0;
+  for (const [slug, variants] of groups) {
+    const canonical = [...variants].sort((a, b) => b.count - a.count)[0].name.trim();
+    let category = await Category.findOne({ slug });
+
+    if (!category) {
+      console.log(`${dryRun ? '🔎 Would create' : '✅ Creating'} category "${canonical}" (${slug})`);
+      if (!dryRun) category = await Category.create({ name: canonical, slug });
+    }
+
+    const names = variants.map(variant => variant.name);
+    const count = variants.reduce((sum, variant) => sum + variant.count, 0);
+    console.log(`   ${names.map(name => JSON.stringify(name)).join(', ')} -> ${slug} (${count} products)`);
+
+    if (!dryRun) {
+      const result = await Product.updateMany(
+        { category: { $in: names }, $or: [{ category_id: null }, { category_id: { $exists: false } }] },
+        { $set: { category_id: category._id, category: category.name } }
+      );
+      linked += result.modifiedCount;
+    }
+  }
+
+  console.log(`🎉 ${groups.size} categories, ${dryRun ? 'dry run only' : `${linked} product(s) linked`}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('💥 Category migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
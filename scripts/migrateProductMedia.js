@@ -0,0 +1,43 @@
+// One-off migration: build the `media` gallery from legacy image_url/video_url fields.
+// Usage: npm run migrate:media [-- --dry-run]
+import mongoose from 'mongoose';
+import Product, { mediaFromLegacyFields } from '../models/Product.js';
+import { getStorage } from '../storage/index.js';
+import { connectToDatabase } from '../db.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectToDatabase();
+  const storage = getStorage();
+
+  const cursor = Product.find({
+    $or: [{ media: { $exists: false } }, { media: { $size: 0 } }],
+    $and: [{ $or: [{ image_url: { $nin: ['', null] } }, { video_url: { $nin: ['', null] } }] }]
+  }).setOptions({ withDeleted: true }).lean().cursor();
+
+  let migrated = 0;
+  for await (const product of cursor) {
+    const media = mediaFromLegacyFields(product).map(item => ({
+      ...item,
+      _id: new mongoose.Types.ObjectId(),
+      public_id: storage.publicIdFromUrl(item.url) || '',
+      alt: product.product_name || ''
+    }));
+
+    if (!dryRun) {
+      await Product.updateOne({ _id: product._id }, { $set: { media } });
+    }
+    migrated += 1;
+    console.log(`${dryRun ? '🔎 Would migrate' : '✅ Migrated'} ${product._id} (${media.length} media)`);
+  }
+
+  console.log(`🎉 ${migrated} product(s) ${dryRun ? 'need migration' : 'migrated'}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('💥 Media migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
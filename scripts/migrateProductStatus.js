@@ -0,0 +1,34 @@
+// One-off migration: products created before the lifecycle workflow were live, so mark them published.
+// Usage: npm run migrate:status [-- --dry-run]
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { connectToDatabase } from '../db.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectToDatabase();
+
+  const filter = { status: { $exists: false } };
+  if (dryRun) {
+    const count = await Product.countDocuments(filter).setOptions({ withDeleted: true });
+    console.log(`🔎 ${count} product(s) need migration`);
+    return;
+  }
+
+  // They went live when they were created
+  const { modifiedCount } = await Product.updateMany(
+    filter,
+    [{ $set: { status: 'published', published_at: '$created_at', publish_at: null, unpublish_at: null } }],
+    { updatePipeline: true }
+  );
+
+  console.log(`🎉 ${modifiedCount} product(s) marked as published`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('💥 Status migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// Generate responsive derivatives, blur placeholders and palettes for gallery images
+// added before the pipeline existed (new images are processed as they are added).
+// Usage: npm run media:derivatives [-- --retry-failed]
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { processProductMedia } from '../services/mediaDerivatives.js';
+import { connectToDatabase } from '../db.js';
+
+const retryFailed = process.argv.includes('--retry-failed');
+
+const run = async () => {
+  await connectToDatabase();
+
+  if (retryFailed) {
+    await Product.updateMany(
+      { 'media.processing_error': { $nin: ['', null] } },
+      { $set: { 'media.$[failed].processing_error': '' } },
+      { arrayFilters: [{ 'failed.processing_error': { $nin: ['', null] } }] }
+    );
+  }
+
+  const cursor = Product.find({
+    media: { $elemMatch: { type: 'image', processed_at: null, processing_error: { $in: ['', null] } } }
+  }).select('_id').lean().cursor();
+
+  let images = 0;
+  for await (const product of cursor) {
+    const count = await processProductMedia(product._id);
+    images += count;
+    console.log(`✅ ${product._id}: ${count} image(s) processed`);
+  }
+
+  console.log(`🎉 ${images} image(s) processed`);
+};
+
+run()
+  .catch(error => {
+    console.error('💥 Media processing failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,20 @@
+// Recompute every product's rating aggregate from its approved reviews.
+// Run once after deploying reviews (older products have no rating yet) and whenever
+// the counts look wrong.
+// Usage: npm run ratings:rebuild
+import mongoose from 'mongoose';
+import { rebuildRatings } from '../services/reviews.js';
+import { connectToDatabase } from '../db.js';
+
+const rebuild = async () => {
+  await connectToDatabase();
+  const rated = await rebuildRatings();
+  console.log(`🎉 Ratings rebuilt; ${rated} product(s) have approved reviews`);
+};
+
+rebuild()
+  .catch(error => {
+    console.error('💥 Rating rebuild failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
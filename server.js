@@ -4,7 +4,37 @@ import path from "path";
 import { fileURLToPath } from "url";
 import productRoutes from "./routes/productRoutes.js";
 import uploadRoutes from "./routes/uploadRoutes.js";
+import uploadSessionRoutes from "./routes/uploadSessionRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import productMediaRoutes from "./routes/productMediaRoutes.js";
+import productVariantRoutes from "./routes/productVariantRoutes.js";
+import inventoryRoutes from "./routes/inventoryRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import quoteRoutes from "./routes/quoteRoutes.js";
+import promotionRoutes from "./routes/promotionRoutes.js";
+import inquiryRoutes from "./routes/inquiryRoutes.js";
+import designerRoutes from "./routes/designerRoutes.js";
+import bookingRoutes from "./routes/bookingRoutes.js";
+import projectRoutes from "./routes/projectRoutes.js";
+import moodBoardRoutes from "./routes/moodBoardRoutes.js";
+import reviewRoutes from "./routes/reviewRoutes.js";
+import recommendationRoutes from "./routes/recommendationRoutes.js";
+import productImportRoutes from "./routes/productImportRoutes.js";
+import productTrashRoutes from "./routes/productTrashRoutes.js";
+import productHistoryRoutes from "./routes/productHistoryRoutes.js";
+import productLifecycleRoutes from "./routes/productLifecycleRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
 import { connectToDatabase, getConnectionStatus } from "./db.js";
+import { ensureBootstrapAdmin } from "./utils/bootstrapAdmin.js";
+import { getStorage } from "./storage/index.js";
+import { startReservationSweeper } from "./services/inventory.js";
+import { startTrashPurger } from "./services/trash.js";
+import { startDirectUploadSweeper } from "./services/directUploads.js";
+import { startUploadSessionSweeper } from "./services/chunkedUploads.js";
+import { startMediaProcessing } from "./services/mediaDerivatives.js";
+import { startProductScheduler } from "./services/productLifecycle.js";
+import { startWebhookDelivery } from "./services/webhooks.js";
+import { LOCAL_UPLOADS_ROUTE } from "./storage/localStorage.js";
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -14,8 +44,15 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind a reverse proxy, trust its X-Forwarded-For so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
-app.use(cors());
+// ETag is exposed so browser clients can send it back as If-Match
+app.use(cors({ exposedHeaders: ["ETag"] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -25,11 +62,37 @@ app.use((req, res, next) => {
   next();
 });
 
+// Serve locally stored uploads when using the local-disk storage driver
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use(LOCAL_UPLOADS_ROUTE, express.static(storage.directory, { fallthrough: false }));
+}
+
 // Routes
+app.use("/api", authRoutes);
+app.use("/api", productImportRoutes);
+app.use("/api", productTrashRoutes);
 app.use("/api", productRoutes);
+app.use("/api", productMediaRoutes);
+app.use("/api", productVariantRoutes);
+app.use("/api", productHistoryRoutes);
+app.use("/api", productLifecycleRoutes);
+app.use("/api", inventoryRoutes);
+app.use("/api", categoryRoutes);
+app.use("/api", quoteRoutes);
+app.use("/api", promotionRoutes);
+app.use("/api", inquiryRoutes);
+app.use("/api", designerRoutes);
+app.use("/api", bookingRoutes);
+app.use("/api", projectRoutes);
+app.use("/api", moodBoardRoutes);
+app.use("/api", reviewRoutes);
+app.use("/api", recommendationRoutes);
+app.use("/api", webhookRoutes);
+app.use("/api", uploadSessionRoutes);
 app.use("/api", uploadRoutes);
 
-// Health check route with Cloudinary status
+// Health check route with storage status
 app.get("/api/health", (req, res) => {
   const dbStatus = getConnectionStatus() ? "Connected" : "Disconnected";
   const cloudinaryStatus = process.env.CLOUDINARY_CLOUD_NAME ? "Configured" : "Not Configured";
@@ -39,6 +102,7 @@ app.get("/api/health", (req, res) => {
     message: "Server is running successfully",
     database: `MongoDB Atlas - ${dbStatus}`,
     cloudinary: `Cloudinary - ${cloudinaryStatus}`,
+    storage: storage.name,
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV
   });
@@ -61,8 +125,18 @@ const startServer = async () => {
     console.log("📍 Port:", process.env.PORT || 5000);
     console.log("🌐 Environment:", process.env.NODE_ENV);
     console.log("☁️  Cloudinary:", process.env.CLOUDINARY_CLOUD_NAME ? "Configured ✓" : "Not Configured ✗");
+    console.log("🗄️  Storage:", storage.name);
+    console.log("🔐 Auth:", process.env.JWT_SECRET ? "Configured ✓" : "JWT_SECRET missing ✗");
     
     await connectToDatabase();
+    await ensureBootstrapAdmin();
+    startReservationSweeper();
+    startTrashPurger();
+    startDirectUploadSweeper();
+    startUploadSessionSweeper();
+    startMediaProcessing();
+    startProductScheduler();
+    startWebhookDelivery();
     
     const PORT = process.env.PORT || 5000;
     
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import { toMinutes } from '../models/Designer.js';
+import { HttpError } from '../utils/HttpError.js';
+import {
+  zonedDateTime,
+  formatInTimeZone,
+  calendarDateIn,
+  addDays,
+  dayOfWeek,
+  daysBetween
+} from '../utils/timezone.js';
+
+const MAX_RANGE_DAYS = 31;
+// Clients cannot book (or move a booking into) the next few hours
+const MIN_NOTICE_MS = (Number(process.env.BOOKING_MIN_NOTICE_HOURS) || 2) * 60 * 60 * 1000;
+
+export const hashManageToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const newManageToken = () => crypto.randomBytes(24).toString('base64url');
+
+export const manageTokenMatches = (booking, token) => {
+  if (!token || !booking.manage_token_hash) return false;
+  const expected = Buffer.from(booking.manage_token_hash, 'hex');
+  const actual = Buffer.from(hashManageToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Every slot the designer's weekly hours produce between two instants, ignoring bookings
+const candidateSlots = (designer, rangeStart, rangeEnd) => {
+  const blocked = new Set(designer.blocked_dates.map(entry => entry.date));
+  const duration = designer.slot_minutes * 60 * 1000;
+  const slots = [];
+
+  // Walk the designer's own calendar days, one either side so every timezone is covered
+  const firstDay = addDays(calendarDateIn(rangeStart, designer.timezone), -1);
+  const lastDay = addDays(calendarDateIn(rangeEnd, designer.timezone), 1);
+
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    if (blocked.has(day)) continue;
+
+    designer.weekly_availability
+      .filter(window => window.day === dayOfWeek(day))
+      .forEach(window => {
+        const end = toMinutes(window.end);
+        for (let minute = toMinutes(window.start); minute + designer.slot_minutes <= end; minute += designer.slot_minutes) {
+          const startsAt = zonedDateTime(day, minute, designer.timezone);
+          if (startsAt >= rangeStart && startsAt < rangeEnd) {
+            slots.push({ starts_at: startsAt, ends_at: new Date(startsAt.getTime() + duration) });
+          }
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.starts_at - b.starts_at);
+};
+
+/**
+ * Free slots for a designer between the calendar dates `from` and `to` (inclusive) as
+ * seen in `timeZone`. Booked, blocked, past and too-soon slots are left out.
+ * `ignoreBooking` lets a booking being rescheduled see its own slot as free.
+ */
+export const findFreeSlots = async (designer, { from, to, timeZone, ignoreBooking = null }) => {
+  if (daysBetween(from, to) < 0) throw new HttpError(400, "'to' must not be before 'from'");
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+    throw new HttpError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  const rangeStart = zonedDateTime(from, 0, timeZone);
+  const rangeEnd = zonedDateTime(addDays(to, 1), 0, timeZone);
+  const earliest = Date.now() + MIN_NOTICE_MS;
+
+  const booked = await Booking.find({
+    designer: designer._id,
+    status: 'confirmed',
+    starts_at: { $lt: rangeEnd },
+    ends_at: { $gt: rangeStart },
+    ...(ignoreBooking ? { _id: { $ne: ignoreBooking } } : {})
+  }).select('starts_at ends_at').lean();
+
+  return candidateSlots(designer, rangeStart, rangeEnd)
+    .filter(slot => slot.starts_at.getTime() >= earliest)
+    .filter(slot => !booked.some(booking => booking.starts_at < slot.ends_at && booking.ends_at > slot.starts_at))
+    .map(slot => ({
+      ...slot,
+      local_start: formatInTimeZone(slot.starts_at, timeZone),
+      local_end: formatInTimeZone(slot.ends_at, timeZone)
+    }));
+};
+
+// Confirm `startsAt` is one of the designer's free slots and return it
+const requireFreeSlot = async (designer, startsAt, ignoreBooking = null) => {
+  if (!(startsAt instanceof Date) || Number.isNaN(startsAt.getTime())) {
+    throw new HttpError(400, "starts_at must be a valid date-time");
+  }
+
+  const day = calendarDateIn(startsAt, designer.timezone);
+  const slots = await findFreeSlots(designer, { from: day, to: day, timeZone: designer.timezone, ignoreBooking });
+  const slot = slots.find(entry => entry.starts_at.getTime() === startsAt.getTime());
+  if (!slot) throw new HttpError(409, "That time is not available; pick one of the free slots");
+  return slot;
+};
+
+const SLOT_TAKEN = "That slot has just been booked by someone else; pick another one";
+
+/**
+ * Book a slot. The unique (designer, starts_at) index is the final guard, so two
+ * clients racing for the same slot get one booking and one 409.
+ */
+export const createBooking = async (designer, data) => {
+  if (!designer.is_active) throw new HttpError(400, "This designer is not taking bookings");
+  if (!designer.consultation_types.includes(data.type)) {
+    throw new HttpError(400, `This designer does not offer ${data.type} consultations`);
+  }
+
+  const slot = await requireFreeSlot(designer, new Date(data.starts_at));
+  const token = newManageToken();
+
+  const booking = new Booking({
+    designer: designer._id,
+    type: data.type,
+    starts_at: slot.starts_at,
+    ends_at: slot.ends_at,
+    client: data.client,
+    address: data.address || '',
+    notes: data.notes || '',
+    inquiry: data.inquiry || null,
+    manage_token_hash: hashManageToken(token)
+  });
+
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.code === 11000) throw new HttpError(409, SLOT_TAKEN);
+    throw error;
+  }
+
+  return { booking, token };
+};
+
+export const rescheduleBooking = async (booking, designer, startsAt) => {
+  if (booking.status !== 'confirmed') throw new HttpError(409, "Cancelled bookings cannot be rescheduled");
+
+  const slot = await requireFreeSlot(designer, new Date(startsAt), booking._id);
+  booking.reschedules.push({ from: booking.starts_at, to: slot.starts_at, changed_at: new Date() });
+  booking.starts_at = slot.starts_at;
+  booking.ends_at = slot.ends_at;
+  booking.sequence += 1;
+
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.code === 11000) throw new HttpError(409, SLOT_TAKEN);
+    throw error;
+  }
+  return booking;
+};
+
+export const cancelBooking = async (booking, reason = '') => {
+  if (booking.status === 'cancelled') throw new HttpError(409, "Booking is already cancelled");
+  booking.status = 'cancelled';
+  booking.cancelled_at = new Date();
+  booking.cancel_reason = String(reason).slice(0, 500);
+  booking.sequence += 1;
+  return booking.save();
+};
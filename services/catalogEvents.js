@@ -0,0 +1,37 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+
+/**
+ * In-process notifications about catalog writes, emitted from the Product and
+ * Category model hooks so services can drop derived data without the models
+ * importing them.
+ *
+ *   'product:changed'  { id, action }  (id is null when a query touched many products)
+ *   'category:changed' { id, action }
+ *
+ * action is 'create' for a first save, 'delete' when documents were removed and
+ * 'update' otherwise (a soft delete is an update).
+ */
+export const catalogEvents = new EventEmitter();
+
+const QUERY_WRITES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Register change notifications on a schema; must run before the model is compiled
+export const emitCatalogChanges = (schema, event) => {
+  const notify = (id, action) => catalogEvents.emit(event, { id: id ? String(id) : null, action });
+
+  // isNew is already false by the time post('save') runs
+  schema.pre('save', function () { this.$locals.catalogCreated = this.isNew; });
+  schema.post('save', function () { notify(this._id, this.$locals.catalogCreated ? 'create' : 'update'); });
+  schema.post('deleteOne', { document: true, query: false }, function () { notify(this._id, 'delete'); });
+  schema.post(QUERY_WRITES, { document: false, query: true }, function () {
+    const { _id: id } = this.getFilter() || {};
+    // Only a plain id filter names a single document; operators like $in do not
+    notify(
+      typeof id === 'string' || id instanceof mongoose.Types.ObjectId ? id : null,
+      this.op.startsWith('delete') || this.op === 'findOneAndDelete' ? 'delete' : 'update'
+    );
+  });
+};
+
+export default catalogEvents;
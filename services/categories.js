@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// "Living Room", "living room" and "LivingRoom" all become "living-room"
+export const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Find a category by ObjectId, slug, or a name that slugifies to an existing slug
+export const resolveCategory = async (ref) => {
+  if (!ref) return null;
+  if (mongoose.Types.ObjectId.isValid(ref) && String(new mongoose.Types.ObjectId(String(ref))) === String(ref)) {
+    const byId = await Category.findById(ref);
+    if (byId) return byId;
+  }
+  const slug = slugify(ref);
+  return slug ? Category.findOne({ slug }) : null;
+};
+
+// The category itself plus every category nested below it
+export const descendantIds = async (categoryId) => {
+  const descendants = await Category.find({ ancestors: categoryId }).select('_id').lean();
+  return [new mongoose.Types.ObjectId(String(categoryId)), ...descendants.map(category => category._id)];
+};
+
+/**
+ * Turn a ?category= listing filter into a category_id filter covering all descendants.
+ * Unknown values fall back to matching the legacy free-text category string.
+ */
+export const expandCategoryFilter = async (filter) => {
+  if (typeof filter.category !== 'string') return filter;
+
+  const category = await resolveCategory(filter.category);
+  if (!category) return filter;
+
+  const { category: _, ...rest } = filter;
+  return { ...rest, category_id: { $in: await descendantIds(category._id) } };
+};
+
+/**
+ * Link product data to a Category document and set the denormalised `category` name.
+ * Accepts `category_id` or a `category` name/slug; unknown names are left as legacy strings.
+ */
+export const applyCategory = async (data) => {
+  if (data.category_id) {
+    if (!mongoose.Types.ObjectId.isValid(data.category_id)) {
+      throw new HttpError(400, 'Invalid category ID format');
+    }
+    const category = await Category.findById(data.category_id).lean();
+    if (!category) throw new HttpError(400, 'Category not found');
+    data.category = category.name;
+    return data;
+  }
+
+  if (data.category) {
+    const category = await resolveCategory(data.category);
+    if (category) {
+      data.category_id = category._id;
+      data.category = category.name;
+    } else {
+      data.category_id = null;
+    }
+  }
+  return data;
+};
+
+// Nest a flat list of categories into { ...category, children: [] } trees
+export const buildTree = (categories) => {
+  const byId = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+
+  byId.forEach(node => {
+    const parent = node.parent && byId.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  const sortNodes = (nodes) => {
+    nodes.sort((a, b) => a.display_order - b.display_order || a.name.localeCompare(b.name));
+    nodes.forEach(node => sortNodes(node.children));
+    return nodes;
+  };
+
+  return sortNodes(roots);
+};
+
+// Re-parent a category, rewriting the materialized path of its whole subtree
+export const moveCategory = async (category, parentId) => {
+  let ancestors = [];
+
+  if (parentId) {
+    if (!mongoose.Types.ObjectId.isValid(parentId)) throw new HttpError(400, 'Invalid parent ID format');
+    const parent = await Category.findById(parentId).lean();
+    if (!parent) throw new HttpError(400, 'Parent category not found');
+    if (String(parent._id) === String(category._id) || parent.ancestors.some(id => String(id) === String(category._id))) {
+      throw new HttpError(400, 'A category cannot be moved under itself or its descendants');
+    }
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  const oldDepth = category.ancestors.length;
+  category.parent = parentId || null;
+  category.ancestors = ancestors;
+  await category.save();
+
+  const descendants = await Category.find({ ancestors: category._id });
+  await Promise.all(descendants.map(descendant => {
+    descendant.ancestors = [...ancestors, category._id, ...descendant.ancestors.slice(oldDepth + 1)];
+    return descendant.save();
+  }));
+
+  return category;
+};
+
+/**
+ * Keep the denormalised name on products (trashed ones included) in step with a
+ * renamed category. Each product is saved on its own so the rename shows up in its
+ * change history, attributed to `actor`. Returns how many products were updated.
+ */
+export const syncProductCategoryNames = async (category, actor = null) => {
+  const products = Product.find({ category_id: category._id, category: { $ne: category.name } })
+    .setOptions({ withDeleted: true })
+    .cursor();
+
+  let updated = 0;
+  for await (const product of products) {
+    product.$locals.actor = actor;
+    product.category = category.name;
+    try {
+      await product.save();
+      updated += 1;
+    } catch (error) {
+      console.error(`❌ Could not rename category on product ${product._id}:`, error.message);
+    }
+  }
+  return updated;
+};
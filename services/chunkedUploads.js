@@ -0,0 +1,275 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import UploadSession from '../models/UploadSession.js';
+import { getStorage, removeMediaAssets } from '../storage/index.js';
+import { DIRECT_UPLOAD_LIMITS } from './directUploads.js';
+import { sniffFileType, SNIFF_BYTES } from '../utils/fileType.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// Chunks live on this server's disk until the file is assembled, so with several
+// instances a session's requests must reach the same one
+const CHUNK_DIRECTORY = process.env.CHUNKED_UPLOAD_DIR || path.join(os.tmpdir(), 'interior-upload-chunks');
+
+export const MAX_CHUNKED_BYTES = (Number(process.env.CHUNKED_UPLOAD_MAX_MB) || 1024) * 1024 * 1024;
+const DEFAULT_CHUNK_BYTES = 5 * 1024 * 1024;
+const MIN_CHUNK_BYTES = 256 * 1024;
+const MAX_CHUNK_BYTES = 20 * 1024 * 1024;
+// Idle sessions are cleaned up this long after their last chunk
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ALLOWED_FORMATS = Object.values(DIRECT_UPLOAD_LIMITS).flatMap(limits => limits.formats);
+
+const formatOf = (filename) => {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return extension === 'jpeg' ? 'jpg' : extension;
+};
+
+const sessionDirectory = (session) => path.join(CHUNK_DIRECTORY, String(session._id));
+const chunkPath = (session, index) => path.join(sessionDirectory(session), `chunk-${index}`);
+const removeChunks = (session) => fs.promises.rm(sessionDirectory(session), { recursive: true, force: true });
+
+const expectedChunkBytes = (session, index) => (index === session.total_chunks - 1
+  ? session.total_bytes - session.chunk_size * (session.total_chunks - 1)
+  : session.chunk_size);
+
+export const missingChunks = (session) => {
+  const received = new Set(session.received_chunks);
+  return Array.from({ length: session.total_chunks }, (_, index) => index).filter(index => !received.has(index));
+};
+
+// Progress view of a session for clients resuming an upload
+export const describeUploadSession = (session) => {
+  const received = [...session.received_chunks].sort((a, b) => a - b);
+  return {
+    id: session._id,
+    filename: session.filename,
+    status: session.status,
+    total_bytes: session.total_bytes,
+    chunk_size: session.chunk_size,
+    total_chunks: session.total_chunks,
+    received_chunks: received,
+    missing_chunks: missingChunks(session),
+    bytes_received: received.reduce((sum, index) => sum + expectedChunkBytes(session, index), 0),
+    expires_at: session.expires_at,
+    error: session.error || undefined,
+    result: session.status === 'complete' ? session.result : undefined
+  };
+};
+
+/**
+ * Start a resumable upload. `checksum` is the hex SHA-256 of the whole file;
+ * the server picks the chunk size unless the client asks for one within bounds.
+ */
+export const createUploadSession = async ({ filename, totalBytes, checksum, chunkSize, actor = null }) => {
+  if (!filename || typeof filename !== 'string') throw new HttpError(400, 'Missing required field: filename');
+  if (!ALLOWED_FORMATS.includes(formatOf(filename))) {
+    throw new HttpError(400, 'File must be one of: ' + ALLOWED_FORMATS.join(', '));
+  }
+
+  const total = Number(totalBytes);
+  if (!Number.isInteger(total) || total < 1) throw new HttpError(400, 'total_bytes must be a positive integer');
+  if (total > MAX_CHUNKED_BYTES) {
+    throw new HttpError(400, `File too large. Maximum size is ${MAX_CHUNKED_BYTES / 1024 / 1024}MB`);
+  }
+
+  const size = chunkSize === undefined ? DEFAULT_CHUNK_BYTES : Number(chunkSize);
+  if (!Number.isInteger(size) || size < MIN_CHUNK_BYTES || size > MAX_CHUNK_BYTES) {
+    throw new HttpError(400, `chunk_size must be between ${MIN_CHUNK_BYTES} and ${MAX_CHUNK_BYTES} bytes`);
+  }
+
+  const session = await UploadSession.create({
+    filename,
+    total_bytes: total,
+    chunk_size: size,
+    total_chunks: Math.ceil(total / size),
+    checksum: typeof checksum === 'string' ? checksum.trim() : checksum,
+    expires_at: new Date(Date.now() + SESSION_TTL_MS),
+    created_by: actor
+  });
+
+  await fs.promises.mkdir(sessionDirectory(session), { recursive: true });
+  return session;
+};
+
+/**
+ * Store chunk `index` from a request stream. Every chunk but the last must be exactly
+ * chunk_size bytes. Sending a chunk again replaces it, so clients can simply retry.
+ */
+export const writeChunk = async (session, index, input, { contentLength } = {}) => {
+  if (session.status !== 'uploading') throw new HttpError(409, `Upload is ${session.status}`);
+  if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+    throw new HttpError(400, `Chunk index must be between 0 and ${session.total_chunks - 1}`);
+  }
+
+  const expected = expectedChunkBytes(session, index);
+  if (contentLength && contentLength !== expected) {
+    throw new HttpError(400, `Chunk ${index} must be ${expected} bytes`);
+  }
+
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > expected) return callback(new HttpError(400, `Chunk ${index} must be ${expected} bytes`));
+      callback(null, chunk);
+    }
+  });
+
+  // Write to a temporary name so a dropped connection never leaves a half chunk behind
+  await fs.promises.mkdir(sessionDirectory(session), { recursive: true });
+  const partialPath = `${chunkPath(session, index)}.${crypto.randomBytes(4).toString('hex')}.part`;
+  try {
+    await pipeline(input, limit, fs.createWriteStream(partialPath));
+    if (bytes !== expected) throw new HttpError(400, `Chunk ${index} must be ${expected} bytes; received ${bytes}`);
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw error;
+  }
+  await fs.promises.rename(partialPath, chunkPath(session, index));
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    {
+      $addToSet: { received_chunks: index },
+      $set: { expires_at: new Date(Date.now() + SESSION_TTL_MS) }
+    },
+    { new: true }
+  );
+  if (!updated) throw new HttpError(409, 'Upload is no longer accepting chunks');
+  return updated;
+};
+
+// Concatenate the chunks in order, hashing as we go; returns the digest and the file header
+const assemble = async (session, target) => {
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(target);
+  let header = Buffer.alloc(0);
+
+  for (let index = 0; index < session.total_chunks; index += 1) {
+    for await (const data of fs.createReadStream(chunkPath(session, index))) {
+      hash.update(data);
+      if (header.length < SNIFF_BYTES) header = Buffer.concat([header, data.subarray(0, SNIFF_BYTES - header.length)]);
+      if (!output.write(data)) await once(output, 'drain');
+    }
+  }
+
+  output.end();
+  await once(output, 'finish');
+  return { checksum: hash.digest('hex'), header };
+};
+
+/**
+ * Assemble a fully received upload, check its checksum and actual file type, and move
+ * it to media storage. A file that fails validation ends the session; a storage
+ * failure leaves the chunks in place so completion can be retried.
+ */
+export const completeUploadSession = async (session) => {
+  if (session.status === 'complete') return session;
+  if (session.status !== 'uploading') throw new HttpError(409, `Upload is ${session.status}`);
+
+  const missing = missingChunks(session);
+  if (missing.length > 0) {
+    throw new HttpError(409, `${missing.length} chunk(s) still missing: ${missing.slice(0, 20).join(', ')}`);
+  }
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $set: { status: 'assembling' } },
+    { new: true }
+  );
+  if (!claimed) throw new HttpError(409, 'Upload is already being completed');
+
+  const assembledPath = path.join(sessionDirectory(claimed), `assembled.${formatOf(claimed.filename)}`);
+  let stored = null;
+  try {
+    const { checksum, header } = await assemble(claimed, assembledPath);
+    if (checksum !== claimed.checksum) {
+      throw new HttpError(400, 'Checksum mismatch: the assembled file is not the file that was announced');
+    }
+
+    const type = sniffFileType(header);
+    if (!type) throw new HttpError(400, 'The assembled file is not a supported image or video');
+    if (type.format !== formatOf(claimed.filename)) {
+      throw new HttpError(400, `The file content is ${type.format}, not ${formatOf(claimed.filename)}`);
+    }
+
+    stored = await getStorage().uploadFile(assembledPath, {
+      resourceType: type.resourceType,
+      filename: claimed.filename
+    });
+
+    claimed.status = 'complete';
+    claimed.result = {
+      url: stored.url,
+      public_id: stored.publicId,
+      resource_type: stored.resourceType,
+      format: type.format,
+      bytes: stored.bytes
+    };
+    await claimed.save();
+    await removeChunks(claimed);
+    return claimed;
+  } catch (error) {
+    await fs.promises.rm(assembledPath, { force: true });
+    // Stored but never recorded: nothing points at the asset, and a retry stores it again
+    if (stored) {
+      await removeMediaAssets([{ url: stored.url, public_id: stored.publicId, type: stored.resourceType }]);
+      claimed.result = undefined;
+    }
+    if (error instanceof HttpError) {
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      await removeChunks(claimed);
+    } else {
+      claimed.status = 'uploading';
+    }
+    await claimed.save();
+    throw error;
+  }
+};
+
+export const abortUploadSession = async (session) => {
+  if (session.status === 'complete') throw new HttpError(409, 'Upload is already complete');
+  if (session.status === 'assembling') throw new HttpError(409, 'Upload is being completed');
+  session.status = 'aborted';
+  await session.save();
+  await removeChunks(session);
+  return session;
+};
+
+// Drop the chunks of sessions nobody has touched for a day
+export const expireUploadSessions = async (now = new Date()) => {
+  const stale = await UploadSession.find({
+    status: { $in: ['uploading', 'assembling'] },
+    expires_at: { $lt: now }
+  }).limit(500);
+
+  for (const session of stale) {
+    session.status = 'aborted';
+    session.error = 'Upload expired';
+    await session.save();
+    await removeChunks(session);
+  }
+  return stale.length;
+};
+
+let sweeper = null;
+
+export const startUploadSessionSweeper = (intervalMs = 60 * 60 * 1000) => {
+  if (sweeper) return sweeper;
+  sweeper = setInterval(async () => {
+    try {
+      const count = await expireUploadSessions();
+      if (count > 0) console.log(`🧹 Cleaned up ${count} abandoned chunked upload(s)`);
+    } catch (error) {
+      console.error('❌ Chunked upload sweep failed:', error.message);
+    }
+  }, intervalMs);
+  sweeper.unref();
+  return sweeper;
+};
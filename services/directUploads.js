@@ -0,0 +1,178 @@
+import path from 'path';
+import DirectUpload from '../models/DirectUpload.js';
+import { getStorage, removeMediaAssets } from '../storage/index.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// What a signed upload may contain, per resource type
+export const DIRECT_UPLOAD_LIMITS = {
+  image: { formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'], max_bytes: 10 * 1024 * 1024 },
+  video: { formats: ['mp4', 'mov', 'avi', 'webm', 'mkv'], max_bytes: 50 * 1024 * 1024 }
+};
+
+// How long a signed upload may be started, and how long after that it may still be confirmed
+const UPLOAD_TTL_MS = (Number(process.env.DIRECT_UPLOAD_TTL_MINUTES) || 15) * 60 * 1000;
+const CONFIRM_WINDOW_MS = 60 * 60 * 1000;
+
+const formatOf = (filename) => path.extname(filename || '').slice(1).toLowerCase();
+
+/**
+ * Sign a browser-to-storage upload for `filename` and record it as pending.
+ * `bytes` (the client's file size) is optional but lets oversized files fail early.
+ */
+export const issueDirectUpload = async ({ filename, resourceType, bytes, actor = null }) => {
+  const limits = DIRECT_UPLOAD_LIMITS[resourceType];
+  if (!limits) {
+    throw new HttpError(400, 'resource_type must be one of: ' + Object.keys(DIRECT_UPLOAD_LIMITS).join(', '));
+  }
+
+  const format = formatOf(filename);
+  if (!limits.formats.includes(format)) {
+    throw new HttpError(400, `${resourceType} uploads must be one of: ${limits.formats.join(', ')}`);
+  }
+
+  if (bytes !== undefined) {
+    const size = Number(bytes);
+    if (!Number.isFinite(size) || size < 0) throw new HttpError(400, 'bytes must be a non-negative number');
+    if (size > limits.max_bytes) {
+      throw new HttpError(400, `File too large. Maximum size is ${limits.max_bytes / 1024 / 1024}MB`);
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + UPLOAD_TTL_MS);
+  const { publicId, upload } = getStorage().signDirectUpload({
+    filename,
+    resourceType,
+    formats: limits.formats,
+    maxBytes: limits.max_bytes,
+    expiresAt
+  });
+
+  const record = await DirectUpload.create({
+    public_id: publicId,
+    resource_type: resourceType,
+    allowed_formats: limits.formats,
+    max_bytes: limits.max_bytes,
+    original_filename: filename,
+    expires_at: expiresAt,
+    requested_by: actor
+  });
+
+  return { record, upload };
+};
+
+// Why a stored asset does not satisfy the policy it was signed with, or null if it does
+const policyViolation = (record, asset) => {
+  if (asset.resourceType !== record.resource_type) {
+    return `Expected a ${record.resource_type} but storage holds a ${asset.resourceType}`;
+  }
+  if (!record.allowed_formats.includes(asset.format)) return `Format ${asset.format} is not allowed`;
+  if (asset.bytes > record.max_bytes) return `File is ${asset.bytes} bytes; the limit is ${record.max_bytes}`;
+  return null;
+};
+
+/**
+ * Check the storage receipt ({ version, signature }) and the stored asset against the
+ * signed policy. Assets that break the policy (including ones over max_bytes, which
+ * Cloudinary cannot refuse at upload time) are deleted and the upload is rejected;
+ * so is a file confirmed after the window closed. Confirming twice returns the
+ * already-confirmed record.
+ */
+export const confirmDirectUpload = async (record, { version, signature } = {}) => {
+  if (record.status === 'confirmed') return record;
+  if (record.status !== 'pending') throw new HttpError(409, `Upload is ${record.status}`);
+  const storage = getStorage();
+  if (record.expires_at.getTime() + CONFIRM_WINDOW_MS < Date.now()) {
+    await removeMediaAssets([{
+      url: storage.resolveUrl(record.public_id, { resourceType: record.resource_type }),
+      public_id: record.public_id,
+      type: record.resource_type
+    }]);
+    record.status = 'expired';
+    await record.save();
+    throw new HttpError(409, 'Upload confirmation window has closed');
+  }
+
+  if (!storage.verifyUploadSignature({ publicId: record.public_id, version, signature })) {
+    throw new HttpError(400, 'Upload signature is invalid');
+  }
+
+  const asset = await storage.describeAsset(record.public_id, { resourceType: record.resource_type });
+  if (!asset) throw new HttpError(404, 'Uploaded file not found in storage');
+
+  const violation = policyViolation(record, asset);
+  if (violation) {
+    await removeMediaAssets([{ url: asset.url, public_id: record.public_id, type: asset.resourceType }]);
+    record.status = 'rejected';
+    record.rejection_reason = violation;
+    await record.save();
+    throw new HttpError(400, `Upload rejected: ${violation}`);
+  }
+
+  record.status = 'confirmed';
+  record.url = asset.url;
+  record.format = asset.format;
+  record.bytes = asset.bytes;
+  record.confirmed_at = new Date();
+  await record.save();
+  return record;
+};
+
+/**
+ * Refuse URLs that belong to a direct upload which has not been confirmed. Every
+ * route that stores a media URL calls this, so the expiry sweeper never deletes a
+ * file something still references. URLs from other sources (multer uploads,
+ * external links) are not affected.
+ */
+export const assertUploadsConfirmed = async (urls) => {
+  const storage = getStorage();
+  const publicIds = urls
+    .filter(url => typeof url === 'string' && url)
+    .map(url => storage.publicIdFromUrl(url))
+    .filter(Boolean);
+  if (publicIds.length === 0) return;
+
+  const unconfirmed = await DirectUpload.findOne({
+    public_id: { $in: publicIds },
+    status: { $ne: 'confirmed' }
+  }).select('public_id status').lean();
+
+  if (unconfirmed) {
+    throw new HttpError(409, `Direct upload ${unconfirmed.public_id} is ${unconfirmed.status}; confirm it before using it`);
+  }
+};
+
+// Delete whatever was uploaded for pending uploads nobody confirmed
+export const expireDirectUploads = async (now = new Date()) => {
+  const stale = await DirectUpload.find({
+    status: 'pending',
+    expires_at: { $lt: new Date(now.getTime() - CONFIRM_WINDOW_MS) }
+  }).limit(500);
+
+  const storage = getStorage();
+  for (const record of stale) {
+    await removeMediaAssets([{
+      url: storage.resolveUrl(record.public_id, { resourceType: record.resource_type }),
+      public_id: record.public_id,
+      type: record.resource_type
+    }]);
+    record.status = 'expired';
+    await record.save();
+  }
+  return stale.length;
+};
+
+let sweeper = null;
+
+export const startDirectUploadSweeper = (intervalMs = 30 * 60 * 1000) => {
+  if (sweeper) return sweeper;
+  sweeper = setInterval(async () => {
+    try {
+      const count = await expireDirectUploads();
+      if (count > 0) console.log(`🧹 Expired ${count} unconfirmed direct upload(s)`);
+    } catch (error) {
+      console.error('❌ Direct upload sweep failed:', error.message);
+    }
+  }, intervalMs);
+  sweeper.unref();
+  return sweeper;
+};
@@ -0,0 +1,78 @@
+// Minimal iCalendar (RFC 5545) output for consultation bookings
+
+const TYPE_LABELS = {
+  showroom: 'Showroom consultation',
+  site_visit: 'Site visit'
+};
+
+// 20261019T043000Z
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values (CN=...) are quoted instead of escaped and may not contain quotes
+const paramValue = (value) => `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Calendar file for a booking. Cancelled bookings produce a METHOD:CANCEL update with the
+ * same UID and a higher SEQUENCE, so calendar apps remove the event they already have.
+ */
+export const bookingToIcs = (booking, designer) => {
+  const company = process.env.COMPANY_NAME || 'Interior Design Studio';
+  const cancelled = booking.status === 'cancelled';
+  const location = booking.type === 'site_visit' ? booking.address : (process.env.COMPANY_ADDRESS || company);
+  const description = [
+    `${TYPE_LABELS[booking.type]} with ${designer.name}`,
+    booking.notes ? `Notes: ${booking.notes}` : '',
+    designer.phone ? `Designer phone: ${designer.phone}` : ''
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(company)}//Consultations//EN`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:booking-${booking._id}@${company.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    `DTSTAMP:${icsDate(booking.updated_at || new Date())}`,
+    `DTSTART:${icsDate(booking.starts_at)}`,
+    `DTEND:${icsDate(booking.ends_at)}`,
+    `SEQUENCE:${booking.sequence}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(`${TYPE_LABELS[booking.type]} - ${company}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(location)}`
+  ];
+
+  if (process.env.COMPANY_EMAIL) {
+    lines.push(`ORGANIZER;CN=${paramValue(company)}:mailto:${process.env.COMPANY_EMAIL}`);
+  }
+  lines.push(`ATTENDEE;CN=${paramValue(booking.client.name)};RSVP=FALSE:mailto:${booking.client.email}`);
+  if (designer.email) {
+    lines.push(`ATTENDEE;CN=${paramValue(designer.name)};ROLE=REQ-PARTICIPANT:mailto:${designer.email}`);
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
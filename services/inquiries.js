@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import Inquiry, { INQUIRY_STATUSES, INQUIRY_TRANSITIONS } from '../models/Inquiry.js';
+import User from '../models/User.js';
+import { HttpError } from '../utils/HttpError.js';
+import { csvLine, neutralizeFormula } from '../utils/csv.js';
+import { escapeRegex } from '../utils/productSearch.js';
+
+const STAFF_ROLES = ['admin', 'editor'];
+
+export const changeInquiryStatus = (inquiry, status, actor) => {
+  const allowed = INQUIRY_TRANSITIONS[inquiry.status] || [];
+  if (!allowed.includes(status)) {
+    throw new HttpError(409, `Cannot move a ${inquiry.status} lead to ${status}`);
+  }
+  inquiry.status = status;
+  inquiry.status_history.push({ status, changed_at: new Date(), changed_by: actor });
+  return inquiry;
+};
+
+export const assignInquiry = async (inquiry, userId) => {
+  if (userId === null || userId === '') {
+    inquiry.assigned_to = null;
+    return inquiry;
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) throw new HttpError(400, "Invalid user ID format");
+
+  const user = await User.findById(userId).select('role active').lean();
+  if (!user || !user.active || !STAFF_ROLES.includes(user.role)) {
+    throw new HttpError(400, "Leads can only be assigned to active admin or editor accounts");
+  }
+  inquiry.assigned_to = user._id;
+  return inquiry;
+};
+
+/**
+ * Build a Mongo filter from list/export query parameters:
+ * status (comma list), assigned_to (id, "me" or "none"), product, room_type, q, from, to.
+ */
+export const parseInquiryFilter = (query, currentUser) => {
+  const filter = {};
+
+  if (query.status !== undefined) {
+    const statuses = String(query.status).split(',').map(status => status.trim());
+    const unknown = statuses.filter(status => !INQUIRY_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new HttpError(400, "status must be one of: " + INQUIRY_STATUSES.join(', '));
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (query.assigned_to !== undefined) {
+    if (query.assigned_to === 'none') {
+      filter.assigned_to = null;
+    } else if (query.assigned_to === 'me') {
+      filter.assigned_to = currentUser.id;
+    } else if (mongoose.Types.ObjectId.isValid(query.assigned_to)) {
+      filter.assigned_to = query.assigned_to;
+    } else {
+      throw new HttpError(400, "assigned_to must be a user ID, 'me' or 'none'");
+    }
+  }
+
+  if (query.product !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(query.product)) throw new HttpError(400, "Invalid product ID format");
+    filter.products = query.product;
+  }
+
+  if (typeof query.room_type === 'string' && query.room_type.trim()) {
+    filter.room_type = new RegExp(`^${escapeRegex(query.room_type.trim())}$`, 'i');
+  }
+
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }, { message: pattern }];
+  }
+
+  ['from', 'to'].forEach(bound => {
+    if (query[bound] === undefined) return;
+    const date = new Date(query[bound]);
+    if (Number.isNaN(date.getTime())) throw new HttpError(400, `${bound} must be a valid date`);
+    filter.created_at = { ...filter.created_at, [bound === 'from' ? '$gte' : '$lte']: date };
+  });
+
+  return filter;
+};
+
+const EXPORT_COLUMNS = [
+  ['created_at', lead => lead.created_at.toISOString()],
+  ['status', lead => lead.status],
+  ['name', lead => lead.name],
+  ['email', lead => lead.email],
+  ['phone', lead => lead.phone],
+  ['room_type', lead => lead.room_type],
+  ['products', lead => lead.products.map(product => product.product_name || product._id).join('; ')],
+  ['assigned_to', lead => (lead.assigned_to ? lead.assigned_to.email : '')],
+  ['message', lead => lead.message],
+  ['notes', lead => lead.notes.map(note => note.text).join(' | ')]
+];
+
+// Stream matching leads to `output` as CSV, newest first
+export const exportInquiries = async (output, filter) => {
+  const cursor = Inquiry.find(filter)
+    .sort({ created_at: -1 })
+    .populate('products', 'product_name')
+    .populate('assigned_to', 'email')
+    .lean()
+    .cursor();
+
+  output.write(csvLine(EXPORT_COLUMNS.map(([header]) => header)));
+  for await (const lead of cursor) {
+    const line = csvLine(EXPORT_COLUMNS.map(([, value]) => neutralizeFormula(String(value(lead) || ''))));
+    if (!output.write(line)) await new Promise(resolve => output.once('drain', resolve));
+  }
+  output.end();
+};
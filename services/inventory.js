@@ -0,0 +1,337 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Location from '../models/Location.js';
+import StockLevel from '../models/StockLevel.js';
+import StockMovement from '../models/StockMovement.js';
+import StockReservation from '../models/StockReservation.js';
+import { HttpError } from '../utils/HttpError.js';
+
+const DEFAULT_RESERVATION_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+// Matches a stock level with at least `quantity` units not already reserved
+const hasAvailable = (quantity) => ({
+  $expr: { $gte: [{ $subtract: ['$on_hand', '$reserved'] }, quantity] }
+});
+
+const assertQuantity = (quantity, { allowNegative = false } = {}) => {
+  if (!Number.isInteger(quantity) || quantity === 0 || (!allowNegative && quantity < 0)) {
+    throw new HttpError(400, allowNegative
+      ? 'quantity must be a non-zero integer'
+      : 'quantity must be a positive integer');
+  }
+};
+
+/**
+ * Validate product/variant/location ids and check they exist.
+ * Returns { product, variant, location } as ObjectIds (variant may be null).
+ */
+export const resolveStockTarget = async ({ product, variant, location }) => {
+  if (!mongoose.Types.ObjectId.isValid(product)) throw new HttpError(400, 'Invalid product ID format');
+  if (!mongoose.Types.ObjectId.isValid(location)) throw new HttpError(400, 'Invalid location ID format');
+  if (variant && !mongoose.Types.ObjectId.isValid(variant)) throw new HttpError(400, 'Invalid variant ID format');
+
+  const [productDoc, locationDoc] = await Promise.all([
+    Product.findById(product).select('variants._id').lean(),
+    Location.findById(location).select('active').lean()
+  ]);
+
+  if (!productDoc) throw new HttpError(404, 'Product not found');
+  if (!locationDoc || !locationDoc.active) throw new HttpError(404, 'Location not found');
+
+  const variantIds = (productDoc.variants || []).map(item => String(item._id));
+  if (variant && !variantIds.includes(String(variant))) {
+    throw new HttpError(404, 'Variant not found');
+  }
+  if (!variant && variantIds.length > 0) {
+    throw new HttpError(400, 'This product has variants; a variant ID is required');
+  }
+
+  return {
+    product: new mongoose.Types.ObjectId(String(product)),
+    variant: variant ? new mongoose.Types.ObjectId(String(variant)) : null,
+    location: new mongoose.Types.ObjectId(String(location))
+  };
+};
+
+const recordMovement = (target, type, quantity, { reference = '', note = '', actor = null, reservation = null } = {}) => (
+  StockMovement.create({ ...target, type, quantity, reference, note, actor, reservation })
+);
+
+// Increase on-hand stock from a delivery
+export const receiveStock = async ({ quantity, ...details }) => {
+  assertQuantity(quantity);
+  const target = await resolveStockTarget(details);
+
+  const level = await StockLevel.findOneAndUpdate(
+    target,
+    { $inc: { on_hand: quantity } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  await recordMovement(target, 'receipt', quantity, details);
+  return level;
+};
+
+// Correct on-hand stock by a signed delta; cannot drop below what is reserved
+export const adjustStock = async ({ quantity, ...details }) => {
+  assertQuantity(quantity, { allowNegative: true });
+  const target = await resolveStockTarget(details);
+
+  let level;
+  if (quantity > 0) {
+    level = await StockLevel.findOneAndUpdate(
+      target,
+      { $inc: { on_hand: quantity } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } else {
+    level = await StockLevel.findOneAndUpdate(
+      { ...target, ...hasAvailable(-quantity) },
+      { $inc: { on_hand: quantity } },
+      { new: true }
+    );
+    if (!level) throw new HttpError(409, 'Adjustment would reduce stock below the reserved quantity');
+  }
+
+  await recordMovement(target, 'adjustment', quantity, details);
+  return level;
+};
+
+// Sell unreserved stock directly
+export const recordSale = async ({ quantity, ...details }) => {
+  assertQuantity(quantity);
+  const target = await resolveStockTarget(details);
+
+  const level = await StockLevel.findOneAndUpdate(
+    { ...target, ...hasAvailable(quantity) },
+    { $inc: { on_hand: -quantity } },
+    { new: true }
+  );
+  if (!level) throw new HttpError(409, 'Insufficient stock available');
+
+  await recordMovement(target, 'sale', -quantity, details);
+  return level;
+};
+
+// Hold stock for a limited time; the conditional $inc keeps concurrent reservations from overselling
+export const reserveStock = async ({ quantity, ttlMinutes = DEFAULT_RESERVATION_MINUTES, ...details }) => {
+  assertQuantity(quantity);
+  if (!Number.isFinite(ttlMinutes) || ttlMinutes <= 0 || ttlMinutes > 7 * 24 * 60) {
+    throw new HttpError(400, 'ttlMinutes must be between 1 and 10080');
+  }
+  const target = await resolveStockTarget(details);
+
+  const level = await StockLevel.findOneAndUpdate(
+    { ...target, ...hasAvailable(quantity) },
+    { $inc: { reserved: quantity } },
+    { new: true }
+  );
+  if (!level) throw new HttpError(409, 'Insufficient stock available');
+
+  try {
+    const reservation = await StockReservation.create({
+      ...target,
+      quantity,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      reference: details.reference || '',
+      actor: details.actor || null
+    });
+    await recordMovement(target, 'reservation', quantity, { ...details, reservation: reservation._id });
+    return reservation;
+  } catch (error) {
+    // Give the units back if the reservation could not be recorded
+    await StockLevel.updateOne(target, { $inc: { reserved: -quantity } });
+    throw error;
+  }
+};
+
+// Move an active reservation to a final status exactly once
+const closeReservation = async (reservationId, status) => {
+  if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+    throw new HttpError(400, 'Invalid reservation ID format');
+  }
+
+  const reservation = await StockReservation.findOneAndUpdate(
+    { _id: reservationId, status: 'active' },
+    { $set: { status } },
+    { new: true }
+  );
+
+  if (!reservation) {
+    const existing = await StockReservation.findById(reservationId).lean();
+    if (!existing) throw new HttpError(404, 'Reservation not found');
+    throw new HttpError(409, `Reservation is already ${existing.status}`);
+  }
+
+  return reservation;
+};
+
+const targetOf = (reservation) => ({
+  product: reservation.product,
+  variant: reservation.variant,
+  location: reservation.location
+});
+
+// Return reserved units to available stock
+export const releaseReservation = async (reservationId, { status = 'released', actor = null } = {}) => {
+  const reservation = await closeReservation(reservationId, status);
+  await StockLevel.updateOne(targetOf(reservation), { $inc: { reserved: -reservation.quantity } });
+  await recordMovement(targetOf(reservation), status === 'expired' ? 'expiry' : 'release', -reservation.quantity, {
+    reservation: reservation._id,
+    reference: reservation.reference,
+    actor
+  });
+  return reservation;
+};
+
+// Turn a reservation into a sale
+export const commitReservation = async (reservationId, { actor = null, note = '' } = {}) => {
+  const current = mongoose.Types.ObjectId.isValid(reservationId)
+    ? await StockReservation.findById(reservationId).lean()
+    : null;
+  if (current && current.status === 'active' && current.expires_at <= new Date()) {
+    await releaseReservation(reservationId, { status: 'expired' });
+    throw new HttpError(409, 'Reservation has expired');
+  }
+
+  const reservation = await closeReservation(reservationId, 'committed');
+  await StockLevel.updateOne(targetOf(reservation), {
+    $inc: { on_hand: -reservation.quantity, reserved: -reservation.quantity }
+  });
+  await recordMovement(targetOf(reservation), 'sale', -reservation.quantity, {
+    reservation: reservation._id,
+    reference: reservation.reference,
+    note,
+    actor
+  });
+  return reservation;
+};
+
+// Release every active reservation past its expiry time
+export const expireReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expires_at: { $lte: new Date() } })
+    .select('_id')
+    .lean();
+
+  let count = 0;
+  for (const { _id } of expired) {
+    try {
+      await releaseReservation(_id, { status: 'expired' });
+      count += 1;
+    } catch (error) {
+      // Another worker closed it first
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+  return count;
+};
+
+let sweeper = null;
+
+// Periodically expire reservations in the background
+export const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  if (sweeper) return sweeper;
+  sweeper = setInterval(async () => {
+    try {
+      const count = await expireReservations();
+      if (count > 0) console.log(`⏰ Expired ${count} stock reservation(s)`);
+    } catch (error) {
+      console.error('❌ Reservation sweep failed:', error.message);
+    }
+  }, intervalMs);
+  sweeper.unref();
+  return sweeper;
+};
+
+/**
+ * Sum stock for the given products. Callers pass products they have already loaded,
+ * so trashed products are filtered out before this point.
+ * Returns a Map of productId -> { on_hand, reserved, available, in_stock }.
+ */
+export const getAvailability = async (productIds) => {
+  const ids = productIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  const totals = await StockLevel.aggregate([
+    { $match: { product: { $in: ids } } },
+    {
+      $group: {
+        _id: '$product',
+        on_hand: { $sum: '$on_hand' },
+        reserved: { $sum: '$reserved' }
+      }
+    }
+  ]);
+
+  const availability = new Map();
+  ids.forEach(id => availability.set(String(id), { on_hand: 0, reserved: 0, available: 0, in_stock: false }));
+  totals.forEach(({ _id, on_hand, reserved }) => {
+    const available = on_hand - reserved;
+    availability.set(String(_id), { on_hand, reserved, available, in_stock: available > 0 });
+  });
+  return availability;
+};
+
+// Add an `availability` summary to each product (plain objects)
+export const attachAvailability = async (products) => {
+  if (products.length === 0) return products;
+  const availability = await getAvailability(products.map(product => product._id));
+  return products.map(product => ({
+    ...product,
+    availability: availability.get(String(product._id))
+  }));
+};
+
+// Stock levels at or below their threshold (or an explicit one), lowest first
+export const lowStockReport = async ({ location, threshold } = {}) => {
+  const match = {};
+  if (location) match.location = new mongoose.Types.ObjectId(String(location));
+
+  const limit = threshold === undefined ? '$low_stock_threshold' : threshold;
+
+  return StockLevel.aggregate([
+    { $match: match },
+    { $addFields: { available: { $subtract: ['$on_hand', '$reserved'] } } },
+    { $match: { $expr: { $lte: ['$available', limit] } } },
+    { $sort: { available: 1 } },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'product',
+        foreignField: '_id',
+        // Aggregations skip the soft-delete query hook; stock of trashed products is left out
+        pipeline: [
+          { $match: { deleted_at: null } },
+          { $project: { product_name: 1, brand: 1, category: 1, variants: 1 } }
+        ],
+        as: 'product'
+      }
+    },
+    { $unwind: '$product' },
+    { $limit: 500 },
+    {
+      $lookup: {
+        from: 'locations',
+        localField: 'location',
+        foreignField: '_id',
+        pipeline: [{ $project: { code: 1, name: 1, type: 1 } }],
+        as: 'location'
+      }
+    },
+    { $unwind: '$location' },
+    {
+      $addFields: {
+        sku: {
+          $let: {
+            vars: {
+              match: {
+                $first: {
+                  $filter: { input: '$product.variants', cond: { $eq: ['$$this._id', '$variant'] } }
+                }
+              }
+            },
+            in: '$$match.sku'
+          }
+        }
+      }
+    },
+    { $project: { 'product.variants': 0 } }
+  ]);
+};
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import Product from '../models/Product.js';
+import { getStorage, removeMediaAssets } from '../storage/index.js';
+import { catalogEvents } from './catalogEvents.js';
+import { toHex, colorFamiliesFromMedia } from '../utils/color.js';
+
+// Responsive widths and formats generated for every gallery image
+export const DERIVATIVE_WIDTHS = [320, 640, 1024, 1600];
+export const DERIVATIVE_FORMATS = ['webp', 'avif'];
+
+const PLACEHOLDER_WIDTH = 16;
+const PALETTE_SIZE = 5;
+// Palette colours closer than this (RGB distance) are merged
+const PALETTE_MERGE_DISTANCE = 48;
+
+const ENCODE_OPTIONS = {
+  webp: { quality: 78 },
+  avif: { quality: 55, effort: 4 }
+};
+
+// One image at a time is plenty; encoding AVIF is CPU-heavy
+sharp.concurrency(Number(process.env.SHARP_CONCURRENCY) || 1);
+
+const distance = (a, b) => Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+
+/**
+ * Dominant colours of an image: bucket the pixels of a small thumbnail, merge
+ * neighbouring buckets and keep the largest. Transparent pixels are ignored.
+ */
+export const extractPalette = async (input, size = PALETTE_SIZE) => {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(64, 64, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buckets = new Map();
+  let counted = 0;
+  for (let offset = 0; offset < data.length; offset += info.channels) {
+    if (data[offset + 3] < 128) continue;
+    const [r, g, b] = [data[offset], data[offset + 1], data[offset + 2]];
+    // 4 bits per channel
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.count += 1;
+    buckets.set(key, bucket);
+    counted += 1;
+  }
+  if (counted === 0) return [];
+
+  const merged = [];
+  [...buckets.values()]
+    .map(bucket => ({ r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count, count: bucket.count }))
+    .sort((a, b) => b.count - a.count)
+    .forEach(color => {
+      const near = merged.find(existing => distance(existing, color) < PALETTE_MERGE_DISTANCE);
+      if (!near) return merged.push({ ...color });
+      const total = near.count + color.count;
+      ['r', 'g', 'b'].forEach(channel => {
+        near[channel] = (near[channel] * near.count + color[channel] * color.count) / total;
+      });
+      near.count = total;
+    });
+
+  return merged
+    .sort((a, b) => b.count - a.count)
+    .slice(0, size)
+    .map(color => ({ hex: toHex(color), share: Math.round((color.count / counted) * 1000) / 1000 }));
+};
+
+// Blurred thumbnail small enough to inline in JSON
+export const blurPlaceholder = async (input) => {
+  const buffer = await sharp(input)
+    .rotate()
+    .resize(PLACEHOLDER_WIDTH)
+    .blur(1)
+    .webp({ quality: 40 })
+    .toBuffer();
+  return `data:image/webp;base64,${buffer.toString('base64')}`;
+};
+
+// Widths to generate; never upscale, but always produce at least one size
+const widthsFor = (originalWidth) => {
+  const widths = DERIVATIVE_WIDTHS.filter(width => width < originalWidth);
+  return widths.length > 0 ? widths : [originalWidth];
+};
+
+/**
+ * Build the derivatives, placeholder and palette of one image and upload the
+ * derivatives to media storage. Uploaded files are cleaned up if a later step fails.
+ */
+export const processImage = async (input, { name = 'image' } = {}) => {
+  const metadata = await sharp(input).metadata();
+  const { width, height } = metadata.autoOrient || metadata;
+
+  const [placeholder, palette] = await Promise.all([blurPlaceholder(input), extractPalette(input)]);
+
+  const storage = getStorage();
+  const workDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'interior-derivatives-'));
+  const derivatives = [];
+  try {
+    for (const targetWidth of widthsFor(width)) {
+      for (const format of DERIVATIVE_FORMATS) {
+        const filePath = path.join(workDirectory, `${name}-${targetWidth}w.${format}`);
+        await sharp(input)
+          .rotate()
+          .resize(targetWidth)
+          .toFormat(format, ENCODE_OPTIONS[format])
+          .toFile(filePath);
+
+        const stored = await storage.uploadFile(filePath, { resourceType: 'image', filename: path.basename(filePath) });
+        derivatives.push({
+          width: targetWidth,
+          format,
+          url: stored.url,
+          public_id: stored.publicId,
+          bytes: stored.bytes
+        });
+      }
+    }
+  } catch (error) {
+    await removeMediaAssets([{ derivatives }]);
+    throw error;
+  } finally {
+    await fs.promises.rm(workDirectory, { recursive: true, force: true });
+  }
+
+  return { width, height, placeholder, palette, derivatives };
+};
+
+const needsProcessing = (item) => item.type === 'image' && !item.processed_at && !item.processing_error;
+
+/**
+ * Process every unprocessed gallery image of a product. Results are written with
+ * targeted updates (no new revision or version bump); if the item was removed or
+ * replaced meanwhile, the freshly uploaded derivatives are deleted again.
+ */
+export const processProductMedia = async (productId) => {
+  const product = await Product.findById(productId).select('media').lean();
+  if (!product) return 0;
+
+  const storage = getStorage();
+  let processed = 0;
+
+  for (const item of product.media.filter(needsProcessing)) {
+    let fields;
+    try {
+      const publicId = item.public_id || storage.publicIdFromUrl(item.url);
+      if (!publicId) throw new Error('Only images in media storage can be processed');
+
+      const input = await storage.readFile(publicId, { resourceType: 'image' });
+      const result = await processImage(input, { name: path.basename(publicId).replace(/\.[^.]+$/, '') });
+      fields = { ...result, processed_at: new Date(), processing_error: '' };
+    } catch (error) {
+      console.error(`⚠️ Could not process image ${item.url}:`, error.message);
+      fields = { processing_error: error.message.slice(0, 300) };
+    }
+
+    const $set = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`media.$.${field}`, value]));
+    const { matchedCount } = await Product.updateOne(
+      { _id: product._id, media: { $elemMatch: { _id: item._id, url: item.url } } },
+      { $set }
+    );
+
+    if (matchedCount === 0) {
+      await removeMediaAssets([{ derivatives: fields.derivatives || [] }]);
+    } else if (fields.processed_at) {
+      processed += 1;
+    }
+  }
+
+  if (processed > 0) {
+    const updated = await Product.findById(product._id).select('media').lean();
+    if (updated) await Product.updateOne({ _id: product._id }, { $set: { colors: colorFamiliesFromMedia(updated.media) } });
+  }
+  return processed;
+};
+
+// Products run one after another in the background
+const queue = new Set();
+let draining = false;
+
+export const queueMediaProcessing = (productId) => {
+  queue.add(String(productId));
+  drainQueue();
+};
+
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.size > 0) {
+      const [productId] = queue;
+      queue.delete(productId);
+      try {
+        const count = await processProductMedia(productId);
+        if (count > 0) console.log(`🖼️ Processed ${count} image(s) of product ${productId}`);
+      } catch (error) {
+        console.error(`❌ Media processing failed for product ${productId}:`, error.message);
+      }
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+let listening = false;
+
+// Process new gallery images whenever a product is saved
+export const startMediaProcessing = () => {
+  if (listening) return;
+  listening = true;
+  catalogEvents.on('product:changed', ({ id }) => {
+    if (id) queueMediaProcessing(id);
+  });
+};
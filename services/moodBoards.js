@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import MoodBoard from '../models/MoodBoard.js';
+import Product from '../models/Product.js';
+import { roundMoney } from './pricing.js';
+import { assertUploadsConfirmed } from './directUploads.js';
+import { HttpError } from '../utils/HttpError.js';
+
+const BOARD_FIELDS = ['name', 'description', 'client_name', 'room_type', 'canvas', 'items'];
+const ITEM_FIELDS = [
+  'kind', 'product', 'variant', 'quantity', 'image_url', 'public_id', 'color', 'label', 'text',
+  'x', 'y', 'width', 'height', 'scale', 'rotation', 'z'
+];
+
+export const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Images placed on a board must not be unconfirmed direct uploads
+export const assertItemMediaConfirmed = (items) => assertUploadsConfirmed(
+  items.filter(item => item && typeof item === 'object').map(item => item.image_url)
+);
+
+export const applyBoardChanges = async (board, body = {}) => {
+  if (Array.isArray(body.items)) await assertItemMediaConfirmed(body.items);
+  board.set(pickFields(body, BOARD_FIELDS));
+  return board;
+};
+
+export const pickItemFields = (body = {}) => pickFields(body, ITEM_FIELDS);
+
+// Files uploaded for the board itself (product images are left alone)
+export const ownedMedia = (items) => items
+  .filter(item => item.kind === 'image' && item.public_id)
+  .map(item => ({ url: item.image_url, public_id: item.public_id }));
+
+/**
+ * Product details and the running cost of a board, from the current catalog price_new
+ * (variant price when a variant is placed). Products that were deleted are listed under
+ * `unavailable` and left out of the total.
+ */
+export const describeBoard = async (board) => {
+  const data = typeof board.toObject === 'function' ? board.toObject() : board;
+  const productIds = data.items.filter(item => item.kind === 'product').map(item => item.product);
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('product_name brand price_new image_url variants._id variants.sku variants.price_new')
+    .lean();
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  const lines = [];
+  const unavailable = [];
+
+  const items = data.items.map(item => {
+    if (item.kind !== 'product') return item;
+
+    const product = byId.get(String(item.product));
+    const variant = product && item.variant
+      ? product.variants.find(entry => String(entry._id) === String(item.variant))
+      : null;
+
+    if (!product || (item.variant && !variant)) {
+      unavailable.push(item._id);
+      return { ...item, unavailable: true };
+    }
+
+    const unitPrice = variant ? variant.price_new : product.price_new;
+    lines.push({
+      item: item._id,
+      product: product._id,
+      variant: variant ? variant._id : null,
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      line_total: roundMoney(unitPrice * item.quantity)
+    });
+
+    return {
+      ...item,
+      product_details: {
+        _id: product._id,
+        product_name: product.product_name,
+        brand: product.brand,
+        image_url: product.image_url,
+        sku: variant ? variant.sku : undefined
+      }
+    };
+  });
+
+  return {
+    ...data,
+    items,
+    cost: {
+      total: roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0)),
+      lines,
+      unavailable
+    }
+  };
+};
+
+export const createShare = (board, { label = '', expiresInDays = null, actor = null } = {}) => {
+  const days = expiresInDays === null || expiresInDays === undefined ? null : Number(expiresInDays);
+  if (days !== null && (!Number.isFinite(days) || days <= 0)) {
+    throw new HttpError(400, "expires_in_days must be a positive number");
+  }
+
+  board.shares.push({
+    token: crypto.randomBytes(18).toString('base64url'),
+    label,
+    expires_at: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    created_by: actor
+  });
+  return board.shares[board.shares.length - 1];
+};
+
+// The board a share token opens, or a 404 for unknown and expired links
+export const findBoardByShareToken = async (token) => {
+  const board = await MoodBoard.findOne({ 'shares.token': String(token) });
+  const share = board && board.shares.find(entry => entry.token === String(token));
+  if (!share || (share.expires_at && share.expires_at <= new Date())) {
+    throw new HttpError(404, "This share link is invalid or has expired");
+  }
+  return board;
+};
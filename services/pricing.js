@@ -0,0 +1,80 @@
+import Promotion from '../models/Promotion.js';
+import Category from '../models/Category.js';
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const discountedPrice = (price, promotion) => {
+  const discount = promotion.discount_type === 'percentage'
+    ? price * promotion.discount_value / 100
+    : promotion.discount_value;
+  return Math.max(0, roundMoney(price - discount));
+};
+
+export const loadActivePromotions = (at = new Date()) => Promotion.find({
+  is_active: true,
+  starts_at: { $lte: at },
+  ends_at: { $gt: at }
+}).lean();
+
+// Category ids each product belongs to, including every ancestor category
+const categoryPaths = async (products) => {
+  const ids = [...new Set(products.map(product => product.category_id).filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+
+  const categories = await Category.find({ _id: { $in: ids } }).select('ancestors').lean();
+  return new Map(categories.map(category => [
+    String(category._id),
+    new Set([String(category._id), ...category.ancestors.map(String)])
+  ]));
+};
+
+const appliesTo = (promotion, product, categories) => {
+  if (promotion.products.some(id => String(id) === String(product._id))) return true;
+  if (promotion.categories.some(id => categories.has(String(id)))) return true;
+  const brand = (product.brand || '').toLowerCase();
+  return Boolean(brand) && promotion.brands.some(entry => entry.toLowerCase() === brand);
+};
+
+const promotionSummary = ({ _id, name, discount_type, discount_value, starts_at, ends_at }) => ({
+  _id, name, discount_type, discount_value, starts_at, ends_at
+});
+
+/**
+ * Add original_price, effective_price and the active promotion (if any) to plain product
+ * objects. When several promotions apply, the one giving the lowest price wins;
+ * variant prices get the same promotion.
+ */
+export const attachPricing = async (products, { at = new Date(), promotions } = {}) => {
+  if (products.length === 0) return products;
+
+  const active = promotions || await loadActivePromotions(at);
+  const paths = active.length > 0 ? await categoryPaths(products) : new Map();
+
+  return products.map(product => {
+    const categories = paths.get(String(product.category_id)) || new Set();
+    let best = null;
+    let effectivePrice = product.price_new;
+
+    active.filter(promotion => appliesTo(promotion, product, categories)).forEach(promotion => {
+      const price = discountedPrice(product.price_new, promotion);
+      if (price < effectivePrice) {
+        effectivePrice = price;
+        best = promotion;
+      }
+    });
+
+    const priced = {
+      ...product,
+      original_price: product.price_new,
+      effective_price: effectivePrice,
+      promotion: best ? promotionSummary(best) : null
+    };
+    if (Array.isArray(product.variants)) {
+      priced.variants = product.variants.map(variant => ({
+        ...variant,
+        effective_price: best ? discountedPrice(variant.price_new, best) : variant.price_new
+      }));
+    }
+    return priced;
+  });
+};
@@ -0,0 +1,145 @@
+import ProductRevision from '../models/ProductRevision.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// Bookkeeping and derived fields that are neither diffed nor restored by a revert.
+// History is recorded from document saves only: the query writes that maintain
+// derived data (rating aggregates in services/reviews.js, image derivatives and
+// colors in services/mediaDerivatives.js) deliberately leave no revision.
+const UNTRACKED_FIELDS = ['_id', '__v', 'created_at', 'updated_at', 'rating', 'colors', 'schedule_error', 'schedule_retry_at'];
+const LIFECYCLE_FIELDS = ['deleted_at', 'deleted_by', 'status', 'publish_at', 'unpublish_at', 'published_at'];
+
+// Plain JSON copy of a product so ObjectIds, Dates and Maps compare by value
+export const snapshotProduct = (product) => {
+  const data = JSON.parse(JSON.stringify(product.toObject({ depopulate: true, flattenMaps: true, versionKey: false })));
+  UNTRACKED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Field-level diff between two snapshots. Nested objects are walked path by path;
+ * arrays (media, variants, ...) are compared and reported as a whole.
+ */
+export const diffSnapshots = (before = {}, after = {}, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffSnapshots(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+
+  return changes;
+};
+
+const actionFor = (product, before) => {
+  if (!before) return 'create';
+  if (product.$locals.revertedFrom) return 'revert';
+  if (!before.deleted_at && product.deleted_at) return 'delete';
+  if (before.deleted_at && !product.deleted_at) return 'restore';
+  return 'update';
+};
+
+const nextRevisionNumber = async (productId) => {
+  const latest = await ProductRevision.findOne({ product: productId }).sort({ revision: -1 }).select('revision').lean();
+  return latest ? latest.revision + 1 : 1;
+};
+
+const insertRevision = async (data, attempts = 3) => {
+  try {
+    return await ProductRevision.create({ ...data, revision: await nextRevisionNumber(data.product) });
+  } catch (error) {
+    // Two writers raced for the same revision number; take the next one
+    if (error.code === 11000 && attempts > 1) return insertRevision(data, attempts - 1);
+    throw error;
+  }
+};
+
+/**
+ * Record what the last save changed. Called from the Product post('save') hook;
+ * the writer is read from product.$locals.actor.
+ */
+export const recordProductRevision = async (product) => {
+  const before = product.$locals.historyBase || null;
+  const after = snapshotProduct(product);
+  const changes = diffSnapshots(before || {}, after);
+  const action = actionFor(product, before);
+
+  product.$locals.historyBase = after;
+  if (before && changes.length === 0) return null;
+
+  return insertRevision({
+    product: product._id,
+    action,
+    actor: product.$locals.actor || null,
+    changes,
+    snapshot: after,
+    reverted_from: action === 'revert' ? product.$locals.revertedFrom : null
+  });
+};
+
+// A purge deletes the document, so it is recorded by hand with the final state
+export const recordProductPurge = (product, actor) => insertRevision({
+  product: product._id,
+  action: 'purge',
+  actor: actor || null,
+  snapshot: snapshotProduct(product)
+});
+
+/**
+ * Put a product back to how it stood after `revision`. The revert is itself saved
+ * as a new revision, so it can be undone the same way. Media files deleted from
+ * storage since then are not brought back; only the references are.
+ */
+export const revertProduct = async (product, revision, actor) => {
+  const target = await ProductRevision.findOne({ product: product._id, revision }).lean();
+  if (!target) throw new HttpError(404, `Revision ${revision} not found`);
+  if (!target.snapshot || target.action === 'purge') {
+    throw new HttpError(400, `Revision ${revision} cannot be reverted to`);
+  }
+
+  const current = snapshotProduct(product);
+  Object.keys({ ...current, ...target.snapshot })
+    .filter(field => !LIFECYCLE_FIELDS.includes(field))
+    .forEach(field => product.set(field, target.snapshot[field]));
+
+  product.$locals.actor = actor || null;
+  product.$locals.revertedFrom = revision;
+  try {
+    await product.save();
+  } finally {
+    delete product.$locals.revertedFrom;
+  }
+  return product;
+};
+
+/**
+ * Price changes of a product, newest first, read back from its revisions.
+ */
+export const priceHistory = async (productId) => {
+  const revisions = await ProductRevision.find({
+    product: productId,
+    $or: [{ action: 'create' }, { 'changes.path': 'price_new' }]
+  })
+    .select('revision action changes snapshot.price_new created_at')
+    .sort({ revision: -1 })
+    .lean();
+
+  return revisions.map(revision => {
+    const change = revision.changes.find(entry => entry.path === 'price_new');
+    return {
+      revision: revision.revision,
+      price: revision.snapshot ? revision.snapshot.price_new : change.to,
+      previous_price: change && revision.action !== 'create' ? change.from : null,
+      changed_at: revision.created_at
+    };
+  });
+};
@@ -0,0 +1,212 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import Product from '../models/Product.js';
+import { applyCategory } from './categories.js';
+import { assertUploadsConfirmed } from './directUploads.js';
+import { HttpError } from '../utils/HttpError.js';
+import { csvLine, neutralizeFormula } from '../utils/csv.js';
+import { escapeRegex } from '../utils/productSearch.js';
+
+// Spreadsheet columns, in export order; imports accept any subset with a header row
+export const IMPORT_COLUMNS = [
+  'sku',
+  'product_name',
+  'brand',
+  'category',
+  'price_new',
+  'description',
+  'image_url',
+  'video_url'
+];
+// status is exported for reference only; imported products start as drafts
+const EXPORT_COLUMNS = ['_id', ...IMPORT_COLUMNS, 'status', 'created_at', 'updated_at'];
+
+export const UPSERT_KEYS = ['sku', 'name_brand'];
+const MAX_ROWS = 5000;
+
+export const detectFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  return null;
+};
+
+// Flatten rich text, hyperlinks, formulas and dates to plain strings
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+// Undo neutralizeFormula so an exported CSV imports back unchanged
+const restoreFormulaText = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Read the first worksheet into [{ row, values }] keyed by the (lowercased) header row.
+ * CSV cells are kept as the exact text in the file: exceljs would otherwise turn
+ * "00123" into 123 and "2024-01-02" into a Date.
+ */
+export const parseSpreadsheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = format === 'csv'
+    ? await workbook.csv.read(Readable.from(buffer), { map: restoreFormulaText })
+    : (await workbook.xlsx.load(buffer), workbook.worksheets[0]);
+
+  if (!worksheet || worksheet.rowCount < 1) throw new HttpError(400, 'The file is empty');
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column] = cellText(cell.value).toLowerCase().replace(/\s+/g, '_');
+  });
+
+  if (!headers.includes('product_name') && !headers.includes('sku')) {
+    throw new HttpError(400, 'Header row must include product_name or sku');
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      if (IMPORT_COLUMNS.includes(headers[column])) values[headers[column]] = cellText(cell.value);
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ row: rowNumber, values });
+  });
+
+  if (rows.length > MAX_ROWS) throw new HttpError(400, `Imports are limited to ${MAX_ROWS} rows`);
+  return rows;
+};
+
+const keyOf = (values, key) => (key === 'sku'
+  ? (values.sku || '').toUpperCase()
+  : `${(values.product_name || '').toLowerCase()}\u0000${(values.brand || '').toLowerCase()}`);
+
+const findExisting = (values, key) => {
+  if (key === 'sku') return Product.findOne({ sku: values.sku.toUpperCase() });
+  return Product.findOne({
+    product_name: new RegExp(`^${escapeRegex(values.product_name)}$`, 'i'),
+    brand: new RegExp(`^${escapeRegex(values.brand)}$`, 'i')
+  });
+};
+
+// Convert spreadsheet strings to product fields; blank cells leave the field untouched
+const toProductData = (values) => {
+  const data = {};
+  IMPORT_COLUMNS.forEach(column => {
+    if (values[column] === undefined || values[column] === '') return;
+    data[column] = values[column];
+  });
+  if (data.price_new !== undefined) {
+    const price = Number(String(data.price_new).replace(/[,\s₹]/g, ''));
+    data.price_new = Number.isFinite(price) ? price : data.price_new;
+  }
+  return data;
+};
+
+/**
+ * Validate every row against the Product schema and create or update by `key`.
+ * With dryRun nothing is written; the report shows what would happen.
+ */
+export const importProducts = async (rows, { key = 'sku', dryRun = false, actor = null } = {}) => {
+  if (!UPSERT_KEYS.includes(key)) {
+    throw new HttpError(400, 'key must be one of: ' + UPSERT_KEYS.join(', '));
+  }
+
+  const report = { total: rows.length, created: 0, updated: 0, failed: 0, dry_run: dryRun, rows: [] };
+  const seenKeys = new Map();
+
+  for (const { row, values } of rows) {
+    const errors = [];
+    const missingKey = key === 'sku' ? !values.sku : !(values.product_name && values.brand);
+
+    if (missingKey) {
+      errors.push(key === 'sku' ? 'sku is required for key=sku' : 'product_name and brand are required for key=name_brand');
+    } else if (seenKeys.has(keyOf(values, key))) {
+      errors.push(`Duplicate of row ${seenKeys.get(keyOf(values, key))} in this file`);
+    }
+
+    if (errors.length > 0) {
+      report.failed += 1;
+      report.rows.push({ row, status: 'error', errors });
+      continue;
+    }
+    seenKeys.set(keyOf(values, key), row);
+
+    try {
+      const { image_url, video_url, ...data } = await applyCategory(toProductData(values));
+      await assertUploadsConfirmed([image_url, video_url]);
+      const existing = await findExisting(values, key);
+      const product = existing || new Product();
+      product.$locals.actor = actor;
+      product.set(data);
+      // Media links go through the gallery so image_url/video_url stay derived
+      if (image_url !== undefined) product.applyLegacyMedia('image_url', image_url);
+      if (video_url !== undefined) product.applyLegacyMedia('video_url', video_url);
+
+      await product.validate();
+
+      if (!dryRun) await product.save();
+
+      const action = existing ? 'updated' : 'created';
+      report[action] += 1;
+      report.rows.push({ row, status: action, id: product._id });
+    } catch (err) {
+      const rowErrors = err.name === 'ValidationError'
+        ? Object.values(err.errors).map(error => error.message)
+        : [err.code === 11000 ? 'SKU already used by another product' : err.message];
+      report.failed += 1;
+      report.rows.push({ row, status: 'error', errors: rowErrors });
+    }
+  }
+
+  return report;
+};
+
+const exportValue = (product, column) => {
+  const value = product[column];
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined || value === null) return '';
+  return column === '_id' ? String(value) : value;
+};
+
+/**
+ * Stream products matching `filter` to a writable stream as CSV or XLSX.
+ */
+export const exportProducts = async (output, { format, filter = {} }) => {
+  const cursor = Product.find(filter)
+    .select(EXPORT_COLUMNS.join(' '))
+    .sort({ created_at: -1 })
+    .lean()
+    .cursor();
+
+  if (format === 'csv') {
+    output.write(EXPORT_COLUMNS.join(',') + '\r\n');
+    for await (const product of cursor) {
+      const line = csvLine(EXPORT_COLUMNS.map(column => neutralizeFormula(cellText(exportValue(product, column)))));
+      if (!output.write(line)) await new Promise(resolve => output.once('drain', resolve));
+    }
+    output.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Products');
+  sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column, key: column, width: column === 'description' ? 60 : 20 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const product of cursor) {
+    sheet.addRow(EXPORT_COLUMNS.map(column => exportValue(product, column))).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
@@ -0,0 +1,169 @@
+import Product, { PRODUCT_STATUSES } from '../models/Product.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// Statuses a product may move to from each status
+export const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'published', 'archived'],
+  in_review: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+// Editors move products between draft and review; anything that puts a product
+// in front of customers or takes it down is left to admins
+const ADMIN_STATUSES = ['published', 'archived'];
+
+const requiresAdmin = (from, to) => ADMIN_STATUSES.includes(from) || ADMIN_STATUSES.includes(to);
+
+// A product whose scheduled change failed is tried again after this long
+export const SCHEDULE_RETRY_MS = 30 * 60 * 1000;
+
+// Forget a failed scheduled change once the status or schedule is changed again
+const clearScheduleError = (product) => {
+  product.schedule_error = '';
+  product.schedule_retry_at = null;
+};
+
+// Move the product to `status` and keep the schedule consistent with it
+const applyStatus = (product, status, now = new Date()) => {
+  const from = product.status;
+  product.status = status;
+  clearScheduleError(product);
+  if (status === 'published') {
+    product.published_at = now;
+    product.publish_at = null;
+  }
+  if (status === 'archived') product.publish_at = null;
+  if (from === 'published') product.unpublish_at = null;
+};
+
+/**
+ * Move a loaded product to `status` if the workflow allows it and `role` may make
+ * that move. The caller saves the product.
+ */
+export const transitionProduct = (product, status, { role } = {}) => {
+  if (!PRODUCT_STATUSES.includes(status)) {
+    throw new HttpError(400, 'status must be one of: ' + PRODUCT_STATUSES.join(', '));
+  }
+
+  const from = product.status;
+  if (from === status) throw new HttpError(409, `Product is already ${status}`);
+  if (!STATUS_TRANSITIONS[from].includes(status)) {
+    throw new HttpError(409, `A ${from} product cannot be moved to ${status}; allowed: ${STATUS_TRANSITIONS[from].join(', ')}`);
+  }
+  if (requiresAdmin(from, status) && role !== 'admin') {
+    throw new HttpError(403, `Only admins can move a ${from} product to ${status}`);
+  }
+
+  applyStatus(product, status);
+  return product;
+};
+
+// undefined leaves the field alone, null (or '') clears it, anything else must be a future date
+const parseScheduleDate = (value, field, now) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `${field} must be a valid date`);
+  if (date <= now) throw new HttpError(400, `${field} must be in the future`);
+  return date;
+};
+
+/**
+ * Set or clear the product's scheduled publish and unpublish times
+ * ({ publish_at, unpublish_at }). The caller saves the product.
+ */
+export const scheduleProduct = (product, { publish_at, unpublish_at } = {}) => {
+  const now = new Date();
+  const publishAt = parseScheduleDate(publish_at, 'publish_at', now);
+  const unpublishAt = parseScheduleDate(unpublish_at, 'unpublish_at', now);
+
+  if (publishAt && product.status === 'published') {
+    throw new HttpError(409, 'Product is already published');
+  }
+  if (unpublishAt && product.status === 'archived' && !(publishAt || product.publish_at)) {
+    throw new HttpError(409, 'Product is archived; schedule a publish time as well');
+  }
+
+  const nextPublish = publishAt === undefined ? product.publish_at : publishAt;
+  const nextUnpublish = unpublishAt === undefined ? product.unpublish_at : unpublishAt;
+  if (nextPublish && nextUnpublish && nextUnpublish <= nextPublish) {
+    throw new HttpError(400, 'unpublish_at must be after publish_at');
+  }
+
+  product.publish_at = nextPublish;
+  product.unpublish_at = nextUnpublish;
+  clearScheduleError(product);
+  return product;
+};
+
+/**
+ * Save one scheduled change. A product that fails (invalid data, or edited meanwhile)
+ * is marked with the error and skipped until SCHEDULE_RETRY_MS has passed, so it
+ * cannot hold up the products queued behind it.
+ */
+const applyScheduled = async (product, status, now) => {
+  product.$locals.actor = null;
+  applyStatus(product, status, now);
+  try {
+    await product.save();
+    return true;
+  } catch (error) {
+    console.error(`❌ Scheduled ${status} of product ${product._id} failed:`, error.message);
+    await Product.updateOne({ _id: product._id }, {
+      $set: {
+        schedule_error: `Scheduled ${status} failed: ${error.message}`.slice(0, 300),
+        schedule_retry_at: new Date(now.getTime() + SCHEDULE_RETRY_MS)
+      }
+    });
+    return false;
+  }
+};
+
+// Products not waiting out a failed attempt
+const notBackingOff = (now) => ({ $or: [{ schedule_retry_at: null }, { schedule_retry_at: { $lte: now } }] });
+
+/**
+ * Publish products whose publish_at has passed and archive published products
+ * whose unpublish_at has passed. Returns how many of each were changed.
+ */
+export const runScheduledTransitions = async (now = new Date()) => {
+  const toPublish = await Product.find({
+    publish_at: { $lte: now },
+    status: { $ne: 'published' },
+    ...notBackingOff(now)
+  }).limit(100);
+  let published = 0;
+  for (const product of toPublish) {
+    if (await applyScheduled(product, 'published', now)) published += 1;
+  }
+
+  const toArchive = await Product.find({
+    unpublish_at: { $lte: now },
+    status: 'published',
+    ...notBackingOff(now)
+  }).limit(100);
+  let archived = 0;
+  for (const product of toArchive) {
+    if (await applyScheduled(product, 'archived', now)) archived += 1;
+  }
+
+  return { published, archived };
+};
+
+let scheduler = null;
+
+export const startProductScheduler = (intervalMs = 60 * 1000) => {
+  if (scheduler) return scheduler;
+  scheduler = setInterval(async () => {
+    try {
+      const { published, archived } = await runScheduledTransitions();
+      if (published > 0) console.log(`📅 Published ${published} scheduled product(s)`);
+      if (archived > 0) console.log(`📅 Archived ${archived} product(s) past their unpublish time`);
+    } catch (error) {
+      console.error('❌ Product schedule run failed:', error.message);
+    }
+  }, intervalMs);
+  scheduler.unref();
+  return scheduler;
+};
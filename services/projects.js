@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import Project, { coverUrl } from '../models/Project.js';
+import { slugify } from './categories.js';
+import { existingProductIds } from '../utils/routeHelpers.js';
+import { assertUploadsConfirmed } from './directUploads.js';
+import { escapeRegex } from '../utils/productSearch.js';
+import { HttpError } from '../utils/HttpError.js';
+
+const PROJECT_FIELDS = [
+  'title',
+  'summary',
+  'description',
+  'location',
+  'style_tags',
+  'rooms',
+  'media',
+  'completed_at',
+  'is_published',
+  'display_order'
+];
+
+// Fields shown on listing cards
+export const PROJECT_CARD_FIELDS = 'title slug summary location style_tags rooms media completed_at';
+
+export const toProjectCard = (project) => {
+  const { media, ...card } = project;
+  return { ...card, cover_url: coverUrl({ media }), media_count: (media || []).length };
+};
+
+const splitList = (value) => String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Copy the editable fields in `body` onto a project. Returns the media entries that
+ * were dropped from the gallery so the caller can delete the stored files.
+ */
+export const applyProjectChanges = async (project, body = {}) => {
+  const previousMedia = project.media.map(item => item.toObject());
+  if (Array.isArray(body.media)) await assertUploadsConfirmed(body.media.map(item => item && item.url));
+
+  PROJECT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) project.set(field, body[field]);
+  });
+
+  if (body.slug !== undefined) {
+    project.slug = slugify(body.slug);
+  } else if (!project.slug && project.title) {
+    project.slug = slugify(project.title);
+  }
+
+  if (body.products !== undefined) {
+    project.products = await existingProductIds(body.products);
+  }
+
+  // Rooms named on media entries are part of the room list too
+  project.rooms = [...new Set([...project.rooms, ...project.media.map(item => item.room).filter(Boolean)])];
+
+  const keptUrls = new Set(project.media.map(item => item.url));
+  return previousMedia.filter(item => !keptUrls.has(item.url));
+};
+
+/**
+ * Listing filter from ?style= and ?room= (comma lists, any match), ?product= and ?city=.
+ */
+export const parseProjectFilter = (query) => {
+  const filter = {};
+
+  if (typeof query.style === 'string' && query.style.trim()) filter.style_tags = { $in: splitList(query.style) };
+  if (typeof query.room === 'string' && query.room.trim()) filter.rooms = { $in: splitList(query.room) };
+  if (typeof query.city === 'string' && query.city.trim()) {
+    filter['location.city'] = new RegExp(`^${escapeRegex(query.city.trim())}$`, 'i');
+  }
+  if (query.product !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(query.product)) throw new HttpError(400, "Invalid product ID format");
+    filter.products = query.product;
+  }
+
+  return filter;
+};
+
+// "Seen in these projects" for a product detail page
+export const projectsFeaturingProduct = async (productId, limit = 6) => {
+  const projects = await Project.find({ is_published: true, products: productId })
+    .select(PROJECT_CARD_FIELDS)
+    .sort({ display_order: 1, completed_at: -1 })
+    .limit(limit)
+    .lean();
+  return projects.map(toProjectCard);
+};
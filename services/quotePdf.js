@@ -0,0 +1,216 @@
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+
+// Branding comes from the environment so each showroom can set its own
+const brand = () => ({
+  name: process.env.COMPANY_NAME || 'Interior Design Studio',
+  address: process.env.COMPANY_ADDRESS || '',
+  contact: [process.env.COMPANY_PHONE, process.env.COMPANY_EMAIL].filter(Boolean).join('  |  '),
+  color: process.env.BRAND_COLOR || '#8B5E3C',
+  logo: process.env.COMPANY_LOGO_PATH || ''
+});
+
+const PAGE_MARGIN = 50;
+const COLUMNS = [
+  { key: 'product_name', label: 'Item', width: 175 },
+  { key: 'quantity', label: 'Qty', width: 40, align: 'right' },
+  { key: 'unit_price', label: 'Unit price', width: 70, align: 'right' },
+  { key: 'discount_amount', label: 'Discount', width: 60, align: 'right' },
+  { key: 'installation_charge', label: 'Install', width: 55, align: 'right' },
+  { key: 'tax_rate', label: 'Tax %', width: 35, align: 'right' },
+  { key: 'total', label: 'Total', width: 60, align: 'right' }
+];
+
+// The built-in PDF fonts have no rupee glyph, so amounts are prefixed with the currency code
+const money = (value, currency) => `${currency} ${Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const amount = (value) => Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+}) : '');
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN - 30) doc.addPage();
+};
+
+const drawHeader = (doc, quote, branding) => {
+  doc.rect(0, 0, doc.page.width, 8).fill(branding.color);
+
+  let textX = PAGE_MARGIN;
+  if (branding.logo && fs.existsSync(branding.logo)) {
+    doc.image(branding.logo, PAGE_MARGIN, 30, { fit: [60, 60] });
+    textX += 75;
+  }
+
+  doc.fillColor(branding.color).font('Helvetica-Bold').fontSize(20).text(branding.name, textX, 35);
+  doc.fillColor('#555555').font('Helvetica').fontSize(9);
+  if (branding.address) doc.text(branding.address, textX);
+  if (branding.contact) doc.text(branding.contact, textX);
+
+  doc.fillColor('#222222').font('Helvetica-Bold').fontSize(16)
+    .text('QUOTATION', PAGE_MARGIN, 35, { align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`${quote.quote_number}  (v${quote.version})`, { align: 'right' })
+    .text(`Date: ${formatDate(quote.updated_at || new Date())}`, { align: 'right' })
+    .text(`Status: ${quote.status.toUpperCase()}`, { align: 'right' });
+  if (quote.valid_until) doc.text(`Valid until: ${formatDate(quote.valid_until)}`, { align: 'right' });
+
+  doc.moveDown(2);
+};
+
+const drawClient = (doc, client, branding) => {
+  const top = Math.max(doc.y, 110);
+  doc.fillColor(branding.color).font('Helvetica-Bold').fontSize(10).text('Prepared for', PAGE_MARGIN, top);
+  doc.fillColor('#222222').font('Helvetica').fontSize(10).text(client.name);
+  [client.address, client.email, client.phone].filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown();
+};
+
+const drawTableHeader = (doc, branding) => {
+  const y = doc.y;
+  doc.rect(PAGE_MARGIN, y - 3, doc.page.width - PAGE_MARGIN * 2, 16).fill(branding.color);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(8);
+  let x = PAGE_MARGIN + 4;
+  COLUMNS.forEach(column => {
+    doc.text(column.label, x, y, { width: column.width - 6, align: column.align || 'left' });
+    x += column.width;
+  });
+  doc.y = y + 17;
+};
+
+const drawRoom = (doc, room, quote, branding) => {
+  ensureSpace(doc, 60);
+  doc.fillColor(branding.color).font('Helvetica-Bold').fontSize(12).text(room.name, PAGE_MARGIN, doc.y);
+  if (room.notes) doc.fillColor('#555555').font('Helvetica-Oblique').fontSize(9).text(room.notes);
+  doc.moveDown(0.3);
+  drawTableHeader(doc, branding);
+
+  room.items.forEach((item, index) => {
+    const label = item.sku ? `${item.product_name} (${item.sku})` : item.product_name;
+    doc.font('Helvetica').fontSize(8);
+    const rowHeight = Math.max(doc.heightOfString(label, { width: COLUMNS[0].width - 6 }), 10) + 6;
+    ensureSpace(doc, rowHeight);
+    if (doc.y < PAGE_MARGIN + 5) drawTableHeader(doc, branding);
+
+    const y = doc.y;
+    if (index % 2 === 1) {
+      doc.rect(PAGE_MARGIN, y - 3, doc.page.width - PAGE_MARGIN * 2, rowHeight).fill('#f5f1ec');
+    }
+
+    const values = {
+      product_name: label,
+      quantity: String(item.quantity),
+      unit_price: amount(item.unit_price),
+      discount_amount: item.discount_amount ? `-${amount(item.discount_amount)}` : '',
+      installation_charge: item.installation_charge ? amount(item.installation_charge) : '',
+      tax_rate: item.tax_rate ? String(item.tax_rate) : '',
+      total: amount(item.total)
+    };
+
+    doc.fillColor('#222222');
+    let x = PAGE_MARGIN + 4;
+    COLUMNS.forEach(column => {
+      doc.text(values[column.key], x, y, { width: column.width - 6, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.y = y + rowHeight;
+  });
+
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#222222')
+    .text(`${room.name} total: ${money(room.total, quote.currency)}`, PAGE_MARGIN, doc.y + 4, { align: 'right' });
+  doc.moveDown(1.2);
+};
+
+const drawLabour = (doc, quote, branding) => {
+  if (quote.labour.length === 0) return;
+  ensureSpace(doc, 40 + quote.labour.length * 14);
+  doc.fillColor(branding.color).font('Helvetica-Bold').fontSize(12).text('Labour & services', PAGE_MARGIN, doc.y);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor('#222222');
+  quote.labour.forEach(line => {
+    const y = doc.y;
+    const tax = line.tax_rate ? `  (+${line.tax_rate}% tax)` : '';
+    doc.text(`${line.description}${tax}`, PAGE_MARGIN, y, { width: 350 });
+    doc.text(money(line.amount, quote.currency), PAGE_MARGIN, y, { align: 'right' });
+    doc.moveDown(0.2);
+  });
+  doc.moveDown();
+};
+
+const drawTotals = (doc, quote, branding) => {
+  const { totals, currency } = quote;
+  const rows = [
+    ['Subtotal', totals.subtotal],
+    ['Discounts', -totals.discount_total],
+    ['Installation', totals.installation_total],
+    ['Labour', totals.labour_total],
+    ['Tax', totals.tax_total]
+  ];
+
+  ensureSpace(doc, rows.length * 14 + 40);
+  const x = doc.page.width - PAGE_MARGIN - 220;
+  doc.font('Helvetica').fontSize(10).fillColor('#222222');
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.text(label, x, y, { width: 100 });
+    doc.text(money(value, currency), x + 100, y, { width: 120, align: 'right' });
+  });
+
+  const y = doc.y + 6;
+  doc.rect(x - 6, y - 4, 232, 22).fill(branding.color);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(11);
+  doc.text('Grand total', x, y + 1, { width: 100 });
+  doc.text(money(totals.grand_total, currency), x + 100, y + 1, { width: 120, align: 'right' });
+  doc.y = y + 30;
+  doc.x = PAGE_MARGIN;
+};
+
+const drawFooter = (doc, quote, branding) => {
+  if (quote.notes) {
+    ensureSpace(doc, 60);
+    doc.fillColor(branding.color).font('Helvetica-Bold').fontSize(10).text('Notes', PAGE_MARGIN, doc.y);
+    doc.fillColor('#444444').font('Helvetica').fontSize(9).text(quote.notes);
+  }
+
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    const bottom = doc.page.height - PAGE_MARGIN + 10;
+    doc.page.margins.bottom = 0;
+    doc.fillColor('#999999').font('Helvetica').fontSize(8)
+      .text(`${branding.name} · ${quote.quote_number} v${quote.version} · Page ${i + 1} of ${range.count}`,
+        PAGE_MARGIN, bottom, { align: 'center', width: doc.page.width - PAGE_MARGIN * 2 });
+  }
+};
+
+/**
+ * Render a quote as a branded PDF into a writable stream (e.g. the HTTP response).
+ */
+export const renderQuotePdf = (quote, output) => {
+  const branding = brand();
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true });
+  doc.info.Title = `Quotation ${quote.quote_number}`;
+  doc.info.Author = branding.name;
+  doc.pipe(output);
+
+  drawHeader(doc, quote, branding);
+  drawClient(doc, quote.client, branding);
+  quote.rooms.forEach(room => drawRoom(doc, room, quote, branding));
+  drawLabour(doc, quote, branding);
+  drawTotals(doc, quote, branding);
+  drawFooter(doc, quote, branding);
+
+  doc.end();
+  return doc;
+};
+
+export default renderQuotePdf;
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Counter from '../models/Counter.js';
+import { QUOTE_TRANSITIONS } from '../models/Quote.js';
+import { attachPricing } from './pricing.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// Q-2026-0042
+export const nextQuoteNumber = async () => {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`quote-${year}`);
+  return `Q-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+/**
+ * Fill product-backed line items with a snapshot of the product's name, SKU and price.
+ * The catalog price is the effective (promotional) price at the time of quoting; an explicit
+ * unit_price overrides it. Lines without a product are custom lines.
+ */
+export const snapshotRooms = async (rooms) => {
+  if (!Array.isArray(rooms)) throw new HttpError(400, 'rooms must be an array');
+
+  const productIds = rooms
+    .flatMap(room => (Array.isArray(room.items) ? room.items : []))
+    .map(item => item.product)
+    .filter(Boolean);
+
+  const invalid = productIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) throw new HttpError(400, `Invalid product ID format: ${invalid}`);
+
+  const products = await attachPricing(await Product.find({ _id: { $in: productIds } })
+    .select('product_name price_new variants description brand category_id')
+    .lean());
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  return rooms.map(room => ({
+    ...room,
+    items: (Array.isArray(room.items) ? room.items : []).map(item => {
+      if (!item.product) return item;
+
+      const product = byId.get(String(item.product));
+      if (!product) throw new HttpError(400, `Product not found: ${item.product}`);
+
+      let variant = null;
+      if (item.variant) {
+        variant = (product.variants || []).find(entry => String(entry._id) === String(item.variant));
+        if (!variant) throw new HttpError(400, `Variant not found: ${item.variant}`);
+      }
+
+      return {
+        ...item,
+        product_name: item.product_name || product.product_name,
+        sku: variant ? variant.sku : (item.sku || ''),
+        unit_price: item.unit_price !== undefined ? Number(item.unit_price) : (variant ? variant.effective_price : product.effective_price)
+      };
+    })
+  }));
+};
+
+const EDITABLE_FIELDS = ['client', 'rooms', 'labour', 'notes', 'valid_until', 'currency'];
+
+// Apply the editable fields present in `changes` to a quote document
+export const applyQuoteChanges = async (quote, changes = {}) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+    quote[field] = field === 'rooms' ? await snapshotRooms(changes.rooms) : changes[field];
+  }
+  return quote;
+};
+
+// Freeze the current content as a revision, bump the version and reopen as a draft
+export const reviseQuote = async (quote, changes, actor) => {
+  if (quote.status === 'accepted') {
+    throw new HttpError(409, 'Accepted quotes cannot be revised');
+  }
+
+  quote.revisions.push({
+    version: quote.version,
+    status: quote.status,
+    client: quote.client,
+    rooms: quote.rooms,
+    labour: quote.labour,
+    notes: quote.notes,
+    valid_until: quote.valid_until,
+    totals: quote.totals,
+    revised_at: new Date(),
+    revised_by: actor
+  });
+
+  quote.version += 1;
+  quote.status = 'draft';
+  quote.status_history.push({ status: 'draft', changed_at: new Date(), changed_by: actor });
+  await applyQuoteChanges(quote, changes);
+  return quote;
+};
+
+export const changeQuoteStatus = (quote, status, actor) => {
+  const allowed = QUOTE_TRANSITIONS[quote.status] || [];
+  if (!allowed.includes(status)) {
+    const hint = status === 'draft' ? '; create a revision instead' : '';
+    throw new HttpError(409, `Cannot change a ${quote.status} quote to ${status}${hint}`);
+  }
+  quote.status = status;
+  quote.status_history.push({ status, changed_at: new Date(), changed_by: actor });
+  return quote;
+};
@@ -0,0 +1,185 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import PairingRule from '../models/PairingRule.js';
+import { resolveCategory, descendantIds } from './categories.js';
+import { catalogEvents } from './catalogEvents.js';
+import { createCache } from '../utils/cache.js';
+import { escapeRegex } from '../utils/productSearch.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// What each kind of similarity adds to a candidate's score
+export const RELATED_WEIGHTS = { category: 4, brand: 2, price_band: 2, tag: 1 };
+// Shared tags beyond this many stop adding to the score
+const MAX_TAG_MATCHES = 3;
+// Candidates priced within ±30% of the product are in the same price band
+const PRICE_BAND = 0.3;
+
+const CARD_FIELDS = ['product_name', 'sku', 'brand', 'category', 'category_id', 'price_new', 'image_url', 'tags', 'rating'];
+
+const cache = createCache({
+  ttlMs: (Number(process.env.RECOMMENDATION_CACHE_TTL_SECONDS) || 600) * 1000,
+  max: 1000
+});
+
+// Any catalog write can change some other product's recommendations, so start over
+export const invalidateRecommendations = () => cache.clear();
+catalogEvents.on('product:changed', invalidateRecommendations);
+catalogEvents.on('category:changed', invalidateRecommendations);
+
+// The pending promise is cached so concurrent misses share one computation;
+// a clear while it runs drops it, so stale results are never kept
+const cached = async (key, compute) => {
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  const pending = compute();
+  cache.set(key, pending);
+  try {
+    return await pending;
+  } catch (error) {
+    cache.delete(key);
+    throw error;
+  }
+};
+
+/**
+ * Rank products matching `match` by how similar they are to `product`. Each result
+ * carries `relevance` with its score and which signals matched.
+ */
+const rankSimilar = async (product, match, limit) => {
+  const price = product.price_new || 0;
+  const tags = [...(product.tags || [])];
+  const sameCategory = product.category_id
+    ? { $eq: ['$category_id', product.category_id] }
+    : { $eq: [{ $toLower: '$category' }, (product.category || '').toLowerCase()] };
+
+  const ranked = await Product.aggregate([
+    // Aggregations skip the soft-delete query hook; only published products are suggested
+    { $match: { ...match, _id: { $ne: product._id }, status: 'published', deleted_at: null } },
+    {
+      $addFields: {
+        _signals: {
+          category: sameCategory,
+          brand: { $eq: [{ $toLower: '$brand' }, (product.brand || '').toLowerCase()] },
+          price_band: {
+            $and: [
+              { $gte: ['$price_new', price * (1 - PRICE_BAND)] },
+              { $lte: ['$price_new', price * (1 + PRICE_BAND)] }
+            ]
+          },
+          shared_tags: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] }
+        }
+      }
+    },
+    {
+      $addFields: {
+        _score: {
+          $add: [
+            { $cond: ['$_signals.category', RELATED_WEIGHTS.category, 0] },
+            { $cond: ['$_signals.brand', RELATED_WEIGHTS.brand, 0] },
+            { $cond: ['$_signals.price_band', RELATED_WEIGHTS.price_band, 0] },
+            { $multiply: [RELATED_WEIGHTS.tag, { $min: [MAX_TAG_MATCHES, { $size: '$_signals.shared_tags' }] }] }
+          ]
+        }
+      }
+    },
+    { $sort: { _score: -1, 'rating.average': -1, _id: 1 } },
+    { $limit: limit },
+    { $project: Object.fromEntries([...CARD_FIELDS, '_signals', '_score'].map(field => [field, 1])) }
+  ]);
+
+  return ranked.map(({ _signals, _score, ...card }) => ({
+    ...card,
+    relevance: { score: _score, ..._signals }
+  }));
+};
+
+/**
+ * Products similar to `product`: same category, same brand or sharing a tag,
+ * ordered by score (price band and tag overlap break ties between those).
+ */
+export const relatedProducts = (product, { limit = 8 } = {}) => cached(`related:${product._id}:${limit}`, () => {
+  const candidates = [
+    product.category_id
+      ? { category_id: product.category_id }
+      : { category: new RegExp(`^${escapeRegex(product.category || '')}$`, 'i') },
+    { brand: new RegExp(`^${escapeRegex(product.brand || '')}$`, 'i') }
+  ];
+  if (product.tags && product.tags.length > 0) candidates.push({ tags: { $in: [...product.tags] } });
+
+  return rankSimilar(product, { $or: candidates }, limit);
+});
+
+// The active rule for the product's category, falling back to the nearest ancestor's
+const findPairingRule = async (product) => {
+  if (!product.category_id) return null;
+
+  const category = await Category.findById(product.category_id).select('ancestors').lean();
+  if (!category) return null;
+
+  const path = [category._id, ...[...category.ancestors].reverse()].map(String);
+  const rules = await PairingRule.find({ category: { $in: path }, is_active: true })
+    .populate('category', 'name slug')
+    .populate('complements.category', 'name slug')
+    .lean();
+
+  return path.map(id => rules.find(rule => String(rule.category && rule.category._id) === id)).find(Boolean) || null;
+};
+
+/**
+ * "Complete the room": for each complementary category in the product's pairing
+ * rule, the products (from that category or below) that best match its brand,
+ * price band and tags.
+ */
+export const completeTheRoom = (product) => cached(`room:${product._id}`, async () => {
+  const rule = await findPairingRule(product);
+  if (!rule) return { rule: null, groups: [] };
+
+  const groups = await Promise.all(rule.complements
+    // The complement's category may have been deleted since the rule was saved
+    .filter(complement => complement.category)
+    .map(async (complement) => ({
+      category: complement.category,
+      label: complement.label || complement.category.name,
+      products: await rankSimilar(
+        product,
+        { category_id: { $in: await descendantIds(complement.category._id) } },
+        complement.limit
+      )
+    })));
+
+  return {
+    rule: { _id: rule._id, category: rule.category },
+    groups: groups.filter(group => group.products.length > 0)
+  };
+});
+
+const resolveRuleCategory = async (ref, field) => {
+  const category = await resolveCategory(ref);
+  if (!category) throw new HttpError(400, `${field} does not match any category`);
+  return category._id;
+};
+
+/**
+ * Copy `category`, `complements` and `is_active` from a request body onto a rule.
+ * Categories may be given by id or slug.
+ */
+export const applyPairingRuleChanges = async (rule, body) => {
+  if (body.category !== undefined) {
+    rule.category = await resolveRuleCategory(body.category, 'category');
+  }
+
+  if (body.complements !== undefined) {
+    if (!Array.isArray(body.complements)) throw new HttpError(400, 'complements must be an array');
+    rule.complements = await Promise.all(body.complements.map(async (complement, index) => {
+      const entry = typeof complement === 'object' && complement !== null ? complement : { category: complement };
+      return {
+        category: await resolveRuleCategory(entry.category, `complements[${index}].category`),
+        label: entry.label || '',
+        limit: entry.limit
+      };
+    }));
+  }
+
+  if (body.is_active !== undefined) rule.is_active = body.is_active;
+};
@@ -0,0 +1,169 @@
+import Review, { MAX_REVIEW_PHOTOS } from '../models/Review.js';
+import ReviewPhoto from '../models/ReviewPhoto.js';
+import Product from '../models/Product.js';
+import { getStorage, removeMediaAssets } from '../storage/index.js';
+import { assertUploadsConfirmed } from './directUploads.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// Fields shown on the public product page
+export const PUBLIC_REVIEW_FIELDS = 'rating title body author_name photos created_at';
+
+/**
+ * Add (delta = 1) or remove (delta = -1) one rating from a product's aggregate in a
+ * single atomic pipeline update, recomputing the average from the running sum.
+ */
+export const applyRatingDelta = (productId, rating, delta) => Product.updateOne(
+  { _id: productId },
+  [
+    {
+      $set: {
+        'rating.count': { $add: [{ $ifNull: ['$rating.count', 0] }, delta] },
+        'rating.sum': { $add: [{ $ifNull: ['$rating.sum', 0] }, delta * rating] },
+        [`rating.distribution.${rating}`]: { $add: [{ $ifNull: [`$rating.distribution.${rating}`, 0] }, delta] }
+      }
+    },
+    {
+      $set: {
+        'rating.average': {
+          $cond: [
+            { $gt: ['$rating.count', 0] },
+            { $round: [{ $divide: ['$rating.sum', '$rating.count'] }, 2] },
+            0
+          ]
+        }
+      }
+    }
+  ],
+  { updatePipeline: true }
+);
+
+const REVIEW_PHOTO_ERROR = "Review photos must be uploaded through /api/upload/review-photo";
+
+// Review photos must already be in our media storage (uploaded via /api/upload/review-photo)
+export const parseReviewPhotos = (photos) => {
+  if (photos === undefined || photos === null) return [];
+  if (!Array.isArray(photos)) throw new HttpError(400, "photos must be an array");
+  if (photos.length > MAX_REVIEW_PHOTOS) {
+    throw new HttpError(400, `A review can have at most ${MAX_REVIEW_PHOTOS} photos`);
+  }
+
+  const storage = getStorage();
+  const parsed = photos.map(photo => {
+    const url = typeof photo === 'string' ? photo : photo && photo.url;
+    const publicId = typeof url === 'string' && url ? storage.publicIdFromUrl(url) : null;
+    if (!publicId) throw new HttpError(400, REVIEW_PHOTO_ERROR);
+    return { url, public_id: publicId };
+  });
+
+  if (new Set(parsed.map(photo => photo.public_id)).size !== parsed.length) {
+    throw new HttpError(400, "A photo can only be used once per review");
+  }
+  return parsed;
+};
+
+export const releaseReviewPhotos = (reviewId) => ReviewPhoto.updateMany(
+  { review: reviewId },
+  { $set: { review: null } }
+);
+
+/**
+ * Mark `photos` as owned by the review. Only unclaimed photos recorded by the
+ * review-photo upload qualify, so other media (product galleries and the like)
+ * can never be attached to a review or deleted with it.
+ */
+export const claimReviewPhotos = async (reviewId, photos) => {
+  if (photos.length === 0) return;
+  await assertUploadsConfirmed(photos.map(photo => photo.url));
+
+  const publicIds = photos.map(photo => photo.public_id);
+  const { modifiedCount } = await ReviewPhoto.updateMany(
+    { public_id: { $in: publicIds }, review: null },
+    { $set: { review: reviewId } }
+  );
+  if (modifiedCount !== publicIds.length) {
+    await releaseReviewPhotos(reviewId);
+    throw new HttpError(400, REVIEW_PHOTO_ERROR);
+  }
+};
+
+// Save a new review together with the claim on its photos
+export const createReview = async (data) => {
+  const review = new Review(data);
+  await review.validate();
+  await claimReviewPhotos(review._id, review.photos);
+
+  try {
+    return await review.save();
+  } catch (error) {
+    await releaseReviewPhotos(review._id);
+    throw error;
+  }
+};
+
+/**
+ * Move a review to `status`. The status check and change are one conditional update,
+ * so two moderators clicking at once cannot count a rating twice.
+ */
+export const moderateReview = async (reviewId, status, { actor, reason = '' } = {}) => {
+  const review = await Review.findById(reviewId);
+  if (!review) throw new HttpError(404, "Review not found");
+  if (review.status === status) throw new HttpError(409, `Review is already ${status}`);
+
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, status: review.status },
+    {
+      $set: {
+        status,
+        moderated_by: actor || null,
+        moderated_at: new Date(),
+        rejection_reason: status === 'rejected' ? String(reason).slice(0, 500) : ''
+      }
+    },
+    { new: true }
+  );
+  if (!updated) throw new HttpError(409, "Review was moderated by someone else; reload and try again");
+
+  if (status === 'approved') await applyRatingDelta(updated.product, updated.rating, 1);
+  if (review.status === 'approved') await applyRatingDelta(updated.product, updated.rating, -1);
+
+  return updated;
+};
+
+// Delete a review and the photos it owns; URLs it merely mentions are left alone
+export const deleteReview = async (review) => {
+  const deleted = await Review.findOneAndDelete({ _id: review._id });
+  if (!deleted) return;
+  if (deleted.status === 'approved') await applyRatingDelta(deleted.product, deleted.rating, -1);
+
+  const owned = await ReviewPhoto.find({ review: deleted._id }).lean();
+  await removeMediaAssets(owned.map(photo => ({ url: photo.url, public_id: photo.public_id, type: photo.resource_type })));
+  await ReviewPhoto.deleteMany({ review: deleted._id });
+};
+
+// Rebuild every product's aggregate from its approved reviews (repair tool)
+export const rebuildRatings = async () => {
+  const totals = await Review.aggregate([
+    { $match: { status: 'approved' } },
+    { $group: { _id: { product: '$product', rating: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const byProduct = new Map();
+  totals.forEach(({ _id, count }) => {
+    const key = String(_id.product);
+    if (!byProduct.has(key)) byProduct.set(key, { _id: _id.product, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+    byProduct.get(key).distribution[_id.rating] = count;
+  });
+
+  const empty = { average: 0, count: 0, sum: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+  await Product.updateMany({}, { $set: { rating: empty } });
+
+  for (const { _id, distribution } of byProduct.values()) {
+    const count = Object.values(distribution).reduce((sum, value) => sum + value, 0);
+    const sum = Object.entries(distribution).reduce((total, [stars, value]) => total + Number(stars) * value, 0);
+    await Product.updateOne({ _id }, {
+      $set: { rating: { average: Math.round((sum / count) * 100) / 100, count, sum, distribution } }
+    });
+  }
+
+  return byProduct.size;
+};
@@ -0,0 +1,109 @@
+import Product from '../models/Product.js';
+import StockLevel from '../models/StockLevel.js';
+import Project from '../models/Project.js';
+import MoodBoard from '../models/MoodBoard.js';
+import Category from '../models/Category.js';
+import Designer from '../models/Designer.js';
+import { removeMediaAssets } from '../storage/index.js';
+import { recordProductPurge } from './productHistory.js';
+
+// Days a trashed product is kept before its media and document are purged
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+export const trashProduct = (product, actor) => {
+  product.deleted_at = new Date();
+  product.deleted_by = actor || null;
+  product.$locals.actor = actor || null;
+  return product.save();
+};
+
+export const restoreProduct = (product, actor) => {
+  product.deleted_at = null;
+  product.deleted_by = null;
+  product.$locals.actor = actor || null;
+  return product.save();
+};
+
+const productMediaEntries = (product) => [
+  ...product.media,
+  ...product.variants.flatMap(variant => variant.media),
+  { url: product.image_url },
+  { url: product.video_url }
+];
+
+/**
+ * Which of `urls` something other than `product` still points at: another product
+ * (trashed ones included, they can be restored) or its variants, a project, a mood
+ * board, a category or a designer.
+ */
+const urlsUsedElsewhere = async (product, urls) => {
+  if (urls.length === 0) return new Set();
+  const inList = { $in: urls };
+
+  const [products, projects, boards, categories, designers] = await Promise.all([
+    Product.find({
+      _id: { $ne: product._id },
+      $or: [{ 'media.url': inList }, { 'variants.media.url': inList }, { image_url: inList }, { video_url: inList }]
+    })
+      .setOptions({ withDeleted: true })
+      .select('media.url variants.media.url image_url video_url')
+      .lean(),
+    Project.find({ 'media.url': inList }).select('media.url').lean(),
+    MoodBoard.find({ 'items.image_url': inList }).select('items.image_url').lean(),
+    Category.find({ image_url: inList }).select('image_url').lean(),
+    Designer.find({ photo_url: inList }).select('photo_url').lean()
+  ]);
+
+  const used = [
+    ...products.flatMap(other => [
+      ...(other.media || []).map(item => item.url),
+      ...(other.variants || []).flatMap(variant => (variant.media || []).map(item => item.url)),
+      other.image_url,
+      other.video_url
+    ]),
+    ...projects.flatMap(project => project.media.map(item => item.url)),
+    ...boards.flatMap(board => board.items.map(item => item.image_url)),
+    ...categories.map(category => category.image_url),
+    ...designers.map(designer => designer.photo_url)
+  ];
+  return new Set(used.filter(url => urls.includes(url)));
+};
+
+// Permanently delete a product, the stored media files only it uses and its stock levels.
+// Its change history is kept, ending with a 'purge' revision.
+export const purgeProduct = async (product, actor = null) => {
+  const entries = productMediaEntries(product).filter(entry => entry && entry.url);
+  const shared = await urlsUsedElsewhere(product, [...new Set(entries.map(entry => entry.url))]);
+  await removeMediaAssets(entries.filter(entry => !shared.has(entry.url)));
+
+  await StockLevel.deleteMany({ product: product._id });
+  await Product.deleteOne({ _id: product._id });
+  await recordProductPurge(product, actor);
+};
+
+// Purge everything that has been in the trash longer than the retention period
+export const purgeExpiredTrash = async (retentionDays = TRASH_RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Product.find({ deleted_at: { $ne: null, $lte: cutoff } });
+
+  for (const product of expired) {
+    await purgeProduct(product);
+  }
+  return expired.length;
+};
+
+let purger = null;
+
+export const startTrashPurger = (intervalMs = 60 * 60 * 1000) => {
+  if (purger) return purger;
+  purger = setInterval(async () => {
+    try {
+      const count = await purgeExpiredTrash();
+      if (count > 0) console.log(`🗑️ Purged ${count} product(s) from the trash`);
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error.message);
+    }
+  }, intervalMs);
+  purger.unref();
+  return purger;
+};
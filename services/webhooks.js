@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import Product from '../models/Product.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { catalogEvents } from './catalogEvents.js';
+import { storageEvents } from '../storage/index.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// A delivery is given up (status 'failed') after this many attempts
+export const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is left alone this long, so two servers never send it at once
+const CLAIM_MS = 60 * 1000;
+const RESPONSE_PREVIEW_LENGTH = 500;
+// Saves of the same product within this window are sent as one event
+const COALESCE_MS = 1000;
+export const DELIVERY_RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<raw body>" with the subscription secret. Receivers
+ * recompute it from the X-Webhook-Signature header (t=<timestamp>,v1=<signature>).
+ */
+export const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Wait before the next try after `attempts` failures: 30s, 1m, 2m, ... up to 6h, ±20% jitter
+export const retryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Record a delivery of `event` for every active subscription to it and start sending.
+ * The payload is fixed here, so retries and redeliveries send the same body.
+ */
+export const publishWebhookEvent = async (event, data) => {
+  const subscriptions = await WebhookSubscription.find({ is_active: true, events: event }).select('_id').lean();
+  if (subscriptions.length === 0) return [];
+
+  const eventId = crypto.randomUUID();
+  const payload = JSON.parse(JSON.stringify({ id: eventId, type: event, created_at: new Date(), data }));
+  const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscription: subscription._id,
+    event,
+    event_id: eventId,
+    payload,
+    next_attempt_at: new Date()
+  })));
+
+  dispatchWebhooks();
+  return deliveries;
+};
+
+// POST the payload once; never throws, the outcome is in the returned attempt
+const sendOnce = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date(), status_code: null, error: '', duration_ms: 0 };
+  let responseBody = '';
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'InteriorServer-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      // A redirect is treated as a failure rather than followed to wherever it points
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    attempt.status_code = response.status;
+    responseBody = (await response.text()).slice(0, RESPONSE_PREVIEW_LENGTH);
+    if (!response.ok) attempt.error = `Receiver responded with HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : (error.cause && error.cause.message) || error.message;
+  }
+
+  attempt.duration_ms = Date.now() - attempt.at.getTime();
+  return { attempt, responseBody };
+};
+
+/**
+ * Make one attempt at a delivery and record it: succeeded on a 2xx, otherwise
+ * retried with exponential backoff until MAX_ATTEMPTS is reached.
+ */
+export const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  if (!subscription || !subscription.is_active) {
+    delivery.status = 'failed';
+    delivery.next_attempt_at = null;
+    delivery.attempts.push({
+      at: new Date(),
+      error: subscription ? 'Subscription is inactive' : 'Subscription was deleted'
+    });
+    return delivery.save();
+  }
+
+  const { attempt, responseBody } = await sendOnce(delivery, subscription);
+  delivery.attempts.push(attempt);
+  delivery.response_body = responseBody;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.delivered_at = attempt.at;
+    delivery.next_attempt_at = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.next_attempt_at = null;
+    console.error(`❌ Webhook delivery ${delivery._id} (${delivery.event}) failed after ${MAX_ATTEMPTS} attempts: ${attempt.error}`);
+  } else {
+    delivery.next_attempt_at = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+  return delivery.save();
+};
+
+// Take the next due delivery, pushing its next_attempt_at out while it is being sent
+const claimDueDelivery = (now) => WebhookDelivery.findOneAndUpdate(
+  { status: 'pending', next_attempt_at: { $lte: now } },
+  { $set: { next_attempt_at: new Date(now.getTime() + CLAIM_MS) } },
+  { sort: { next_attempt_at: 1 }, new: true }
+);
+
+// Send every due delivery, one at a time; returns how many were attempted
+export const sendDueDeliveries = async (limit = 100) => {
+  let sent = 0;
+  while (sent < limit) {
+    const delivery = await claimDueDelivery(new Date());
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    sent += 1;
+  }
+  return sent;
+};
+
+let dispatching = false;
+let dispatchAgain = false;
+
+// Start sending now; calls made while a run is in progress make it go round once more
+export const dispatchWebhooks = async () => {
+  if (dispatching) {
+    dispatchAgain = true;
+    return;
+  }
+  dispatching = true;
+  try {
+    do {
+      dispatchAgain = false;
+      await sendDueDeliveries();
+    } while (dispatchAgain);
+  } catch (error) {
+    console.error('❌ Webhook dispatch failed:', error.message);
+  } finally {
+    dispatching = false;
+  }
+};
+
+/**
+ * Send a delivery again as a new delivery with a fresh attempt log. The payload
+ * (and event id) are unchanged, so receivers can recognise a repeat.
+ */
+export const redeliverWebhook = async (delivery, actor = null) => {
+  if (delivery.status === 'pending') throw new HttpError(409, 'Delivery is still being retried');
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('is_active').lean();
+  if (!subscription) throw new HttpError(409, 'The subscription for this delivery was deleted');
+  if (!subscription.is_active) throw new HttpError(409, 'The subscription for this delivery is inactive');
+
+  const redelivery = await WebhookDelivery.create({
+    subscription: delivery.subscription,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    payload: delivery.payload,
+    next_attempt_at: new Date(),
+    redelivery_of: delivery._id,
+    requested_by: actor
+  });
+
+  dispatchWebhooks();
+  return redelivery;
+};
+
+/**
+ * Copy `url`, `events`, `description` and `is_active` from a request body onto a
+ * subscription; the model validates them.
+ */
+export const applyWebhookChanges = (subscription, body) => {
+  ['url', 'description', 'is_active'].forEach(field => {
+    if (body[field] !== undefined) subscription[field] = body[field];
+  });
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events)) throw new HttpError(400, 'events must be an array');
+    subscription.events = body.events;
+  }
+};
+
+// Catalog hooks fire on every save; collect them per product and send the state once things settle
+const pendingProducts = new Map();
+
+const publishProductEvent = async (id, created) => {
+  const product = await Product.findById(id).setOptions({ withDeleted: true }).lean();
+  if (!product || product.deleted_at) {
+    return publishWebhookEvent('product.deleted', {
+      _id: id,
+      deleted_at: product ? product.deleted_at : new Date(),
+      // Purged products are gone for good; trashed ones can still be restored
+      purged: !product
+    });
+  }
+  return publishWebhookEvent(created ? 'product.created' : 'product.updated', product);
+};
+
+const queueProductEvent = ({ id, action }) => {
+  // Writes to many products at once do not say which ones; those are not announced
+  if (!id) return;
+
+  const entry = pendingProducts.get(id) || { created: false, timer: null };
+  if (action === 'create') entry.created = true;
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => {
+    pendingProducts.delete(id);
+    publishProductEvent(id, entry.created).catch(error => {
+      console.error(`❌ Could not queue webhooks for product ${id}:`, error.message);
+    });
+  }, COALESCE_MS);
+  entry.timer.unref();
+  pendingProducts.set(id, entry);
+};
+
+const queueUploadEvent = (asset) => {
+  publishWebhookEvent('upload.deleted', asset).catch(error => {
+    console.error(`❌ Could not queue webhooks for upload ${asset.public_id}:`, error.message);
+  });
+};
+
+// Drop finished deliveries older than the retention period
+export const pruneWebhookDeliveries = async (retentionDays = DELIVERY_RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await WebhookDelivery.deleteMany({
+    status: { $ne: 'pending' },
+    created_at: { $lt: cutoff }
+  });
+  return deletedCount;
+};
+
+let dispatcher = null;
+
+// Subscribe to catalog and storage events, and retry due deliveries on an interval
+export const startWebhookDelivery = (intervalMs = 15 * 1000) => {
+  if (dispatcher) return dispatcher;
+
+  catalogEvents.on('product:changed', queueProductEvent);
+  storageEvents.on('asset:deleted', queueUploadEvent);
+
+  let lastPrune = 0;
+  dispatcher = setInterval(async () => {
+    await dispatchWebhooks();
+    if (Date.now() - lastPrune < 60 * 60 * 1000) return;
+    lastPrune = Date.now();
+    try {
+      const count = await pruneWebhookDeliveries();
+      if (count > 0) console.log(`🧹 Pruned ${count} old webhook deliveries`);
+    } catch (error) {
+      console.error('❌ Webhook delivery prune failed:', error.message);
+    }
+  }, intervalMs);
+  dispatcher.unref();
+  return dispatcher;
+};
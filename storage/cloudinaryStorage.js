@@ -0,0 +1,217 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import cloudinary from 'cloudinary';
+import { CloudinaryStorage } from 'multer-storage-cloudinary';
+import { MEDIA_FOLDER, uniqueFilename, resourceTypeFromMimetype } from './utils.js';
+
+export const isCloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+// Extract the public ID (folder/name, no version or extension) from a Cloudinary delivery URL
+// URL format: https://res.cloudinary.com/cloud_name/image/upload/v1234567890/folder/filename.jpg
+const publicIdFromUrl = (url) => {
+  if (!url || typeof url !== 'string' || !url.includes('res.cloudinary.com')) return null;
+
+  const urlParts = url.split('/');
+  const uploadIndex = urlParts.indexOf('upload');
+  if (uploadIndex === -1 || uploadIndex + 1 >= urlParts.length) return null;
+
+  return urlParts.slice(uploadIndex + 1).join('/')
+    .replace(/^v\d+\//, '') // Remove version prefix
+    .replace(/\.[^/.]+$/, ''); // Remove file extension
+};
+
+const resourceTypeFromUrl = (url = '') => (url.includes('/video/upload/') ? 'video' : 'image');
+
+// Cloudinary refuses single-request uploads above 100MB
+const LARGE_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+const withoutExtension = (filename) => filename.replace(/\.[^/.]+$/, '');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const toAsset = (resource) => ({
+  public_id: resource.public_id,
+  secure_url: resource.secure_url,
+  resource_type: resource.resource_type,
+  format: resource.format,
+  bytes: resource.bytes,
+  created_at: resource.created_at
+});
+
+/**
+ * Storage adapter backed by Cloudinary.
+ */
+export const createCloudinaryStorage = () => {
+  if (!isCloudinaryConfigured()) {
+    throw new Error('Cloudinary configuration is incomplete');
+  }
+
+  cloudinary.v2.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+
+  const multerStorage = new CloudinaryStorage({
+    cloudinary: cloudinary.v2,
+    params: {
+      folder: MEDIA_FOLDER,
+      allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'mp4', 'mov', 'avi', 'webm', 'mkv'],
+      resource_type: 'auto', // Automatically detect image or video
+      transformation: [
+        { width: 1000, height: 1000, crop: 'limit', quality: 'auto' }
+      ],
+      unique_filename: true,
+      overwrite: false
+    },
+    filename: (req, file, cb) => cb(null, uniqueFilename(file.originalname))
+  });
+
+  return {
+    name: 'cloudinary',
+    multerStorage,
+
+    // Normalise the file object multer hands back after an upload
+    describeUpload: (file) => ({
+      url: file.path,
+      publicId: file.filename || publicIdFromUrl(file.path),
+      resourceType: resourceTypeFromMimetype(file.mimetype),
+      bytes: file.size
+    }),
+
+    // Upload a file that is already on local disk (imports, chunked uploads, derivatives)
+    uploadFile: async (filePath, { resourceType = 'auto', folder = MEDIA_FOLDER } = {}) => {
+      const options = {
+        folder,
+        resource_type: resourceType,
+        unique_filename: true,
+        overwrite: false
+      };
+      const { size } = await fs.promises.stat(filePath);
+      const result = size > LARGE_UPLOAD_BYTES
+        ? await new Promise((resolve, reject) => {
+          cloudinary.v2.uploader.upload_large(filePath, { ...options, chunk_size: 20 * 1024 * 1024 }, (error, uploaded) => (
+            error ? reject(error) : resolve(uploaded)
+          ));
+        })
+        : await cloudinary.v2.uploader.upload(filePath, options);
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        resourceType: result.resource_type,
+        bytes: result.bytes
+      };
+    },
+
+    // Resolves to { result: 'ok' | 'not found' | <cloudinary status> }
+    remove: async (publicId, { resourceType = 'image' } = {}) => {
+      const result = await cloudinary.v2.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        invalidate: true
+      });
+      return { result: result.result, details: result };
+    },
+
+    list: async ({ limit = 50 } = {}) => {
+      const result = await cloudinary.v2.api.resources({
+        type: 'upload',
+        prefix: `${MEDIA_FOLDER}/`,
+        max_results: limit
+      });
+      return result.resources.map(toAsset);
+    },
+
+    /**
+     * Signed parameters for a browser upload straight to Cloudinary. Folder, public ID
+     * and allowed formats are covered by the signature, which Cloudinary accepts for
+     * an hour. Cloudinary has no upload parameter that limits file size, so the
+     * signature cannot enforce max_bytes: an oversize file does get stored. Confirming
+     * it deletes the asset and rejects the upload, and one that is never confirmed is
+     * deleted by the direct upload sweeper once the confirmation window closes.
+     */
+    signDirectUpload: ({ filename, resourceType, formats }) => {
+      const name = withoutExtension(uniqueFilename(filename));
+      const params = {
+        timestamp: Math.floor(Date.now() / 1000),
+        folder: MEDIA_FOLDER,
+        public_id: name,
+        allowed_formats: formats.join(',')
+      };
+      return {
+        publicId: `${MEDIA_FOLDER}/${name}`,
+        upload: {
+          url: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/${resourceType}/upload`,
+          method: 'POST',
+          fields: {
+            ...params,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            signature: cloudinary.v2.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET)
+          }
+        }
+      };
+    },
+
+    // Cloudinary signs its upload response over public_id and version
+    verifyUploadSignature: ({ publicId, version, signature }) => Boolean(version && signature) && safeEqual(
+      cloudinary.v2.utils.api_sign_request({ public_id: publicId, version }, process.env.CLOUDINARY_API_SECRET),
+      signature
+    ),
+
+    // What is actually stored under a public ID, or null if nothing is
+    describeAsset: async (publicId, { resourceType = 'image' } = {}) => {
+      try {
+        const resource = await cloudinary.v2.api.resource(publicId, { resource_type: resourceType });
+        return {
+          url: resource.secure_url,
+          publicId: resource.public_id,
+          resourceType: resource.resource_type,
+          format: resource.format,
+          bytes: resource.bytes
+        };
+      } catch (error) {
+        if (error.error && error.error.http_code === 404) return null;
+        throw error.error || error;
+      }
+    },
+
+    // Download the original asset (derivative processing works on local buffers)
+    readFile: async (publicId, { resourceType = 'image' } = {}) => {
+      const response = await fetch(cloudinary.v2.url(publicId, { resource_type: resourceType, secure: true }));
+      if (!response.ok) throw new Error(`Cloudinary returned ${response.status} for ${publicId}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    resolveUrl: (publicId, { resourceType = 'image' } = {}) => cloudinary.v2.url(publicId, {
+      resource_type: resourceType,
+      secure: true
+    }),
+
+    publicIdFromUrl,
+    resourceTypeFromUrl,
+
+    // Check credentials and that uploads work
+    ping: async () => {
+      await cloudinary.v2.api.ping();
+      const uploadTest = await cloudinary.v2.uploader.upload('data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCI+PHJlY3Qgd2lkdGg9IjEwMCIgaGVpZ2h0PSIxMDAiIGZpbGw9IiNmZmYiLz48L3N2Zz4=', {
+        public_id: 'test-connection',
+        folder: MEDIA_FOLDER,
+        overwrite: true
+      });
+      return {
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        test_upload_url: uploadTest.secure_url
+      };
+    }
+  };
+};
+
+export default createCloudinaryStorage;
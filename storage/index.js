@@ -0,0 +1,92 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { createCloudinaryStorage, isCloudinaryConfigured } from './cloudinaryStorage.js';
+import { createLocalStorage } from './localStorage.js';
+dotenv.config();
+
+const DRIVERS = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage
+};
+
+let storage = null;
+
+// 'asset:deleted' { public_id, resource_type, url } after a stored file has been removed
+export const storageEvents = new EventEmitter();
+
+export const notifyAssetDeleted = (publicId, resourceType, url = '') => {
+  storageEvents.emit('asset:deleted', { public_id: publicId, resource_type: resourceType, url });
+};
+
+/**
+ * Return the configured media storage adapter, creating it on first use.
+ *
+ * STORAGE_DRIVER selects "cloudinary" or "local". When unset, Cloudinary is used
+ * if its credentials are present and local disk otherwise.
+ *
+ * Every adapter exposes: name, multerStorage, describeUpload(file),
+ * uploadFile(path, opts), remove(publicId, opts), list(opts),
+ * resolveUrl(publicId, opts), publicIdFromUrl(url), resourceTypeFromUrl(url), ping(),
+ * and for signed direct uploads signDirectUpload(policy), verifyUploadSignature(receipt)
+ * and describeAsset(publicId, opts), and readFile(publicId, opts) for processing.
+ * The local adapter also has receiveDirectUpload().
+ */
+export const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || (isCloudinaryConfigured() ? 'cloudinary' : 'local');
+  const create = DRIVERS[driver];
+
+  if (!create) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  if (!process.env.STORAGE_DRIVER && driver === 'local') {
+    console.warn('⚠️  Cloudinary is not configured, storing uploads on local disk');
+  }
+
+  storage = create();
+  console.log(`🗄️  Media storage: ${storage.name}`);
+  return storage;
+};
+
+/**
+ * Delete stored assets for media entries ({ url, public_id?, type?, derivatives? }),
+ * including their resized derivatives, skipping duplicates and URLs this storage
+ * does not own. Failures are logged, not thrown.
+ */
+export const removeMediaAssets = async (entries) => {
+  const adapter = getStorage();
+  const results = [];
+  const seen = new Set();
+  const assets = entries.flatMap(entry => [
+    entry,
+    ...((entry && entry.derivatives) || []).map(({ url, public_id }) => ({ url, public_id, type: 'image' }))
+  ]);
+
+  for (const entry of assets) {
+    if (!entry || !entry.url) continue;
+
+    const publicId = entry.public_id || adapter.publicIdFromUrl(entry.url);
+    if (!publicId || seen.has(publicId)) continue;
+    seen.add(publicId);
+
+    const resourceType = entry.type || adapter.resourceTypeFromUrl(entry.url);
+    try {
+      const { result } = await adapter.remove(publicId, { resourceType });
+      console.log(`✅ Deleted ${resourceType} from ${adapter.name} storage: ${publicId} (${result})`);
+      if (result === 'ok') notifyAssetDeleted(publicId, resourceType, entry.url);
+      results.push({ publicId, result });
+    } catch (error) {
+      console.error(`⚠️ Error deleting ${resourceType} from ${adapter.name} storage: ${error.message}`);
+      results.push({ publicId, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Delete every stored asset referenced by the given URLs
+export const removeAssetsByUrl = (urls) => removeMediaAssets(urls.map(url => ({ url })));
+
+export default getStorage;
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import multer from 'multer';
+import { uniqueFilename, resourceTypeFromFilename, resourceTypeFromMimetype } from './utils.js';
+import { HttpError } from '../utils/HttpError.js';
+
+// URL path the uploads directory is served under (see server.js)
+export const LOCAL_UPLOADS_ROUTE = '/uploads';
+// API route that receives signed direct uploads (see routes/uploadRoutes.js)
+export const LOCAL_DIRECT_UPLOAD_ROUTE = '/api/upload-direct/local';
+
+/**
+ * Storage adapter that keeps files on local disk and serves them statically.
+ * Public IDs are the stored filenames.
+ */
+export const createLocalStorage = ({
+  directory = process.env.LOCAL_UPLOADS_DIR || path.resolve('uploads'),
+  baseUrl = process.env.LOCAL_UPLOADS_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+  signingSecret = process.env.UPLOAD_SIGNING_SECRET || process.env.JWT_SECRET
+} = {}) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const urlPrefix = `${baseUrl.replace(/\/+$/, '')}${LOCAL_UPLOADS_ROUTE}/`;
+
+  // Direct uploads are authorised by an HMAC over the public ID and the upload policy
+  const sign = (value) => {
+    if (!signingSecret) throw new Error('UPLOAD_SIGNING_SECRET (or JWT_SECRET) is required for direct uploads');
+    return crypto.createHmac('sha256', signingSecret).update(value).digest('hex');
+  };
+  const signatureMatches = (value, signature) => {
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+  const policyString = (publicId, { expires, max_bytes, formats }) => (
+    `public_id=${publicId}&expires=${expires}&max_bytes=${max_bytes}&formats=${formats}`
+  );
+
+  // Reject anything that could escape the uploads directory
+  const filePathFor = (publicId) => {
+    if (typeof publicId !== 'string' || !publicId || publicId !== path.basename(publicId) || publicId.startsWith('.')) {
+      return null;
+    }
+    return path.join(directory, publicId);
+  };
+
+  const resolveUrl = (publicId) => `${urlPrefix}${encodeURIComponent(publicId)}`;
+
+  const toAsset = (filename, stats) => ({
+    public_id: filename,
+    secure_url: resolveUrl(filename),
+    resource_type: resourceTypeFromFilename(filename),
+    format: path.extname(filename).slice(1).toLowerCase(),
+    bytes: stats.size,
+    created_at: stats.birthtime.toISOString()
+  });
+
+  const multerStorage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, directory),
+    filename: (req, file, cb) => cb(null, uniqueFilename(file.originalname))
+  });
+
+  return {
+    name: 'local',
+    directory,
+    multerStorage,
+
+    describeUpload: (file) => ({
+      url: resolveUrl(file.filename),
+      publicId: file.filename,
+      resourceType: resourceTypeFromMimetype(file.mimetype),
+      bytes: file.size
+    }),
+
+    uploadFile: async (filePath, { filename = path.basename(filePath) } = {}) => {
+      const storedName = uniqueFilename(filename);
+      await fs.promises.copyFile(filePath, path.join(directory, storedName));
+      const stats = await fs.promises.stat(path.join(directory, storedName));
+      return {
+        url: resolveUrl(storedName),
+        publicId: storedName,
+        resourceType: resourceTypeFromFilename(storedName),
+        bytes: stats.size
+      };
+    },
+
+    remove: async (publicId) => {
+      const filePath = filePathFor(publicId);
+      if (!filePath) return { result: 'invalid public id' };
+      try {
+        await fs.promises.unlink(filePath);
+        return { result: 'ok' };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { result: 'not found' };
+        throw error;
+      }
+    },
+
+    list: async ({ limit = 50 } = {}) => {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      const files = await Promise.all(entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .map(async entry => toAsset(entry.name, await fs.promises.stat(path.join(directory, entry.name)))));
+      return files
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    },
+
+    // A signed PUT URL on this server; the expiry, size limit and formats are in the signature
+    signDirectUpload: ({ filename, formats, maxBytes, expiresAt }) => {
+      const publicId = uniqueFilename(filename);
+      const policy = { expires: expiresAt.getTime(), max_bytes: maxBytes, formats: formats.join(',') };
+      const query = new URLSearchParams({ ...policy, signature: sign(policyString(publicId, policy)) });
+      return {
+        publicId,
+        upload: {
+          url: `${baseUrl.replace(/\/+$/, '')}${LOCAL_DIRECT_UPLOAD_ROUTE}/${encodeURIComponent(publicId)}?${query}`,
+          method: 'PUT'
+        }
+      };
+    },
+
+    /**
+     * Store a request body sent to a signed upload URL, enforcing the signed policy while
+     * streaming. Resolves to a receipt ({ public_id, version, signature, bytes }) that the
+     * client passes on to the confirmation endpoint.
+     */
+    receiveDirectUpload: async (publicId, query, input, { contentLength } = {}) => {
+      const policy = { expires: query.expires, max_bytes: query.max_bytes, formats: query.formats };
+      const filePath = filePathFor(publicId);
+      if (!filePath || !signatureMatches(policyString(publicId, policy), query.signature)) {
+        throw new HttpError(403, 'Upload signature is invalid');
+      }
+      if (Number(policy.expires) < Date.now()) throw new HttpError(403, 'Upload link has expired');
+
+      const extension = path.extname(publicId).slice(1).toLowerCase();
+      if (!String(policy.formats).split(',').includes(extension)) {
+        throw new HttpError(400, `Format ${extension || '(none)'} is not allowed`);
+      }
+
+      if (fs.existsSync(filePath)) throw new HttpError(409, 'This upload has already been received');
+
+      const maxBytes = Number(policy.max_bytes);
+      if (contentLength > maxBytes) throw new HttpError(413, `File too large. Maximum size is ${maxBytes} bytes`);
+
+      let bytes = 0;
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          bytes += chunk.length;
+          if (bytes > maxBytes) return callback(new HttpError(413, `File too large. Maximum size is ${maxBytes} bytes`));
+          callback(null, chunk);
+        }
+      });
+
+      // Write beside the target (dot-files are never listed or served) and move into place when complete
+      const partialPath = path.join(directory, `.partial-${publicId}`);
+      try {
+        await pipeline(input, limit, fs.createWriteStream(partialPath, { flags: 'wx' }));
+      } catch (error) {
+        if (error.code !== 'EEXIST') await fs.promises.rm(partialPath, { force: true });
+        throw error.code === 'EEXIST' ? new HttpError(409, 'This upload is already in progress') : error;
+      }
+      await fs.promises.rename(partialPath, filePath);
+
+      const version = String(Date.now());
+      return {
+        public_id: publicId,
+        version,
+        signature: sign(`public_id=${publicId}&version=${version}`),
+        bytes
+      };
+    },
+
+    verifyUploadSignature: ({ publicId, version, signature }) => Boolean(version) &&
+      signatureMatches(`public_id=${publicId}&version=${version}`, signature),
+
+    describeAsset: async (publicId) => {
+      const filePath = filePathFor(publicId);
+      if (!filePath) return null;
+      try {
+        const stats = await fs.promises.stat(filePath);
+        return {
+          url: resolveUrl(publicId),
+          publicId,
+          resourceType: resourceTypeFromFilename(publicId),
+          format: path.extname(publicId).slice(1).toLowerCase(),
+          bytes: stats.size
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    readFile: async (publicId) => {
+      const filePath = filePathFor(publicId);
+      if (!filePath) throw new Error(`Invalid public id: ${publicId}`);
+      return fs.promises.readFile(filePath);
+    },
+
+    resolveUrl,
+
+    // Only URLs under this storage's own base URL name a stored file; an /uploads/ path
+    // on any other host (a CDN, a WordPress site) does not
+    publicIdFromUrl: (url) => {
+      if (!url || typeof url !== 'string' || !url.startsWith(urlPrefix)) return null;
+      let publicId;
+      try {
+        publicId = decodeURIComponent(url.slice(urlPrefix.length).split(/[?#]/)[0]);
+      } catch (error) {
+        // Malformed escapes (e.g. "%E0%A4%A") cannot name a stored file
+        return null;
+      }
+      return filePathFor(publicId) ? publicId : null;
+    },
+
+    resourceTypeFromUrl: (url = '') => resourceTypeFromFilename(url.split(/[?#]/)[0]),
+
+    ping: async () => {
+      await fs.promises.access(directory, fs.constants.W_OK);
+      return { directory, base_url: urlPrefix };
+    }
+  };
+};
+
+export default createLocalStorage;
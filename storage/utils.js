@@ -0,0 +1,50 @@
+import path from 'path';
+
+// Folder (Cloudinary) / prefix (local) that product media is stored under
+export const MEDIA_FOLDER = 'interior-design-products';
+
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'avi', 'webm', 'mkv'];
+
+// Helper function to sanitize filenames
+export const sanitizeFilename = (filename) => {
+  if (!filename) return 'uploaded-file';
+
+  // Remove zero-width spaces and special characters
+  let cleanName = filename
+    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width spaces
+    .replace(/[^\w\s.-]/gi, '') // Remove special characters except dots and hyphens
+    .replace(/\s+/g, '_') // Replace spaces with underscores
+    .replace(/_{2,}/g, '_') // Replace multiple underscores with single
+    .trim();
+
+  // Ensure it has an extension
+  const hasExtension = cleanName.includes('.');
+  const nameWithoutExt = hasExtension ? cleanName.substring(0, cleanName.lastIndexOf('.')) : cleanName;
+  const ext = hasExtension ? filename.split('.').pop().substring(0, 10) : '';
+
+  // Limit total length to 100 characters
+  const finalName = nameWithoutExt.substring(0, 90 - ext.length);
+  return ext ? `${finalName}.${ext}` : finalName;
+};
+
+// Build a unique, filesystem-safe name from the client's original filename
+export const uniqueFilename = (originalname) => {
+  const sanitizedFilename = sanitizeFilename(originalname);
+  const timestamp = Date.now();
+  const randomString = Math.random().toString(36).substring(2, 9);
+  const extIndex = sanitizedFilename.lastIndexOf('.');
+  const nameWithoutExt = extIndex > 0 ? sanitizedFilename.substring(0, extIndex) : (sanitizedFilename || 'file');
+  const extension = extIndex > 0 ? sanitizedFilename.substring(extIndex + 1).toLowerCase() : '';
+  return extension
+    ? `${nameWithoutExt}-${timestamp}-${randomString}.${extension}`
+    : `${nameWithoutExt}-${timestamp}-${randomString}`;
+};
+
+export const resourceTypeFromMimetype = (mimetype = '') => (
+  mimetype.startsWith('video/') ? 'video' : 'image'
+);
+
+export const resourceTypeFromFilename = (filename = '') => {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  return VIDEO_EXTENSIONS.includes(extension) ? 'video' : 'image';
+};
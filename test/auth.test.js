@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { authenticate, optionalAuthenticate, signAccessToken, signRefreshToken } from '../middleware/auth.js';
+import authRoutes from '../routes/authRoutes.js';
+import { startApp } from './support/http.js';
+
+let app;
+
+before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  app = await startApp(authRoutes);
+});
+
+after(() => app.close());
+
+const account = { _id: '64b000000000000000000001', role: 'editor', active: true, token_version: 2 };
+
+const stubUser = (user) => {
+  User.findById = () => ({ select: () => ({ lean: async () => user }) });
+};
+
+// Run a middleware and report what it did: { next } or { status, body }
+const run = (middleware, token) => new Promise((resolve, reject) => {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = {
+    status: (status) => ({ json: (body) => resolve({ status, body, req }) })
+  };
+  Promise.resolve(middleware(req, res, () => resolve({ next: true, req }))).catch(reject);
+});
+
+test('a valid token for an active account sets req.user from the stored account', async () => {
+  const token = signAccessToken(account);
+  stubUser({ ...account, role: 'viewer' });
+  const outcome = await run(authenticate, token);
+  assert.equal(outcome.next, true);
+  assert.deepEqual(outcome.req.user, { id: account._id, role: 'viewer' });
+});
+
+test('tokens of deactivated accounts are refused', async () => {
+  const token = signAccessToken(account);
+  stubUser({ ...account, active: false });
+  assert.equal((await run(authenticate, token)).status, 401);
+});
+
+test('tokens issued before a token_version bump are refused', async () => {
+  const token = signAccessToken(account);
+  stubUser({ ...account, token_version: 3 });
+  assert.equal((await run(authenticate, token)).status, 401);
+});
+
+test('optionalAuthenticate treats a bad or revoked token as anonymous', async () => {
+  stubUser({ ...account, token_version: 3 });
+  for (const token of ['not-a-jwt', signAccessToken(account)]) {
+    const outcome = await run(optionalAuthenticate, token);
+    assert.equal(outcome.next, true);
+    assert.equal(outcome.req.user, undefined);
+  }
+});
+
+test('a refresh token can only be used once', async () => {
+  const stored = { ...account };
+  User.findOneAndUpdate = async (filter, update) => {
+    const matches = String(filter._id) === stored._id && filter.active === stored.active &&
+      filter.token_version === stored.token_version;
+    if (!matches) return null;
+    stored.token_version += update.$inc.token_version;
+    return User.hydrate(stored);
+  };
+  const refresh = (refreshToken) => app.request('/auth/refresh', { method: 'POST', body: { refreshToken } });
+
+  const first = signRefreshToken(account);
+  const rotated = await refresh(first);
+  assert.equal(rotated.status, 200);
+  assert.equal(stored.token_version, account.token_version + 1);
+
+  // The replayed token is refused; the one it was exchanged for still works
+  assert.equal((await refresh(first)).status, 401);
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 200);
+});
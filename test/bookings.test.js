@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../models/Booking.js';
+import { findFreeSlots } from '../services/bookings.js';
+import { zonedDateTime, timeZoneOffset, formatInTimeZone, calendarDateIn } from '../utils/timezone.js';
+
+const designer = {
+  _id: '64b000000000000000000002',
+  timezone: 'America/New_York',
+  slot_minutes: 60,
+  // Saturdays and Sundays, 09:00-12:00 New York time
+  weekly_availability: [
+    { day: 6, start: '09:00', end: '12:00' },
+    { day: 0, start: '09:00', end: '12:00' }
+  ],
+  blocked_dates: []
+};
+
+const stubBookings = (bookings) => {
+  Booking.find = () => ({ select: () => ({ lean: async () => bookings }) });
+};
+
+test('zonedDateTime turns a wall-clock time into the right instant on both sides of a DST change', () => {
+  // US clocks went forward on 2030-03-10
+  assert.equal(zonedDateTime('2030-03-09', 9 * 60, 'America/New_York').toISOString(), '2030-03-09T14:00:00.000Z');
+  assert.equal(zonedDateTime('2030-03-10', 9 * 60, 'America/New_York').toISOString(), '2030-03-10T13:00:00.000Z');
+  assert.equal(zonedDateTime('2030-03-10', 9 * 60 + 30, 'Asia/Kolkata').toISOString(), '2030-03-10T04:00:00.000Z');
+});
+
+test('timeZoneOffset and formatInTimeZone read the wall clock of a zone', () => {
+  const instant = new Date('2030-07-01T23:30:00Z');
+  assert.equal(timeZoneOffset(instant, 'Asia/Kolkata'), 5.5 * 60 * 60 * 1000);
+  assert.equal(formatInTimeZone(instant, 'Asia/Kolkata'), '2030-07-02T05:00');
+  assert.equal(calendarDateIn(instant, 'America/New_York'), '2030-07-01');
+});
+
+test('findFreeSlots lists weekly slots in the requested timezone across a DST change', async () => {
+  stubBookings([]);
+  const slots = await findFreeSlots(designer, { from: '2030-03-09', to: '2030-03-10', timeZone: 'America/New_York' });
+
+  assert.deepEqual(slots.map(slot => slot.local_start), [
+    '2030-03-09T09:00', '2030-03-09T10:00', '2030-03-09T11:00',
+    '2030-03-10T09:00', '2030-03-10T10:00', '2030-03-10T11:00'
+  ]);
+  assert.equal(slots[0].starts_at.toISOString(), '2030-03-09T14:00:00.000Z');
+  assert.equal(slots[3].starts_at.toISOString(), '2030-03-10T13:00:00.000Z');
+  slots.forEach(slot => assert.equal(slot.ends_at - slot.starts_at, 60 * 60 * 1000));
+});
+
+test('findFreeSlots shows slots in the client timezone and leaves out booked and blocked ones', async () => {
+  stubBookings([{ starts_at: new Date('2030-03-09T15:00:00Z'), ends_at: new Date('2030-03-09T16:00:00Z') }]);
+  const slots = await findFreeSlots(
+    { ...designer, blocked_dates: [{ date: '2030-03-10' }] },
+    { from: '2030-03-09', to: '2030-03-10', timeZone: 'Asia/Kolkata' }
+  );
+
+  // 09:00 and 11:00 in New York on Saturday are 19:30 and 21:30 in Kolkata
+  assert.deepEqual(slots.map(slot => slot.local_start), ['2030-03-09T19:30', '2030-03-09T21:30']);
+});
+
+test('findFreeSlots refuses reversed and overly long ranges', async () => {
+  stubBookings([]);
+  await assert.rejects(findFreeSlots(designer, { from: '2030-03-10', to: '2030-03-09', timeZone: 'UTC' }), { status: 400 });
+  await assert.rejects(findFreeSlots(designer, { from: '2030-03-01', to: '2030-04-15', timeZone: 'UTC' }), { status: 400 });
+});
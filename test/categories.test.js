@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import { slugify, buildTree, moveCategory, expandCategoryFilter, applyCategory } from '../services/categories.js';
+
+const oid = () => new mongoose.Types.ObjectId();
+const lean = (value) => ({ lean: async () => value, select: () => ({ lean: async () => value }) });
+
+// A category document with a stubbed save
+const categoryDoc = (fields) => {
+  const category = new Category({ name: 'Category', slug: 'category', ...fields });
+  category.save = async () => category;
+  return category;
+};
+
+test('slugify gives one slug for the spellings of a name', () => {
+  assert.equal(slugify('Living Room'), 'living-room');
+  assert.equal(slugify('living room'), 'living-room');
+  assert.equal(slugify('LivingRoom'), 'living-room');
+  assert.equal(slugify('  Bed & Bath '), 'bed-and-bath');
+  assert.equal(slugify('Café Tables'), 'cafe-tables');
+});
+
+test('buildTree nests children under their parents, ordered by display order then name', () => {
+  const [living, seating, sofas, chairs, dining] = [oid(), oid(), oid(), oid(), oid()];
+  const tree = buildTree([
+    { _id: chairs, name: 'Chairs', parent: seating, display_order: 0 },
+    { _id: dining, name: 'Dining', parent: null, display_order: 1 },
+    { _id: sofas, name: 'Armchairs', parent: seating, display_order: 0 },
+    { _id: living, name: 'Living', parent: null, display_order: 0 },
+    { _id: seating, name: 'Seating', parent: living, display_order: 0 }
+  ]);
+
+  assert.deepEqual(tree.map(node => node.name), ['Living', 'Dining']);
+  assert.deepEqual(tree[0].children[0].children.map(node => node.name), ['Armchairs', 'Chairs']);
+});
+
+test('a category cannot be moved under its own descendant', async () => {
+  const root = categoryDoc({ name: 'Living' });
+  const child = { _id: oid(), ancestors: [root._id] };
+  Category.findById = () => lean(child);
+
+  await assert.rejects(moveCategory(root, String(child._id)), { status: 400 });
+});
+
+test('moving a category rewrites the path of its whole subtree', async () => {
+  const newParent = { _id: oid(), ancestors: [oid()] };
+  const oldParent = oid();
+  const moved = categoryDoc({ name: 'Seating', parent: oldParent, ancestors: [oldParent] });
+  const grandchild = categoryDoc({ name: 'Sofas', ancestors: [oldParent, moved._id] });
+
+  Category.findById = () => lean(newParent);
+  Category.find = async () => [grandchild];
+
+  await moveCategory(moved, String(newParent._id));
+  assert.deepEqual(moved.ancestors.map(String), [...newParent.ancestors, newParent._id].map(String));
+  assert.deepEqual(grandchild.ancestors.map(String), [...newParent.ancestors, newParent._id, moved._id].map(String));
+});
+
+test('a category listing filter covers every descendant; unknown names stay free text', async () => {
+  const seating = { _id: oid(), name: 'Seating', slug: 'seating' };
+  const sofas = oid();
+  Category.findById = async () => null;
+  Category.findOne = async ({ slug }) => (slug === 'seating' ? seating : null);
+  Category.find = () => lean([{ _id: sofas }]);
+
+  const filter = await expandCategoryFilter({ category: 'Seating', brand: 'Nordic' });
+  assert.deepEqual(filter, { brand: 'Nordic', category_id: { $in: [seating._id, sofas] } });
+  assert.deepEqual(await expandCategoryFilter({ category: 'Garden' }), { category: 'Garden' });
+});
+
+test('applyCategory links a known name and uses the stored spelling', async () => {
+  const seating = { _id: oid(), name: 'Seating', slug: 'seating' };
+  Category.findOne = async ({ slug }) => (slug === 'seating' ? seating : null);
+
+  assert.deepEqual(await applyCategory({ category: 'SEATING' }), { category: 'Seating', category_id: seating._id });
+  assert.deepEqual(await applyCategory({ category: 'Garden' }), { category: 'Garden', category_id: null });
+  await assert.rejects(applyCategory({ category_id: 'nope' }), { status: 400 });
+});
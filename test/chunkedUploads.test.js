@@ -0,0 +1,165 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import UploadSession from '../models/UploadSession.js';
+import { getStorage } from '../storage/index.js';
+import { sniffFileType } from '../utils/fileType.js';
+
+const CHUNK = 256 * 1024;
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]);
+const JPG_HEADER = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 16, 0x4A, 0x46, 0x49, 0x46, 0, 1]);
+
+let workDir;
+let chunked;
+let sessions;
+let stored;
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-uploads-'));
+  // The chunk directory is read when the service loads
+  process.env.CHUNKED_UPLOAD_DIR = path.join(workDir, 'chunks');
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_UPLOADS_DIR = path.join(workDir, 'uploads');
+  process.env.LOCAL_UPLOADS_BASE_URL = 'http://media.test';
+  chunked = await import('../services/chunkedUploads.js');
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  sessions = new Map();
+  stored = [];
+
+  const track = (session) => {
+    session.save = async () => session;
+    sessions.set(String(session._id), session);
+    return session;
+  };
+  UploadSession.create = async (data) => track(new UploadSession(data));
+  UploadSession.findOneAndUpdate = async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.status !== filter.status) return null;
+    if (update.$addToSet && !session.received_chunks.includes(update.$addToSet.received_chunks)) {
+      session.received_chunks.push(update.$addToSet.received_chunks);
+    }
+    session.set(update.$set);
+    return session;
+  };
+  getStorage().uploadFile = async (filePath, { resourceType, filename }) => {
+    stored.push(filename);
+    return { url: `http://media.test/uploads/${filename}`, publicId: filename, resourceType, bytes: fs.statSync(filePath).size };
+  };
+});
+
+// A file a little over one chunk, starting with the given header
+const fileWith = (header) => Buffer.concat([header, crypto.randomBytes(CHUNK + 100 - header.length)]);
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const startSession = (filename, file, checksum = sha256(file)) => chunked.createUploadSession({
+  filename,
+  totalBytes: file.length,
+  checksum,
+  chunkSize: CHUNK
+});
+
+const sendChunk = (session, file, index) => chunked.writeChunk(
+  session,
+  index,
+  Readable.from([file.subarray(index * CHUNK, (index + 1) * CHUNK)])
+);
+
+test('an interrupted upload resumes from the chunks still missing', async () => {
+  const file = fileWith(PNG_HEADER);
+  const session = await startSession('wall.png', file);
+
+  await sendChunk(session, file, 0);
+  // A retried chunk replaces the earlier copy
+  await sendChunk(session, file, 0);
+  const progress = chunked.describeUploadSession(session);
+  assert.deepEqual(progress.received_chunks, [0]);
+  assert.deepEqual(progress.missing_chunks, [1]);
+  assert.equal(progress.bytes_received, CHUNK);
+  await assert.rejects(chunked.completeUploadSession(session), { status: 409 });
+
+  await sendChunk(session, file, 1);
+  const done = await chunked.completeUploadSession(session);
+  assert.equal(done.status, 'complete');
+  assert.equal(done.result.bytes, file.length);
+  assert.deepEqual(stored, ['wall.png']);
+});
+
+test('a chunk of the wrong size is refused', async () => {
+  const file = fileWith(PNG_HEADER);
+  const session = await startSession('wall.png', file);
+
+  await assert.rejects(chunked.writeChunk(session, 0, Readable.from([file.subarray(0, 10)])), { status: 400 });
+  await assert.rejects(chunked.writeChunk(session, 2, Readable.from([file])), { status: 400 });
+  assert.deepEqual(session.received_chunks, []);
+});
+
+test('a checksum mismatch fails the session without storing anything', async () => {
+  const file = fileWith(PNG_HEADER);
+  const session = await startSession('wall.png', file, sha256(Buffer.from('another file')));
+  await sendChunk(session, file, 0);
+  await sendChunk(session, file, 1);
+
+  await assert.rejects(chunked.completeUploadSession(session), /Checksum mismatch/);
+  assert.equal(session.status, 'failed');
+  assert.deepEqual(stored, []);
+});
+
+test('the file type comes from the content, not the name', async () => {
+  const file = fileWith(JPG_HEADER);
+  const session = await startSession('wall.png', file);
+  await sendChunk(session, file, 0);
+  await sendChunk(session, file, 1);
+
+  await assert.rejects(chunked.completeUploadSession(session), /content is jpg, not png/);
+  assert.equal(session.status, 'failed');
+  assert.deepEqual(stored, []);
+});
+
+test('a stored file is deleted again when the session cannot be saved', async () => {
+  const removed = [];
+  getStorage().remove = async (publicId) => {
+    removed.push(publicId);
+    return { result: 'ok' };
+  };
+  const file = fileWith(PNG_HEADER);
+  const session = await startSession('wall.png', file);
+  await sendChunk(session, file, 0);
+  await sendChunk(session, file, 1);
+
+  // The save recording the completed upload fails; the one putting the session back succeeds
+  session.save = async () => {
+    session.save = async () => session;
+    throw new Error('connection lost');
+  };
+  await assert.rejects(chunked.completeUploadSession(session), /connection lost/);
+  assert.deepEqual(stored, ['wall.png']);
+  assert.deepEqual(removed, ['wall.png']);
+  assert.equal(session.status, 'uploading');
+  assert.equal(session.result.url, undefined);
+
+  // The chunks are kept, so completing again stores the file afresh
+  const done = await chunked.completeUploadSession(session);
+  assert.equal(done.status, 'complete');
+  assert.deepEqual(stored, ['wall.png', 'wall.png']);
+});
+
+test('file headers are recognised by their magic bytes', () => {
+  const padded = (text) => Buffer.concat([Buffer.from(text, 'latin1'), Buffer.alloc(16)]);
+
+  assert.deepEqual(sniffFileType(PNG_HEADER), { format: 'png', resourceType: 'image' });
+  assert.deepEqual(sniffFileType(JPG_HEADER), { format: 'jpg', resourceType: 'image' });
+  assert.deepEqual(sniffFileType(padded('RIFF\0\0\0\0WEBP')), { format: 'webp', resourceType: 'image' });
+  assert.deepEqual(sniffFileType(padded('\0\0\0\x18ftypqt  ')), { format: 'mov', resourceType: 'video' });
+  assert.deepEqual(sniffFileType(padded('\0\0\0\x18ftypisom')), { format: 'mp4', resourceType: 'video' });
+  assert.equal(sniffFileType(padded('\0\0\0\x18ftypheic')), null);
+  assert.equal(sniffFileType(padded('%PDF-1.7 not media')), null);
+  assert.equal(sniffFileType(Buffer.from([0xFF, 0xD8])), null);
+});
@@ -0,0 +1,143 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import DirectUpload from '../models/DirectUpload.js';
+import Product from '../models/Product.js';
+import MoodBoard from '../models/MoodBoard.js';
+import { getStorage } from '../storage/index.js';
+import { issueDirectUpload, confirmDirectUpload, assertUploadsConfirmed } from '../services/directUploads.js';
+import productRoutes from '../routes/productRoutes.js';
+import moodBoardRoutes from '../routes/moodBoardRoutes.js';
+import { startApp } from './support/http.js';
+
+let uploadsDir;
+let app;
+let records;
+
+before(async () => {
+  uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-uploads-'));
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_UPLOADS_DIR = uploadsDir;
+  process.env.LOCAL_UPLOADS_BASE_URL = 'http://media.test';
+  app = await startApp(productRoutes, moodBoardRoutes);
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  records = [];
+  DirectUpload.create = async (data) => {
+    const record = new DirectUpload(data);
+    record.save = async () => record;
+    records.push(record);
+    return record;
+  };
+  // Looks up records by public_id and status the way assertUploadsConfirmed queries them
+  DirectUpload.findOne = (filter) => ({
+    select: () => ({
+      lean: async () => records.find(record => filter.public_id.$in.includes(record.public_id) && record.status !== filter.status.$ne) || null
+    })
+  });
+});
+
+// Sign an upload and send the file to the signed URL, as a browser would
+const uploadFile = async (filename, content, { bytes } = {}) => {
+  const { record, upload } = await issueDirectUpload({ filename, resourceType: 'image', bytes });
+  const url = new URL(upload.url);
+  const receipt = await getStorage().receiveDirectUpload(record.public_id, Object.fromEntries(url.searchParams), Readable.from([content]));
+  return { record, receipt };
+};
+
+test('a signed upload is confirmed with the receipt from storage', async () => {
+  const { record, receipt } = await uploadFile('sofa.png', Buffer.from('png bytes'));
+
+  await confirmDirectUpload(record, receipt);
+  assert.equal(record.status, 'confirmed');
+  assert.equal(record.url, `http://media.test/uploads/${record.public_id}`);
+  assert.equal(record.bytes, 9);
+
+  // Confirming again is harmless
+  assert.equal(await confirmDirectUpload(record, receipt), record);
+});
+
+test('a forged receipt is refused', async () => {
+  const { record, receipt } = await uploadFile('chair.png', Buffer.from('png bytes'));
+
+  await assert.rejects(confirmDirectUpload(record, { ...receipt, signature: 'forged' }), { status: 400 });
+  assert.equal(record.status, 'pending');
+});
+
+test('uploads outside the signed policy are refused before anything is stored', async () => {
+  await assert.rejects(issueDirectUpload({ filename: 'notes.pdf', resourceType: 'image' }), { status: 400 });
+  await assert.rejects(issueDirectUpload({ filename: 'huge.png', resourceType: 'image', bytes: 11 * 1024 * 1024 }), { status: 400 });
+  assert.equal(records.length, 0);
+});
+
+test('an asset that breaks the policy is deleted and the upload rejected', async () => {
+  const { record, receipt } = await uploadFile('lamp.png', Buffer.from('png bytes'));
+  record.max_bytes = 4;
+
+  await assert.rejects(confirmDirectUpload(record, receipt), { status: 400 });
+  assert.equal(record.status, 'rejected');
+  assert.equal(fs.existsSync(path.join(uploadsDir, record.public_id)), false);
+});
+
+test('a late confirmation is refused and the file deleted', async () => {
+  const { record, receipt } = await uploadFile('rug.png', Buffer.from('png bytes'));
+  record.expires_at = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+  await assert.rejects(confirmDirectUpload(record, receipt), { status: 409 });
+  assert.equal(record.status, 'expired');
+  assert.equal(fs.existsSync(path.join(uploadsDir, record.public_id)), false);
+});
+
+test('only unconfirmed direct uploads are refused as media URLs', async () => {
+  const { record } = await uploadFile('table.png', Buffer.from('png bytes'));
+  const url = `http://media.test/uploads/${record.public_id}`;
+
+  await assert.rejects(assertUploadsConfirmed([url]), { status: 409 });
+  record.status = 'confirmed';
+  await assertUploadsConfirmed([url, 'https://example.com/elsewhere.jpg', undefined]);
+});
+
+test('values that are not URLs are never looked up', async () => {
+  DirectUpload.findOne = () => assert.fail('nothing should be looked up');
+  await assertUploadsConfirmed([undefined, null, '', 42, { url: 'http://media.test/uploads/x.png' }]);
+});
+
+test('saving a product with an unconfirmed upload is a 409', async () => {
+  const { record } = await uploadFile('bed.png', Buffer.from('png bytes'));
+  const product = Product.hydrate({ _id: new mongoose.Types.ObjectId(), product_name: 'Bed', price_new: 100, brand: 'B', category: 'Beds' });
+  product.save = async () => assert.fail('an unconfirmed upload must not be saved');
+  Product.findById = async () => product;
+
+  const { status, body } = await app.request(`/products/${product._id}`, {
+    method: 'PATCH',
+    as: 'editor',
+    body: { media: [{ url: `http://media.test/uploads/${record.public_id}` }] }
+  });
+  assert.equal(status, 409);
+  assert.match(body.error, /is pending; confirm it before using it/);
+});
+
+test('placing a board image from an unconfirmed upload is a 409', async () => {
+  const { record } = await uploadFile('swatch.png', Buffer.from('png bytes'));
+  const board = new MoodBoard({ name: 'Bedroom' });
+  board.save = async () => assert.fail('an unconfirmed upload must not be saved');
+  MoodBoard.findById = async () => board;
+
+  const { status } = await app.request(`/boards/${board._id}/items`, {
+    method: 'POST',
+    as: 'editor',
+    body: { kind: 'image', image_url: `http://media.test/uploads/${record.public_id}` }
+  });
+  assert.equal(status, 409);
+  assert.equal(board.items.length, 0);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bookingToIcs } from '../services/ics.js';
+
+const booking = {
+  _id: '64b000000000000000000003',
+  type: 'showroom',
+  status: 'confirmed',
+  sequence: 0,
+  starts_at: new Date('2030-03-09T14:00:00Z'),
+  ends_at: new Date('2030-03-09T15:00:00Z'),
+  client: { name: 'Asha', email: 'asha@example.com' },
+  notes: 'Needs a reading nook; prefers teak, walnut and brass finishes. '.repeat(3) + 'Écrin tons, 静かな部屋.'
+};
+const designer = { name: 'Ravi', email: 'ravi@example.com' };
+
+test('long lines are folded at 75 octets with a leading space on continuations', () => {
+  const lines = bookingToIcs(booking, designer).split('\r\n');
+
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`));
+  const start = lines.findIndex(line => line.startsWith('DESCRIPTION:'));
+  assert.ok(lines[start + 1].startsWith(' '));
+});
+
+test('unfolding restores the escaped text without splitting multi-byte characters', () => {
+  const unfolded = bookingToIcs(booking, designer).replace(/\r\n /g, '');
+  const description = unfolded.split('\r\n').find(line => line.startsWith('DESCRIPTION:'));
+
+  assert.ok(description.includes('Needs a reading nook\\; prefers teak\\, walnut and brass finishes.'));
+  assert.ok(description.endsWith('Écrin tons\\, 静かな部屋.'));
+});
+
+test('a cancelled booking is a METHOD:CANCEL update', () => {
+  const ics = bookingToIcs({ ...booking, status: 'cancelled', sequence: 2 }, designer);
+  assert.match(ics, /METHOD:CANCEL\r\n/);
+  assert.match(ics, /STATUS:CANCELLED\r\n/);
+  assert.match(ics, /SEQUENCE:2\r\n/);
+});
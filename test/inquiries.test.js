@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Inquiry from '../models/Inquiry.js';
+import { changeInquiryStatus, parseInquiryFilter } from '../services/inquiries.js';
+import { csvLine, neutralizeFormula } from '../utils/csv.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import inquiryRoutes from '../routes/inquiryRoutes.js';
+import { startApp } from './support/http.js';
+
+let app;
+const saved = [];
+
+before(async () => {
+  Inquiry.prototype.save = async function () {
+    await this.validate();
+    saved.push(this);
+    return this;
+  };
+  app = await startApp(inquiryRoutes);
+});
+
+after(() => app.close());
+
+const submission = {
+  name: 'Meera Iyer',
+  email: 'meera@example.com',
+  message: 'Looking to redo our living room',
+  room_type: 'Living'
+};
+
+test('a filled honeypot is answered like a real inquiry but not stored', async () => {
+  const real = await app.request('/inquiries', { method: 'POST', body: submission });
+  const bot = await app.request('/inquiries', { method: 'POST', body: { ...submission, website: 'http://spam.example' } });
+
+  assert.equal(real.status, 201);
+  assert.deepEqual(bot, { ...bot, status: 201, body: real.body });
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].status, 'new');
+});
+
+test('the rate limiter refuses an address once it is over the limit', () => {
+  const limiter = rateLimit({ windowMs: 60 * 1000, max: 2 });
+  const call = (ip) => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    limiter({ ip }, res, () => { passed = true; });
+    return passed ? 'next' : res;
+  };
+
+  assert.equal(call('10.0.0.1'), 'next');
+  assert.equal(call('10.0.0.1'), 'next');
+  const refused = call('10.0.0.1');
+  assert.equal(refused.statusCode, 429);
+  assert.equal(refused.headers['Retry-After'], '60');
+  // Other addresses have their own count
+  assert.equal(call('10.0.0.2'), 'next');
+});
+
+test('leads move through the pipeline one allowed step at a time', () => {
+  const actor = new mongoose.Types.ObjectId();
+  const lead = new Inquiry({ ...submission, status_history: [{ status: 'new' }] });
+
+  changeInquiryStatus(lead, 'contacted', actor);
+  assert.throws(() => changeInquiryStatus(lead, 'won', actor), { status: 409 });
+  changeInquiryStatus(lead, 'lost', actor);
+  changeInquiryStatus(lead, 'new', actor);
+
+  assert.equal(lead.status, 'new');
+  assert.deepEqual(lead.status_history.map(entry => entry.status), ['new', 'contacted', 'lost', 'new']);
+});
+
+test('list filters are parsed from the query string', () => {
+  const me = { id: new mongoose.Types.ObjectId().toString() };
+  const filter = parseInquiryFilter({ status: 'new, contacted', assigned_to: 'me', room_type: 'Living (L)', from: '2030-01-01' }, me);
+
+  assert.deepEqual(filter.status, { $in: ['new', 'contacted'] });
+  assert.equal(filter.assigned_to, me.id);
+  assert.ok(filter.room_type.test('living (l)'));
+  assert.ok(!filter.room_type.test('Living'));
+  assert.deepEqual(filter.created_at, { $gte: new Date('2030-01-01') });
+
+  assert.equal(parseInquiryFilter({ assigned_to: 'none' }, me).assigned_to, null);
+  assert.throws(() => parseInquiryFilter({ status: 'archived' }, me), { status: 400 });
+  assert.throws(() => parseInquiryFilter({ to: 'someday' }, me), { status: 400 });
+});
+
+test('CSV export quotes fields and defuses formulas', () => {
+  assert.equal(csvLine(['plain', 'a,b', 'say "hi"', null]), 'plain,"a,b","say ""hi""",\r\n');
+  assert.equal(neutralizeFormula('=HYPERLINK("http://evil")'), '\'=HYPERLINK("http://evil")');
+  assert.equal(neutralizeFormula('Sofa'), 'Sofa');
+});
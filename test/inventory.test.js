@@ -0,0 +1,123 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Location from '../models/Location.js';
+import StockLevel from '../models/StockLevel.js';
+import StockMovement from '../models/StockMovement.js';
+import StockReservation from '../models/StockReservation.js';
+import {
+  resolveStockTarget,
+  adjustStock,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  getAvailability
+} from '../services/inventory.js';
+
+const productId = new mongoose.Types.ObjectId();
+const locationId = new mongoose.Types.ObjectId();
+const lean = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+// One in-memory stock level and the records written around it
+let level;
+let movements;
+let reservations;
+let productVariants;
+
+const applyInc = (target, $inc) => Object.entries($inc).forEach(([field, delta]) => { target[field] += delta; });
+
+beforeEach(() => {
+  level = { on_hand: 10, reserved: 0 };
+  movements = [];
+  reservations = new Map();
+  productVariants = [];
+
+  Product.findById = () => lean({ _id: productId, variants: productVariants });
+  Location.findById = () => lean({ _id: locationId, active: true });
+
+  // Honours the "at least N available" condition the service puts in the filter
+  StockLevel.findOneAndUpdate = async (filter, update) => {
+    if (filter.$expr && level.on_hand - level.reserved < filter.$expr.$gte[1]) return null;
+    applyInc(level, update.$inc);
+    return { ...level };
+  };
+  StockLevel.updateOne = async (filter, update) => applyInc(level, update.$inc);
+  StockMovement.create = async (movement) => movements.push(movement);
+
+  StockReservation.create = async (fields) => {
+    const reservation = { _id: new mongoose.Types.ObjectId(), status: 'active', ...fields };
+    reservations.set(String(reservation._id), reservation);
+    return reservation;
+  };
+  StockReservation.findById = (id) => lean(reservations.get(String(id)) || null);
+  StockReservation.findOneAndUpdate = async (filter, update) => {
+    const reservation = reservations.get(String(filter._id));
+    if (!reservation || reservation.status !== filter.status) return null;
+    Object.assign(reservation, update.$set);
+    return reservation;
+  };
+});
+
+const stockAt = (fields) => ({ product: String(productId), location: String(locationId), ...fields });
+
+test('a product with variants needs a variant ID', async () => {
+  productVariants = [{ _id: new mongoose.Types.ObjectId() }];
+  await assert.rejects(resolveStockTarget(stockAt({})), { status: 400 });
+  await assert.rejects(resolveStockTarget(stockAt({ variant: String(new mongoose.Types.ObjectId()) })), { status: 404 });
+
+  const target = await resolveStockTarget(stockAt({ variant: String(productVariants[0]._id) }));
+  assert.equal(String(target.variant), String(productVariants[0]._id));
+});
+
+test('reservations never oversell', async () => {
+  await reserveStock(stockAt({ quantity: 6 }));
+  await assert.rejects(reserveStock(stockAt({ quantity: 5 })), { status: 409 });
+  assert.deepEqual(level, { on_hand: 10, reserved: 6 });
+  assert.deepEqual(movements.map(movement => [movement.type, movement.quantity]), [['reservation', 6]]);
+});
+
+test('stock cannot be adjusted below what is reserved', async () => {
+  await reserveStock(stockAt({ quantity: 8 }));
+  await assert.rejects(adjustStock(stockAt({ quantity: -3 })), { status: 409 });
+  await adjustStock(stockAt({ quantity: -2 }));
+  assert.deepEqual(level, { on_hand: 8, reserved: 8 });
+});
+
+test('the units are given back when a reservation cannot be recorded', async () => {
+  StockReservation.create = async () => {
+    throw new Error('write failed');
+  };
+  await assert.rejects(reserveStock(stockAt({ quantity: 4 })), /write failed/);
+  assert.deepEqual(level, { on_hand: 10, reserved: 0 });
+});
+
+test('committing a reservation sells it once; releasing returns the units', async () => {
+  const sold = await reserveStock(stockAt({ quantity: 3 }));
+  await commitReservation(sold._id);
+  assert.deepEqual(level, { on_hand: 7, reserved: 0 });
+  await assert.rejects(commitReservation(sold._id), { status: 409, message: 'Reservation is already committed' });
+
+  const held = await reserveStock(stockAt({ quantity: 2 }));
+  await releaseReservation(held._id);
+  assert.deepEqual(level, { on_hand: 7, reserved: 0 });
+});
+
+test('an expired reservation is released instead of committed', async () => {
+  const reservation = await reserveStock(stockAt({ quantity: 3 }));
+  reservation.expires_at = new Date(Date.now() - 1000);
+
+  await assert.rejects(commitReservation(reservation._id), { status: 409, message: 'Reservation has expired' });
+  assert.equal(reservation.status, 'expired');
+  assert.deepEqual(level, { on_hand: 10, reserved: 0 });
+  assert.equal(movements.at(-1).type, 'expiry');
+});
+
+test('availability sums every location and defaults to none', async () => {
+  const other = new mongoose.Types.ObjectId();
+  StockLevel.aggregate = async () => [{ _id: productId, on_hand: 5, reserved: 5 }];
+
+  const availability = await getAvailability([productId, other]);
+  assert.deepEqual(availability.get(String(productId)), { on_hand: 5, reserved: 5, available: 0, in_stock: false });
+  assert.deepEqual(availability.get(String(other)), { on_hand: 0, reserved: 0, available: 0, in_stock: false });
+});
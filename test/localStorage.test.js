@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../storage/localStorage.js';
+
+const storage = createLocalStorage({
+  directory: path.join(os.tmpdir(), 'interior-test-uploads'),
+  baseUrl: 'http://media.test'
+});
+
+test('publicIdFromUrl decodes stored file names', () => {
+  assert.equal(storage.publicIdFromUrl('http://media.test/uploads/living%20room.jpg?v=2'), 'living room.jpg');
+});
+
+test('publicIdFromUrl returns null for malformed escapes instead of throwing', () => {
+  assert.equal(storage.publicIdFromUrl('http://media.test/uploads/%E0%A4%A.jpg'), null);
+});
+
+test('publicIdFromUrl ignores URLs outside the uploads route and path traversal', () => {
+  assert.equal(storage.publicIdFromUrl('https://example.com/sofa.jpg'), null);
+  assert.equal(storage.publicIdFromUrl('http://media.test/uploads/..%2Fsecret.env'), null);
+});
+
+test('publicIdFromUrl only matches URLs under the configured base URL', () => {
+  assert.equal(storage.publicIdFromUrl('https://cdn.other.com/wp-content/uploads/sofa.jpg'), null);
+  assert.equal(storage.publicIdFromUrl('https://cdn.other.com/uploads/sofa.jpg'), null);
+  assert.equal(storage.publicIdFromUrl('http://media.test.evil.com/uploads/sofa.jpg'), null);
+  assert.equal(storage.publicIdFromUrl('http://media.test/uploads/sofa.jpg'), 'sofa.jpg');
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { extractPalette } from '../services/mediaDerivatives.js';
+import { colorFamily, colorFamiliesFromMedia, isHexColor, toHex, fromHex } from '../utils/color.js';
+
+// A PNG split vertically: `left` covers the first `leftWidth` of 100 columns
+const twoToneImage = async (left, right, leftWidth) => sharp({
+  create: { width: 100, height: 100, channels: 4, background: right }
+})
+  .composite([{
+    input: await sharp({ create: { width: leftWidth, height: 100, channels: 4, background: left } }).png().toBuffer(),
+    left: 0,
+    top: 0
+  }])
+  .png()
+  .toBuffer();
+
+test('extractPalette lists dominant colours largest first with their share', async () => {
+  const image = await twoToneImage({ r: 20, g: 60, b: 200, alpha: 1 }, { r: 240, g: 230, b: 210, alpha: 1 }, 25);
+  const palette = await extractPalette(image);
+
+  assert.equal(palette.length, 2);
+  assert.equal(palette[0].hex, '#f0e6d2');
+  assert.equal(palette[0].share, 0.75);
+  assert.equal(palette[1].hex, '#143cc8');
+  assert.equal(palette[1].share, 0.25);
+});
+
+test('extractPalette merges near shades and ignores transparent pixels', async () => {
+  const shades = await twoToneImage({ r: 200, g: 40, b: 40, alpha: 1 }, { r: 210, g: 45, b: 45, alpha: 1 }, 50);
+  const merged = await extractPalette(shades);
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].share, 1);
+
+  const cutout = await twoToneImage({ r: 30, g: 140, b: 60, alpha: 1 }, { r: 0, g: 0, b: 0, alpha: 0 }, 40);
+  assert.deepEqual((await extractPalette(cutout)).map(swatch => [colorFamily(swatch.hex), swatch.share]), [['green', 1]]);
+});
+
+test('colorFamily names interior finishes', () => {
+  assert.equal(colorFamily('#000000'), 'black');
+  assert.equal(colorFamily('#ffffff'), 'white');
+  assert.equal(colorFamily('#808080'), 'grey');
+  assert.equal(colorFamily('#e8dcc8'), 'beige');
+  assert.equal(colorFamily('#6b4423'), 'brown');
+  assert.equal(colorFamily('#c0392b'), 'red');
+  assert.equal(colorFamily('#1f4e9c'), 'blue');
+  assert.equal(colorFamily('#2e8b57'), 'green');
+  assert.equal(colorFamily('#008b8b'), 'teal');
+});
+
+test('colorFamiliesFromMedia keeps the main colour and any that cover enough of an image', () => {
+  const media = [
+    { type: 'image', palette: [{ hex: '#e8dcc8', share: 0.6 }, { hex: '#1f4e9c', share: 0.3 }, { hex: '#c0392b', share: 0.05 }] },
+    { type: 'image', palette: [{ hex: '#6b4423', share: 0.1 }] },
+    { type: 'video', palette: [{ hex: '#2e8b57', share: 1 }] }
+  ];
+  assert.deepEqual(colorFamiliesFromMedia(media).sort(), ['beige', 'blue', 'brown']);
+});
+
+test('hex helpers round-trip colours', () => {
+  assert.deepEqual(fromHex('#1F4E9C'), { r: 31, g: 78, b: 156 });
+  assert.equal(toHex({ r: 31, g: 78, b: 156 }), '#1f4e9c');
+  assert.ok(isHexColor(' 1f4e9c '));
+  assert.ok(!isHexColor('#1f4e9'));
+});
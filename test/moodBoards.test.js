@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import MoodBoard from '../models/MoodBoard.js';
+import Product from '../models/Product.js';
+import { describeBoard, createShare, ownedMedia } from '../services/moodBoards.js';
+import moodBoardRoutes from '../routes/moodBoardRoutes.js';
+import { startApp } from './support/http.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const sofa = { _id: id(), product_name: 'Linen sofa', brand: 'Loom', price_new: 45999.5, variants: [] };
+const lampVariant = { _id: id(), sku: 'LAMP-BRASS', price_new: 3200 };
+const lamp = { _id: id(), product_name: 'Arc lamp', brand: 'Glow', price_new: 2800, variants: [lampVariant] };
+
+Product.find = () => ({ select: () => ({ lean: async () => [sofa, lamp] }) });
+
+const boardWith = (items) => new MoodBoard({ name: 'Living room ideas', items });
+
+let app;
+
+before(async () => {
+  app = await startApp(moodBoardRoutes);
+});
+
+after(() => app.close());
+
+test('the board total adds up placed products at their current price', async () => {
+  const board = boardWith([
+    { kind: 'product', product: sofa._id, quantity: 2 },
+    { kind: 'product', product: lamp._id, variant: lampVariant._id },
+    { kind: 'swatch', color: '#A0522D' },
+    { kind: 'product', product: id() }
+  ]);
+
+  const { items, cost } = await describeBoard(board);
+  assert.equal(cost.total, 95199);
+  assert.deepEqual(cost.lines.map(line => line.line_total), [91999, 3200]);
+  assert.deepEqual(cost.unavailable, [board.items[3]._id]);
+  assert.equal(items[1].product_details.sku, 'LAMP-BRASS');
+  assert.equal(items[3].unavailable, true);
+});
+
+test('items are checked against what their kind needs', async () => {
+  const error = await boardWith([{ kind: 'image' }, { kind: 'note' }, { kind: 'swatch', color: 'brown' }]).validate().catch(err => err);
+
+  assert.deepEqual(Object.keys(error.errors).sort(), ['items.0.image_url', 'items.1.text', 'items.2.color']);
+});
+
+test('only images uploaded for the board count as its own media', () => {
+  assert.deepEqual(ownedMedia([
+    { kind: 'image', image_url: 'https://cdn.example.com/a.jpg', public_id: 'boards/a' },
+    { kind: 'image', image_url: 'https://cdn.example.com/product.jpg', public_id: '' },
+    { kind: 'product', public_id: 'ignored' }
+  ]), [{ url: 'https://cdn.example.com/a.jpg', public_id: 'boards/a' }]);
+});
+
+test('share links open a read-only view until they expire', async () => {
+  const board = boardWith([{ kind: 'product', product: sofa._id }]);
+  board.owner = id();
+  const share = createShare(board, { label: 'Client', expiresInDays: 7 });
+  const expired = createShare(board, { expiresInDays: 1 });
+  expired.expires_at = new Date(Date.now() - 1000);
+  assert.throws(() => createShare(board, { expiresInDays: -1 }), { status: 400 });
+
+  MoodBoard.findOne = async () => board;
+
+  const open = await app.request(`/shared/boards/${share.token}`);
+  assert.equal(open.status, 200);
+  assert.equal(open.body.data.cost.total, 45999.5);
+  assert.equal(open.body.data.shares, undefined);
+  assert.equal(open.body.data.owner, undefined);
+
+  assert.equal((await app.request(`/shared/boards/${expired.token}`)).status, 404);
+  assert.equal((await app.request('/shared/boards/unknown-token')).status, 404);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Promotion from '../models/Promotion.js';
+import Category from '../models/Category.js';
+import ProductRevision from '../models/ProductRevision.js';
+import { discountedPrice, attachPricing } from '../services/pricing.js';
+import { priceHistory } from '../services/productHistory.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const promotion = (fields) => ({
+  _id: id(),
+  name: 'Sale',
+  discount_type: 'percentage',
+  discount_value: 10,
+  products: [],
+  categories: [],
+  brands: [],
+  ...fields
+});
+
+test('discounts are rounded to cents and never go below zero', () => {
+  assert.equal(discountedPrice(999.99, { discount_type: 'percentage', discount_value: 15 }), 849.99);
+  assert.equal(discountedPrice(500, { discount_type: 'fixed', discount_value: 750 }), 0);
+});
+
+test('the promotion giving the lowest price wins, and variants get it too', async () => {
+  const product = { _id: id(), brand: 'Loom', price_new: 20000, variants: [{ sku: 'L-1', price_new: 22000 }] };
+  const promotions = [
+    promotion({ name: 'Brand week', brands: ['LOOM'], discount_value: 10 }),
+    promotion({ name: 'Clearance', products: [product._id], discount_type: 'fixed', discount_value: 5000 })
+  ];
+
+  const [priced] = await attachPricing([product], { promotions });
+  assert.equal(priced.original_price, 20000);
+  assert.equal(priced.effective_price, 15000);
+  assert.equal(priced.promotion.name, 'Clearance');
+  assert.equal(priced.variants[0].effective_price, 17000);
+});
+
+test('a category promotion covers products in its subcategories', async () => {
+  const parent = id();
+  const child = id();
+  Category.find = () => ({ select: () => ({ lean: async () => [{ _id: child, ancestors: [parent] }] }) });
+
+  const [covered, other] = await attachPricing([
+    { _id: id(), category_id: child, price_new: 1000 },
+    { _id: id(), price_new: 1000 }
+  ], { promotions: [promotion({ categories: [parent], discount_value: 25 })] });
+
+  assert.equal(covered.effective_price, 750);
+  assert.equal(other.effective_price, 1000);
+  assert.equal(other.promotion, null);
+});
+
+test('promotions are checked for a sane discount, date range and target', async () => {
+  const invalid = new Promotion({
+    name: 'Broken',
+    discount_type: 'percentage',
+    discount_value: 120,
+    starts_at: new Date('2030-02-01'),
+    ends_at: new Date('2030-01-01')
+  });
+
+  const error = await invalid.validate().catch(err => err);
+  assert.deepEqual(Object.keys(error.errors).sort(), ['discount_value', 'ends_at', 'products']);
+});
+
+test('price history is read back from the product revisions', async () => {
+  const createdAt = new Date('2030-01-01');
+  const changedAt = new Date('2030-02-01');
+  ProductRevision.find = () => ({
+    select: () => ({
+      sort: () => ({
+        lean: async () => [
+          { revision: 3, action: 'update', changes: [{ path: 'price_new', from: 1200, to: 1100 }], snapshot: { price_new: 1100 }, created_at: changedAt },
+          { revision: 1, action: 'create', changes: [], snapshot: { price_new: 1200 }, created_at: createdAt }
+        ]
+      })
+    })
+  });
+
+  assert.deepEqual(await priceHistory(id()), [
+    { revision: 3, price: 1100, previous_price: 1200, changed_at: changedAt },
+    { revision: 1, price: 1200, previous_price: null, changed_at: createdAt }
+  ]);
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ProductRevision from '../models/ProductRevision.js';
+import { diffSnapshots, recordProductRevision, revertProduct } from '../services/productHistory.js';
+
+let revisions;
+
+beforeEach(() => {
+  revisions = [];
+  ProductRevision.findOne = (filter) => {
+    const matches = revisions.filter(entry => String(entry.product) === String(filter.product));
+    const found = filter.revision !== undefined
+      ? matches.find(entry => entry.revision === filter.revision)
+      : matches.at(-1);
+    const result = { lean: async () => found || null };
+    return { ...result, sort: () => ({ select: () => result }) };
+  };
+  ProductRevision.create = async (data) => {
+    revisions.push(data);
+    return data;
+  };
+});
+
+// A product as loaded from the database, so its history base is set by the init hook
+const loadedProduct = (fields = {}) => Product.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  product_name: 'Teak console',
+  price_new: 24000,
+  brand: 'Woodcraft',
+  category: 'Tables',
+  dimensions: { width: 120, depth: 40 },
+  ...fields
+});
+
+test('diffs walk nested objects and report arrays whole', () => {
+  const changes = diffSnapshots(
+    { price_new: 100, dimensions: { width: 120, depth: 40 }, tags: ['teak'] },
+    { price_new: 90, dimensions: { width: 120, depth: 45 }, tags: ['teak', 'oak'], brand: 'Woodcraft' }
+  );
+
+  assert.deepEqual(changes, [
+    { path: 'price_new', from: 100, to: 90 },
+    { path: 'dimensions.depth', from: 40, to: 45 },
+    { path: 'tags', from: ['teak'], to: ['teak', 'oak'] },
+    { path: 'brand', from: null, to: 'Woodcraft' }
+  ]);
+  assert.deepEqual(diffSnapshots({ a: { b: [1] } }, { a: { b: [1] } }), []);
+});
+
+test('a save records the changed fields and who made them', async () => {
+  const product = loadedProduct();
+  const actor = new mongoose.Types.ObjectId();
+  product.price_new = 21000;
+  product.$locals.actor = actor;
+
+  const revision = await recordProductRevision(product);
+  assert.equal(revision.revision, 1);
+  assert.equal(revision.action, 'update');
+  assert.equal(revision.actor, actor);
+  assert.deepEqual(revision.changes, [{ path: 'price_new', from: 24000, to: 21000 }]);
+  assert.equal(revision.snapshot.price_new, 21000);
+
+  // Saving again without changes records nothing
+  assert.equal(await recordProductRevision(product), null);
+  assert.equal(revisions.length, 1);
+});
+
+test('trashing and restoring are recorded as their own actions', async () => {
+  const product = loadedProduct();
+  product.deleted_at = new Date();
+  assert.equal((await recordProductRevision(product)).action, 'delete');
+
+  product.deleted_at = null;
+  const restored = await recordProductRevision(product);
+  assert.equal(restored.action, 'restore');
+  assert.equal(restored.revision, 2);
+});
+
+test('reverting restores an earlier snapshot as a new revision', async () => {
+  const product = loadedProduct();
+  product.save = async () => recordProductRevision(product);
+
+  product.price_new = 21000;
+  await product.save();
+  product.price_new = 18000;
+  product.brand = 'Oak House';
+  await product.save();
+
+  await revertProduct(product, 1);
+  assert.equal(product.price_new, 21000);
+  assert.equal(product.brand, 'Woodcraft');
+
+  const revert = revisions.at(-1);
+  assert.equal(revert.action, 'revert');
+  assert.equal(revert.revision, 3);
+  assert.equal(revert.reverted_from, 1);
+});
+
+test('reverting refuses unknown and purge revisions', async () => {
+  const product = loadedProduct();
+  revisions.push({ product: product._id, revision: 1, action: 'purge', snapshot: {} });
+
+  await assert.rejects(revertProduct(product, 1), { status: 400 });
+  await assert.rejects(revertProduct(product, 7), { status: 404 });
+});
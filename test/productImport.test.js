@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import Product from '../models/Product.js';
+import { parseSpreadsheet, exportProducts } from '../services/productImport.js';
+
+const csv = (text) => Buffer.from(text, 'utf8');
+
+// Export `products` as CSV through a stubbed cursor and return the file
+const exportCsv = async (products) => {
+  const find = Product.find;
+  Product.find = () => ({
+    select: () => ({ sort: () => ({ lean: () => ({ cursor: () => products }) }) })
+  });
+  try {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await exportProducts(output, { format: 'csv' });
+    return Buffer.concat(chunks);
+  } finally {
+    Product.find = find;
+  }
+};
+
+test('CSV cells are read as the exact text in the file', async () => {
+  const rows = await parseSpreadsheet(csv('sku,product_name,description\n00123,Chair,1E5\n1E5,Lamp,2024-01-02\n'), 'csv');
+  assert.deepEqual(rows.map(row => row.values), [
+    { sku: '00123', product_name: 'Chair', description: '1E5' },
+    { sku: '1E5', product_name: 'Lamp', description: '2024-01-02' }
+  ]);
+});
+
+test('a leading-zero SKU survives an export and re-import', async () => {
+  const file = await exportCsv([{ _id: 'p1', sku: '00123', product_name: 'Chair', brand: 'Oak & Co', price_new: 100 }]);
+  const [row] = await parseSpreadsheet(file, 'csv');
+  assert.equal(row.values.sku, '00123');
+  assert.equal(row.values.brand, 'Oak & Co');
+  assert.equal(row.values.price_new, '100');
+});
+
+test('exported text that looks like a formula is neutralised, and restored on import', async () => {
+  const file = await exportCsv([{ _id: 'p1', sku: 'A1', product_name: '=HYPERLINK("x")', description: '@SUM(1)' }]);
+  const [, line] = file.toString('utf8').split('\r\n');
+  assert.match(line, /,"'=HYPERLINK\(""x""\)",/);
+  assert.match(line, /,'@SUM\(1\),/);
+
+  const [row] = await parseSpreadsheet(file, 'csv');
+  assert.equal(row.values.product_name, '=HYPERLINK("x")');
+  assert.equal(row.values.description, '@SUM(1)');
+});
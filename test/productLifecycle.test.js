@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.js';
+import {
+  STATUS_TRANSITIONS,
+  transitionProduct,
+  scheduleProduct,
+  runScheduledTransitions,
+  SCHEDULE_RETRY_MS
+} from '../services/productLifecycle.js';
+
+// A loaded product with a stubbed save
+const loadedProduct = (fields, save = async () => {}) => {
+  const product = new Product({ product_name: 'Oak chair', ...fields });
+  product.save = save;
+  return product;
+};
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+test('every status can leave for another status, and none to itself', () => {
+  Object.entries(STATUS_TRANSITIONS).forEach(([from, targets]) => {
+    assert.ok(targets.length > 0);
+    assert.ok(!targets.includes(from));
+  });
+});
+
+test('editors move products between draft and review', () => {
+  const product = loadedProduct({ status: 'draft' });
+  transitionProduct(product, 'in_review', { role: 'editor' });
+  assert.equal(product.status, 'in_review');
+  transitionProduct(product, 'draft', { role: 'editor' });
+  assert.equal(product.status, 'draft');
+});
+
+test('only admins publish, and publishing clears the schedule', () => {
+  const product = loadedProduct({ status: 'in_review', publish_at: inOneDay() });
+  assert.throws(() => transitionProduct(product, 'published', { role: 'editor' }), { status: 403 });
+  assert.equal(product.status, 'in_review');
+
+  transitionProduct(product, 'published', { role: 'admin' });
+  assert.equal(product.status, 'published');
+  assert.equal(product.publish_at, null);
+  assert.ok(product.published_at instanceof Date);
+});
+
+test('moves the workflow does not allow are refused', () => {
+  assert.throws(() => transitionProduct(loadedProduct({ status: 'published' }), 'in_review', { role: 'admin' }), { status: 409 });
+  assert.throws(() => transitionProduct(loadedProduct({ status: 'draft' }), 'draft', { role: 'admin' }), { status: 409 });
+  assert.throws(() => transitionProduct(loadedProduct({ status: 'draft' }), 'deleted', { role: 'admin' }), { status: 400 });
+});
+
+test('archiving a published product drops its unpublish time', () => {
+  const product = loadedProduct({ status: 'published', unpublish_at: inOneDay() });
+  transitionProduct(product, 'archived', { role: 'admin' });
+  assert.equal(product.unpublish_at, null);
+});
+
+test('scheduleProduct sets and clears future times', () => {
+  const product = loadedProduct({ status: 'draft' });
+  const publishAt = inOneDay();
+  scheduleProduct(product, { publish_at: publishAt.toISOString() });
+  assert.equal(product.publish_at.getTime(), publishAt.getTime());
+
+  scheduleProduct(product, { publish_at: null });
+  assert.equal(product.publish_at, null);
+});
+
+test('scheduleProduct rejects bad schedules without changing the product', () => {
+  const publishAt = inOneDay();
+  const product = loadedProduct({ status: 'draft', publish_at: publishAt });
+
+  assert.throws(() => scheduleProduct(product, { publish_at: 'next week' }), { status: 400 });
+  assert.throws(() => scheduleProduct(product, { publish_at: new Date(Date.now() - 1000) }), { status: 400 });
+  assert.throws(() => scheduleProduct(product, { unpublish_at: new Date(publishAt.getTime() - 1000) }), { status: 400 });
+  assert.equal(product.publish_at.getTime(), publishAt.getTime());
+  assert.equal(product.unpublish_at, null);
+
+  assert.throws(() => scheduleProduct(loadedProduct({ status: 'published' }), { publish_at: publishAt }), { status: 409 });
+  assert.throws(() => scheduleProduct(loadedProduct({ status: 'archived' }), { unpublish_at: publishAt }), { status: 409 });
+});
+
+test('the scheduled run publishes products that are due and archives expired ones', async () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+  const due = loadedProduct({ status: 'in_review', publish_at: new Date('2026-03-01T09:00:00Z') });
+  const expired = loadedProduct({ status: 'published', unpublish_at: new Date('2026-03-01T09:30:00Z') });
+  Product.find = (filter) => ({ limit: async () => (filter.status === 'published' ? [expired] : [due]) });
+
+  assert.deepEqual(await runScheduledTransitions(now), { published: 1, archived: 1 });
+  assert.equal(due.status, 'published');
+  assert.equal(due.publish_at, null);
+  assert.equal(expired.status, 'archived');
+  assert.equal(expired.unpublish_at, null);
+});
+
+test('a failing scheduled publish is marked and backed off instead of retried every run', async () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+  const broken = loadedProduct({ status: 'draft', publish_at: new Date('2026-03-01T09:00:00Z') }, async () => {
+    throw new Error('Validation failed');
+  });
+  const fine = loadedProduct({ status: 'draft', publish_at: new Date('2026-03-01T09:00:00Z') });
+
+  const queries = [];
+  const updates = [];
+  Product.find = (filter) => {
+    queries.push(filter);
+    return { limit: async () => (filter.status === 'published' ? [] : [broken, fine]) };
+  };
+  Product.updateOne = async (filter, update) => updates.push({ filter, update });
+
+  const result = await runScheduledTransitions(now);
+
+  assert.deepEqual(result, { published: 1, archived: 0 });
+  assert.equal(fine.status, 'published');
+  assert.equal(updates.length, 1);
+  assert.equal(String(updates[0].filter._id), String(broken._id));
+  assert.match(updates[0].update.$set.schedule_error, /Validation failed/);
+  assert.equal(updates[0].update.$set.schedule_retry_at.getTime(), now.getTime() + SCHEDULE_RETRY_MS);
+  queries.forEach(filter => {
+    assert.deepEqual(filter.$or, [{ schedule_retry_at: null }, { schedule_retry_at: { $lte: now } }]);
+  });
+});
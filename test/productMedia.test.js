@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Product, { mediaFromLegacyFields } from '../models/Product.js';
+
+const newProduct = (fields) => new Product({
+  product_name: 'Teak bench',
+  price_new: 15000,
+  brand: 'Nordic Home',
+  category: 'Seating',
+  ...fields
+});
+
+test('legacy image and video fields become gallery entries', () => {
+  assert.deepEqual(mediaFromLegacyFields({ image_url: 'a.jpg', video_url: 'b.mp4' }), [
+    { url: 'a.jpg', type: 'image', is_primary: true },
+    { url: 'b.mp4', type: 'video', is_primary: false }
+  ]);
+  assert.deepEqual(mediaFromLegacyFields({ video_url: 'b.mp4' }), [{ url: 'b.mp4', type: 'video', is_primary: true }]);
+});
+
+test('a product saved with only image_url gets a one-item gallery', async () => {
+  const product = newProduct({ image_url: 'https://cdn.test/bench.jpg' });
+  await product.validate();
+
+  assert.equal(product.media.length, 1);
+  assert.equal(product.media[0].url, 'https://cdn.test/bench.jpg');
+  assert.equal(product.media[0].is_primary, true);
+});
+
+test('exactly one entry stays primary and image_url mirrors it', async () => {
+  const product = newProduct({
+    media: [
+      { url: 'video.mp4', type: 'video' },
+      { url: 'front.jpg', type: 'image', is_primary: true },
+      { url: 'side.jpg', type: 'image', is_primary: true }
+    ]
+  });
+  await product.validate();
+
+  assert.deepEqual(product.media.map(item => item.is_primary), [false, true, false]);
+  assert.equal(product.image_url, 'front.jpg');
+  assert.equal(product.video_url, 'video.mp4');
+});
+
+test('without a marked primary the first image is chosen', async () => {
+  const product = newProduct({ media: [{ url: 'video.mp4', type: 'video' }, { url: 'side.jpg', type: 'image' }] });
+  await product.validate();
+
+  assert.equal(product.media[1].is_primary, true);
+  assert.equal(product.image_url, 'side.jpg');
+});
+
+test('writing image_url replaces the gallery entry it pointed at', async () => {
+  const product = newProduct({ media: [{ url: 'old.jpg', type: 'image' }, { url: 'detail.jpg', type: 'image' }] });
+  await product.validate();
+
+  product.applyLegacyMedia('image_url', 'new.jpg');
+  await product.validate();
+
+  assert.deepEqual(product.media.map(item => item.url), ['new.jpg', 'detail.jpg']);
+  assert.equal(product.image_url, 'new.jpg');
+});
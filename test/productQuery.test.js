@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { encodeCursor, parseProductListQuery } from '../utils/productQuery.js';
+
+const id = new mongoose.Types.ObjectId('64b000000000000000000004');
+
+test('a date cursor continues strictly after the last product, newest first by default', () => {
+  const createdAt = new Date('2030-01-02T03:04:05.000Z');
+  const cursor = encodeCursor({ _id: id, created_at: createdAt }, 'created_at');
+
+  const { cursorFilter, sort, limit } = parseProductListQuery({ cursor });
+  assert.deepEqual(sort, { created_at: -1, _id: -1 });
+  assert.equal(limit, 20);
+  assert.deepEqual(cursorFilter, {
+    $or: [
+      { created_at: { $lt: createdAt } },
+      { created_at: createdAt, _id: { $lt: id } }
+    ]
+  });
+});
+
+test('a price cursor follows the requested order', () => {
+  const cursor = encodeCursor({ _id: id, price_new: 1250 }, 'price_new');
+
+  const { cursorFilter, sort } = parseProductListQuery({ cursor, sort: 'price_new' });
+  assert.deepEqual(sort, { price_new: 1, _id: 1 });
+  assert.deepEqual(cursorFilter.$or, [
+    { price_new: { $gt: 1250 } },
+    { price_new: 1250, _id: { $gt: id } }
+  ]);
+});
+
+test('a rating cursor reads the nested sort path, best rated first by default', () => {
+  const cursor = encodeCursor({ _id: id, rating: { average: 4.5 } }, 'rating');
+
+  const { cursorFilter, sort } = parseProductListQuery({ cursor, sort: 'rating' });
+  assert.deepEqual(sort, { 'rating.average': -1, _id: -1 });
+  assert.deepEqual(cursorFilter.$or, [
+    { 'rating.average': { $lt: 4.5 } },
+    { 'rating.average': 4.5, _id: { $lt: id } }
+  ]);
+});
+
+test('a cursor is refused when tampered with or used with another sort', () => {
+  const nameCursor = encodeCursor({ _id: id, product_name: 'Oak chair' }, 'product_name');
+
+  assert.deepEqual(parseProductListQuery({ cursor: nameCursor, sort: 'price_new' }).errors, ['cursor is invalid']);
+  assert.deepEqual(parseProductListQuery({ cursor: 'not-a-cursor' }).errors, ['cursor is invalid']);
+  const badId = Buffer.from(JSON.stringify({ v: 'Oak chair', id: 'nope' })).toString('base64url');
+  assert.deepEqual(parseProductListQuery({ cursor: badId, sort: 'product_name' }).errors, ['cursor is invalid']);
+});
+
+test('filters are built from query parameters', () => {
+  const { filter } = parseProductListQuery({ category: ' Sofas ', brand: 'Nordic', minPrice: '100', maxPrice: '500' });
+
+  assert.deepEqual(filter, { category: 'Sofas', brand: 'Nordic', price_new: { $gte: 100, $lte: 500 }, status: 'published' });
+});
+
+test('variant filters must hold for the same variant', () => {
+  const { filter } = parseProductListQuery({ sku: 'ab-1', 'attr.Seat Height': '45', 'attr.color': 'Walnut, Oak' });
+
+  assert.deepEqual(filter.variants, {
+    $elemMatch: { sku: 'AB-1', 'attributes.seat_height': '45', 'attributes.color': { $in: ['Walnut', 'Oak'] } }
+  });
+  assert.deepEqual(parseProductListQuery({ 'attr.a.b': 'x' }).errors, ['attr.a.b is not a valid attribute filter']);
+});
+
+test('minRating keeps products rated at least that high', () => {
+  assert.deepEqual(parseProductListQuery({ minRating: '4' }).filter['rating.average'], { $gte: 4 });
+  assert.deepEqual(parseProductListQuery({ minRating: '6' }).errors, ['minRating must be a number between 0 and 5']);
+});
+
+test('colour filters accept family names and hex values, mapped to their family', () => {
+  const { filter } = parseProductListQuery({ color: 'Blue,1f4e9c,beige' });
+  assert.deepEqual(filter.colors, { $in: ['blue', 'beige'] });
+  assert.ok(parseProductListQuery({ color: 'plaid' }).errors);
+});
+
+test('listings are limited to published products unless a status is asked for', () => {
+  assert.equal(parseProductListQuery({}).filter.status, 'published');
+  assert.deepEqual(parseProductListQuery({ status: 'draft, in_review' }).filter.status, { $in: ['draft', 'in_review'] });
+  assert.equal(parseProductListQuery({ status: 'all' }).filter.status, undefined);
+  assert.ok(parseProductListQuery({ status: 'hidden' }).errors[0].startsWith('status must be "all" or one of'));
+});
+
+test('every invalid parameter is reported', () => {
+  const { errors } = parseProductListQuery({ minPrice: '9', maxPrice: '1', sort: 'colour', limit: '500', brand: '' });
+  assert.ok(errors.includes('minPrice cannot be greater than maxPrice'));
+  assert.ok(errors.includes('brand must be a non-empty string'));
+  assert.ok(errors.some(error => error.startsWith('sort must be one of')));
+  assert.ok(errors.some(error => error.startsWith('limit must be an integer')));
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeRegex, tokenizeQuery, buildHighlights } from '../utils/productSearch.js';
+
+test('escapeRegex makes user input match literally', () => {
+  const pattern = new RegExp(`^${escapeRegex('3.5" (oak) [x2]+?')}$`);
+  assert.ok(pattern.test('3.5" (oak) [x2]+?'));
+  assert.ok(!pattern.test('3a5" (oak) [x2]'));
+});
+
+test('tokenizeQuery lowercases terms and drops quotes, negations and punctuation', () => {
+  assert.deepEqual(tokenizeQuery('"Velvet Sofa" -leather walnut, Oak!'), ['velvet', 'sofa', 'walnut', 'oak']);
+  assert.deepEqual(tokenizeQuery('-cheap ...'), []);
+});
+
+test('buildHighlights marks word-prefix matches in every searchable field', () => {
+  const product = {
+    product_name: 'Velvet sofas',
+    brand: 'Nordic Home',
+    category: 'Living room',
+    description: 'A deep sofa in velvet'
+  };
+
+  assert.deepEqual(buildHighlights(product, ['sofa']), {
+    product_name: 'Velvet <mark>sofas</mark>',
+    description: 'A deep <mark>sofa</mark> in velvet'
+  });
+  assert.deepEqual(buildHighlights(product, []), {});
+});
+
+test('buildHighlights escapes HTML and trims long text around the first hit', () => {
+  const description = `${'x'.repeat(100)} <b>teak</b> table ${'y'.repeat(100)}`;
+  const { description: snippet } = buildHighlights({ description }, ['teak']);
+
+  assert.ok(snippet.startsWith('…'));
+  assert.ok(snippet.endsWith('…'));
+  assert.ok(snippet.includes('&lt;b&gt;<mark>teak</mark>&lt;/b&gt;'));
+});
+
+test('terms that only appear inside a word are not highlighted', () => {
+  assert.deepEqual(buildHighlights({ product_name: 'Armchair' }, ['chair']), {});
+});
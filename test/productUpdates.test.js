@@ -0,0 +1,103 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import productRoutes from '../routes/productRoutes.js';
+import { startApp } from './support/http.js';
+
+let app;
+let stored;
+let saves;
+
+before(async () => {
+  app = await startApp(productRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  saves = 0;
+  stored = Product.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    product_name: 'Linen sofa',
+    price_new: 52000,
+    brand: 'Loom',
+    category: 'Sofas',
+    description: 'Three seater in natural linen',
+    sku: 'LS-3',
+    __v: 4
+  });
+  // Saving bumps the version the way optimistic concurrency does
+  stored.save = async () => {
+    saves += 1;
+    stored.__v += 1;
+    return stored;
+  };
+  Product.findById = async () => stored;
+});
+
+const etag = (version) => `"${stored._id}-${version}"`;
+
+test('a write with a stale If-Match is refused with 412', async () => {
+  const { status, body } = await app.request(`/products/${stored._id}`, {
+    method: 'PATCH',
+    as: 'editor',
+    headers: { 'If-Match': etag(3) },
+    body: { price_new: 48000 }
+  });
+
+  assert.equal(status, 412);
+  assert.equal(body.success, false);
+  assert.equal(saves, 0);
+  assert.equal(stored.price_new, 52000);
+});
+
+test('a current If-Match is accepted and the new ETag returned', async () => {
+  const { status, headers } = await app.request(`/products/${stored._id}`, {
+    method: 'PATCH',
+    as: 'editor',
+    headers: { 'If-Match': `W/${etag(4)}` },
+    body: { price_new: 48000 }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('etag'), etag(5));
+});
+
+test('a body __v behind the stored version is a 409', async () => {
+  const { status } = await app.request(`/products/${stored._id}`, {
+    method: 'PATCH',
+    as: 'editor',
+    body: { price_new: 48000, __v: 2 }
+  });
+
+  assert.equal(status, 409);
+  assert.equal(saves, 0);
+});
+
+test('a strict PUT without every required field is rejected', async () => {
+  const { status, body } = await app.request(`/products/${stored._id}`, {
+    method: 'PUT',
+    as: 'editor',
+    body: { product_name: 'Linen sofa', price_new: 48000 }
+  });
+
+  assert.equal(status, 400);
+  assert.match(body.error, /missing required fields: brand, category/);
+  assert.equal(saves, 0);
+});
+
+test('a PATCH leaves the fields it did not send unchanged', async () => {
+  const { status, body } = await app.request(`/products/${stored._id}`, {
+    method: 'PATCH',
+    as: 'editor',
+    body: { price_new: 48000 }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.price_new, 48000);
+  assert.equal(body.data.description, 'Three seater in natural linen');
+  assert.equal(body.data.sku, 'LS-3');
+  assert.equal(body.data.brand, 'Loom');
+  assert.equal(body.data.category, 'Sofas');
+});
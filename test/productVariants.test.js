@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Product, { normalizeAttributeKey, isValidAttributeKey } from '../models/Product.js';
+
+const newProduct = (variants) => new Product({
+  product_name: 'Lounge chair',
+  price_new: 22000,
+  brand: 'Nordic Home',
+  category: 'Seating',
+  variants
+});
+
+test('attribute keys are stored in snake case', () => {
+  assert.equal(normalizeAttributeKey(' Seat Height '), 'seat_height');
+  assert.equal(normalizeAttributeKey('leg-finish'), 'leg_finish');
+  assert.ok(isValidAttributeKey('seat_height'));
+  assert.ok(!isValidAttributeKey('seat.height'));
+  assert.ok(!isValidAttributeKey(''));
+});
+
+test('variant SKUs are upper-cased and must be unique within a product', async () => {
+  const product = newProduct([
+    { sku: 'lc-oak', price_new: 22000, attributes: { color: 'Oak' } },
+    { sku: 'LC-OAK ', price_new: 24000, attributes: { color: 'Walnut' } }
+  ]);
+
+  assert.equal(product.variants[0].sku, 'LC-OAK');
+  await assert.rejects(product.validate(), error => /Variant SKUs must be unique/.test(error.errors.variants.message));
+});
+
+test('distinct variants with a price validate', async () => {
+  const product = newProduct([
+    { sku: 'LC-OAK', price_new: 22000, attributes: { color: 'Oak' }, dimensions: { width: 80 } },
+    { sku: 'LC-WAL', price_new: 24000, attributes: { color: 'Walnut' } }
+  ]);
+  await product.validate();
+  assert.equal(product.variants[1].attributes.get('color'), 'Walnut');
+  assert.equal(product.variants[0].dimensions.unit, 'cm');
+
+  const unpriced = newProduct([{ sku: 'LC-ASH' }]);
+  await assert.rejects(unpriced.validate(), { name: 'ValidationError' });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Project, { coverUrl } from '../models/Project.js';
+import Product from '../models/Product.js';
+import { applyProjectChanges, parseProjectFilter, toProjectCard } from '../services/projects.js';
+
+const newProject = () => new Project({
+  title: 'Sea-facing apartment',
+  slug: 'sea-facing-apartment',
+  media: [
+    { url: 'https://cdn.example.com/before.jpg', phase: 'before', room: 'Living_Room' },
+    { url: 'https://cdn.example.com/after.jpg', phase: 'after', room: 'living_room' }
+  ]
+});
+
+test('the cover is the first "after" image, falling back to any image', () => {
+  assert.equal(coverUrl(newProject()), 'https://cdn.example.com/after.jpg');
+  assert.equal(coverUrl({ media: [{ type: 'video', url: 'v.mp4' }, { type: 'image', phase: 'before', url: 'b.jpg' }] }), 'b.jpg');
+  assert.equal(coverUrl({ media: [] }), '');
+
+  const card = toProjectCard({ title: 'Loft', media: [{ type: 'image', phase: 'after', url: 'a.jpg' }] });
+  assert.deepEqual(card, { title: 'Loft', cover_url: 'a.jpg', media_count: 1 });
+});
+
+test('changes return the media dropped from the gallery and collect rooms from media', async () => {
+  const project = newProject();
+  const known = new mongoose.Types.ObjectId();
+  Product.find = () => ({ select: () => ({ lean: async () => [{ _id: known }] }) });
+
+  const dropped = await applyProjectChanges(project, {
+    media: [{ url: 'https://cdn.example.com/after.jpg', phase: 'after', room: 'kitchen' }],
+    products: [String(known), String(new mongoose.Types.ObjectId())]
+  });
+
+  assert.deepEqual(dropped.map(item => item.url), ['https://cdn.example.com/before.jpg']);
+  assert.deepEqual(project.rooms, ['kitchen']);
+  assert.deepEqual(project.products.map(String), [String(known)]);
+});
+
+test('a slug is derived from the title unless one is given', async () => {
+  const project = new Project({ title: 'Villa in Goa' });
+  await applyProjectChanges(project, {});
+  assert.equal(project.slug, 'villa-in-goa');
+
+  await applyProjectChanges(project, { slug: 'Goa Villa 2' });
+  assert.equal(project.slug, 'goa-villa-2');
+});
+
+test('listing filters match any of the listed styles and rooms', () => {
+  const filter = parseProjectFilter({ style: 'Modern, Boho', room: 'kitchen', city: 'Navi Mumbai' });
+
+  assert.deepEqual(filter.style_tags, { $in: ['modern', 'boho'] });
+  assert.deepEqual(filter.rooms, { $in: ['kitchen'] });
+  assert.ok(filter['location.city'].test('navi mumbai'));
+  assert.ok(!filter['location.city'].test('Mumbai'));
+  assert.throws(() => parseProjectFilter({ product: 'nope' }), { status: 400 });
+});
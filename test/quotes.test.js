@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Quote from '../models/Quote.js';
+import Product from '../models/Product.js';
+import Counter from '../models/Counter.js';
+import Promotion from '../models/Promotion.js';
+import { nextQuoteNumber, snapshotRooms, reviseQuote, changeQuoteStatus } from '../services/quotes.js';
+
+const newQuote = (fields = {}) => new Quote({
+  quote_number: 'Q-2030-0001',
+  client: { name: 'Asha Rao', email: 'ASHA@example.com' },
+  ...fields
+});
+
+test('totals are computed per line, per room and for the quote', async () => {
+  const quote = newQuote({
+    rooms: [{
+      name: 'Living',
+      items: [
+        { product_name: 'Sofa', quantity: 2, unit_price: 25000, discount: { type: 'percent', value: 10 }, installation_charge: 1500, tax_rate: 18 },
+        // An amount discount never takes a line below zero
+        { product_name: 'Cushion', quantity: 1, unit_price: 999.99, discount: { type: 'amount', value: 2000 }, tax_rate: 12 }
+      ]
+    }],
+    labour: [{ description: 'Carpentry', amount: 10000, tax_rate: 18 }]
+  });
+  await quote.validate();
+
+  const [sofa, cushion] = quote.rooms[0].items;
+  assert.deepEqual([sofa.subtotal, sofa.discount_amount, sofa.tax_amount, sofa.total], [50000, 5000, 8370, 54870]);
+  assert.deepEqual([cushion.discount_amount, cushion.total], [999.99, 0]);
+  assert.equal(quote.rooms[0].total, 54870);
+  assert.deepEqual(quote.totals.toObject(), {
+    subtotal: 50999.99,
+    discount_total: 5999.99,
+    installation_total: 1500,
+    labour_total: 10000,
+    tax_total: 10170,
+    grand_total: 66670
+  });
+});
+
+test('quote numbers are sequential per year', async () => {
+  Counter.next = async (name) => {
+    assert.equal(name, `quote-${new Date().getFullYear()}`);
+    return 42;
+  };
+  assert.equal(await nextQuoteNumber(), `Q-${new Date().getFullYear()}-0042`);
+});
+
+// No promotions running, so catalog prices are the list prices
+Promotion.find = () => ({ lean: async () => [] });
+
+test('product lines snapshot the catalog name, SKU and price', async () => {
+  const variantId = new mongoose.Types.ObjectId();
+  const product = {
+    _id: new mongoose.Types.ObjectId(),
+    product_name: 'Dining table',
+    price_new: 40000,
+    variants: [{ _id: variantId, sku: 'DT-OAK', price_new: 45000 }]
+  };
+  Product.find = () => ({ select: () => ({ lean: async () => [product] }) });
+
+  const [room] = await snapshotRooms([{
+    name: 'Dining',
+    items: [
+      { product: product._id, quantity: 1 },
+      { product: product._id, variant: variantId, quantity: 1 },
+      { product: product._id, quantity: 1, unit_price: '38000' },
+      { product_name: 'Custom shelf', quantity: 1, unit_price: 5000 }
+    ]
+  }]);
+
+  assert.deepEqual(room.items.map(item => [item.product_name, item.sku || '', item.unit_price]), [
+    ['Dining table', '', 40000],
+    ['Dining table', 'DT-OAK', 45000],
+    ['Dining table', '', 38000],
+    ['Custom shelf', '', 5000]
+  ]);
+
+  await assert.rejects(snapshotRooms([{ name: 'Dining', items: [{ product: new mongoose.Types.ObjectId(), quantity: 1 }] }]), { status: 400 });
+  await assert.rejects(snapshotRooms('Dining'), { status: 400 });
+});
+
+test('a quote is sent before it can be accepted, and accepted quotes are final', () => {
+  const quote = newQuote();
+  assert.throws(() => changeQuoteStatus(quote, 'accepted'), { status: 409 });
+
+  changeQuoteStatus(quote, 'sent');
+  changeQuoteStatus(quote, 'accepted');
+  assert.deepEqual(quote.status_history.map(entry => entry.status), ['sent', 'accepted']);
+  assert.throws(() => changeQuoteStatus(quote, 'rejected'), { status: 409 });
+});
+
+test('a sent quote only goes back to draft through a revision', () => {
+  const quote = newQuote({ status: 'sent' });
+  assert.throws(() => changeQuoteStatus(quote, 'draft'), error => error.status === 409 && /create a revision instead/.test(error.message));
+  assert.equal(quote.status, 'sent');
+});
+
+test('a revision freezes the current version and reopens the quote as a draft', async () => {
+  const quote = newQuote({ status: 'sent', notes: 'First draft' });
+  await quote.validate();
+
+  await reviseQuote(quote, { notes: 'Walnut instead of oak' });
+  assert.equal(quote.version, 2);
+  assert.equal(quote.status, 'draft');
+  assert.equal(quote.notes, 'Walnut instead of oak');
+  assert.deepEqual(quote.revisions.map(revision => [revision.version, revision.status, revision.notes]), [[1, 'sent', 'First draft']]);
+
+  quote.status = 'accepted';
+  await assert.rejects(reviseQuote(quote, {}), { status: 409 });
+});
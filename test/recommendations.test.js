@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import PairingRule from '../models/PairingRule.js';
+import { createCache } from '../utils/cache.js';
+import { catalogEvents } from '../services/catalogEvents.js';
+import { relatedProducts, completeTheRoom, invalidateRecommendations } from '../services/recommendations.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+let pipelines;
+
+beforeEach(() => {
+  invalidateRecommendations();
+  pipelines = [];
+  Product.aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    return [{ _id: id(), product_name: 'Oak side table', _score: 6, _signals: { category: true, brand: true, price_band: false, shared_tags: [] } }];
+  };
+});
+
+const product = { _id: id(), product_name: 'Oak bed', brand: 'Oakly', category_id: id(), price_new: 30000, tags: ['oak'] };
+
+test('the cache expires entries and evicts the least recently used', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = createCache({ ttlMs: 1000, max: 2 });
+
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+  assert.deepEqual([cache.get('a'), cache.get('b'), cache.get('c')], [1, undefined, 3]);
+
+  t.mock.timers.tick(1001);
+  assert.equal(cache.get('a'), undefined);
+});
+
+test('related products carry their score and the signals that matched', async () => {
+  const [related] = await relatedProducts(product);
+
+  assert.deepEqual(related.relevance, { score: 6, category: true, brand: true, price_band: false, shared_tags: [] });
+  assert.equal(related._score, undefined);
+  const { $match } = pipelines[0][0];
+  assert.deepEqual($match._id, { $ne: product._id });
+  assert.equal($match.deleted_at, null);
+  assert.deepEqual($match.$or[2], { tags: { $in: ['oak'] } });
+});
+
+test('results are cached until the catalog changes', async () => {
+  await Promise.all([relatedProducts(product), relatedProducts(product)]);
+  await relatedProducts(product);
+  assert.equal(pipelines.length, 1);
+
+  catalogEvents.emit('product:changed', { id: null });
+  await relatedProducts(product);
+  assert.equal(pipelines.length, 2);
+});
+
+test('a product write through a query announces the change', async () => {
+  const changed = [];
+  const listener = (event) => changed.push(event.id);
+  catalogEvents.on('product:changed', listener);
+  Product.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  Product.collection.updateMany = Product.collection.updateOne;
+
+  await Product.updateOne({ _id: product._id }, { $set: { price_new: 1 } });
+  await Product.updateMany({ _id: { $in: [product._id] } }, { $set: { price_new: 1 } });
+  catalogEvents.off('product:changed', listener);
+
+  assert.deepEqual(changed, [String(product._id), null]);
+});
+
+test('complete the room uses the nearest pairing rule up the category tree', async () => {
+  const parent = id();
+  const lamps = { _id: id(), name: 'Lamps' };
+  Category.findById = () => ({ select: () => ({ lean: async () => ({ _id: product.category_id, ancestors: [parent] }) }) });
+  Category.find = () => ({ select: () => ({ lean: async () => [] }) });
+  PairingRule.find = () => ({
+    populate: () => ({
+      populate: () => ({
+        lean: async () => [
+          { _id: id(), category: { _id: parent }, complements: [{ category: lamps, limit: 4 }, { category: null, limit: 4 }] }
+        ]
+      })
+    })
+  });
+
+  const { rule, groups } = await completeTheRoom(product);
+  assert.equal(String(rule.category._id), String(parent));
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].label, 'Lamps');
+  assert.deepEqual(pipelines[0][0].$match.category_id, { $in: [lamps._id] });
+});
@@ -0,0 +1,228 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import ReviewPhoto from '../models/ReviewPhoto.js';
+import Product from '../models/Product.js';
+import DirectUpload from '../models/DirectUpload.js';
+import { getStorage } from '../storage/index.js';
+import { moderateReview, rebuildRatings, deleteReview } from '../services/reviews.js';
+import reviewRoutes from '../routes/reviewRoutes.js';
+import { startApp } from './support/http.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+let app;
+let review;
+let ratingUpdates;
+let photos;
+let savedReviews;
+let removed;
+
+before(async () => {
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_UPLOADS_DIR = path.join(os.tmpdir(), 'interior-test-uploads');
+  process.env.LOCAL_UPLOADS_BASE_URL = 'http://media.test';
+  app = await startApp(reviewRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  ratingUpdates = [];
+  review = { _id: id(), product: id(), rating: 4, status: 'pending' };
+
+  Review.findById = async () => ({ ...review });
+  // The conditional update only applies while the review is still in the status it was read in
+  Review.findOneAndUpdate = async (filter, { $set }) => {
+    if (filter.status !== review.status) return null;
+    review = { ...review, ...$set };
+    return { ...review };
+  };
+  Product.updateOne = async (filter, pipeline) => {
+    ratingUpdates.push(pipeline[0].$set['rating.count'].$add[1]);
+  };
+
+  // Photos recorded by /upload/review-photo, claimed by the review that uses them
+  photos = [
+    { public_id: 'review-1.jpg', url: 'http://media.test/uploads/review-1.jpg', resource_type: 'image', review: null },
+    { public_id: 'review-2.jpg', url: 'http://media.test/uploads/review-2.jpg', resource_type: 'image', review: null }
+  ];
+  ReviewPhoto.updateMany = async (filter, { $set }) => {
+    const matching = photos.filter(photo => (filter.public_id
+      ? filter.public_id.$in.includes(photo.public_id) && photo.review === null
+      : String(photo.review) === String(filter.review)));
+    matching.forEach(photo => { photo.review = $set.review; });
+    return { modifiedCount: matching.length };
+  };
+  ReviewPhoto.find = (filter) => ({
+    lean: async () => photos.filter(photo => String(photo.review) === String(filter.review))
+  });
+  ReviewPhoto.deleteMany = async (filter) => {
+    photos = photos.filter(photo => String(photo.review) !== String(filter.review));
+  };
+  DirectUpload.findOne = () => ({ select: () => ({ lean: async () => null }) });
+
+  savedReviews = [];
+  Review.prototype.save = async function () {
+    savedReviews.push(this);
+    return this;
+  };
+
+  removed = [];
+  getStorage().remove = async (publicId) => {
+    removed.push(publicId);
+    return { result: 'ok' };
+  };
+});
+
+const publishedProduct = () => {
+  const product = Product.hydrate({ _id: id(), product_name: 'Oak bed', price_new: 30000, brand: 'Oakly', category: 'Beds', status: 'published' });
+  Product.findById = async () => product;
+  return product;
+};
+
+const submitReview = (product, reviewPhotos) => app.request(`/products/${product._id}/reviews`, {
+  method: 'POST',
+  body: { rating: 5, author_name: 'Kiran', body: 'Sturdy and beautiful', photos: reviewPhotos }
+});
+
+test('approving counts the rating once; rejecting an approved review takes it back', async () => {
+  await moderateReview(review._id, 'approved', { actor: id() });
+  assert.deepEqual(ratingUpdates, [1]);
+  await assert.rejects(moderateReview(review._id, 'approved'), { status: 409 });
+
+  const rejected = await moderateReview(review._id, 'rejected', { reason: 'Off topic' });
+  assert.equal(rejected.rejection_reason, 'Off topic');
+  assert.deepEqual(ratingUpdates, [1, -1]);
+});
+
+test('rejecting a pending review leaves the rating alone', async () => {
+  await moderateReview(review._id, 'rejected');
+  assert.deepEqual(ratingUpdates, []);
+});
+
+test('a moderator who loses the race gets a 409 and nothing is counted', async () => {
+  Review.findOneAndUpdate = async () => null;
+
+  await assert.rejects(moderateReview(review._id, 'approved'), { status: 409 });
+  assert.deepEqual(ratingUpdates, []);
+});
+
+test('moderation routes are for staff only', async () => {
+  assert.equal((await app.request(`/reviews/${review._id}/approve`, { method: 'POST', as: 'viewer' })).status, 403);
+  assert.equal((await app.request(`/reviews/${review._id}/approve`, { method: 'POST' })).status, 401);
+
+  const { status, body } = await app.request(`/reviews/${review._id}/approve`, { method: 'POST', as: 'editor' });
+  assert.equal(status, 200);
+  assert.equal(body.data.status, 'approved');
+});
+
+test('rebuilding ratings recomputes each product from its approved reviews', async () => {
+  const product = id();
+  const writes = [];
+  Review.aggregate = async () => [
+    { _id: { product, rating: 5 }, count: 2 },
+    { _id: { product, rating: 2 }, count: 1 }
+  ];
+  Product.updateMany = async () => {};
+  Product.updateOne = async (filter, update) => writes.push(update.$set.rating);
+
+  assert.equal(await rebuildRatings(), 1);
+  assert.deepEqual(writes, [{ average: 4, count: 3, sum: 12, distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 2 } }]);
+});
+
+test('public reviews can be filtered by stars and sorted by rating', async () => {
+  const product = Product.hydrate({ _id: id(), product_name: 'Oak bed', price_new: 30000, brand: 'Oakly', category: 'Beds', status: 'published' });
+  let query;
+  Product.findById = async () => product;
+  Review.find = (filter) => {
+    query = { filter };
+    const chain = {
+      select: () => chain,
+      sort: (sort) => { query.sort = sort; return chain; },
+      skip: () => chain,
+      limit: () => chain,
+      lean: async () => []
+    };
+    return chain;
+  };
+
+  const { status } = await app.request(`/products/${product._id}/reviews?rating=5&sort=lowest`);
+  assert.equal(status, 200);
+  assert.deepEqual(query.filter, { product: product._id, status: 'approved', rating: 5 });
+  assert.deepEqual(query.sort, { rating: 1, created_at: -1 });
+
+  assert.equal((await app.request(`/products/${product._id}/reviews?rating=6`)).status, 400);
+  assert.equal((await app.request(`/products/${product._id}/reviews?sort=random`)).status, 400);
+});
+
+test('a review can only use photos uploaded for reviews', async () => {
+  const product = publishedProduct();
+
+  // A product gallery image is in storage too, but was never uploaded as a review photo
+  const gallery = await submitReview(product, ['http://media.test/uploads/gallery-sofa.jpg']);
+  assert.equal(gallery.status, 400);
+  assert.equal(savedReviews.length, 0);
+
+  const accepted = await submitReview(product, ['http://media.test/uploads/review-1.jpg']);
+  assert.equal(accepted.status, 201);
+  assert.equal(String(photos[0].review), String(savedReviews[0]._id));
+
+  // A photo belongs to the first review that used it
+  const reused = await submitReview(product, ['http://media.test/uploads/review-1.jpg', 'http://media.test/uploads/review-2.jpg']);
+  assert.equal(reused.status, 400);
+  assert.equal(savedReviews.length, 1);
+  assert.equal(photos[1].review, null);
+});
+
+test('review photos from an unconfirmed direct upload are refused', async () => {
+  const product = publishedProduct();
+  DirectUpload.findOne = () => ({ select: () => ({ lean: async () => ({ public_id: 'review-1.jpg', status: 'pending' }) }) });
+
+  assert.equal((await submitReview(product, ['http://media.test/uploads/review-1.jpg'])).status, 409);
+  assert.equal(photos[0].review, null);
+});
+
+test('deleting a review deletes only the photos it owns', async () => {
+  const owner = { _id: id(), product: id(), rating: 2, status: 'pending' };
+  photos[0].review = owner._id;
+  photos[1].review = id();
+  Review.findOneAndDelete = async () => ({
+    ...owner,
+    // Whatever URLs the review lists, only its recorded photos are deleted
+    photos: [
+      { url: 'http://media.test/uploads/review-1.jpg' },
+      { url: 'http://media.test/uploads/review-2.jpg' },
+      { url: 'http://media.test/uploads/gallery-sofa.jpg' }
+    ]
+  });
+
+  await deleteReview(owner);
+  assert.deepEqual(removed, ['review-1.jpg']);
+  assert.deepEqual(photos.map(photo => photo.public_id), ['review-2.jpg']);
+});
+
+test('uploading a review photo records it for a later review', async () => {
+  const recorded = [];
+  ReviewPhoto.create = async (data) => recorded.push(data);
+  // The upload routes pick up the storage adapter when they load
+  const { default: uploadRoutes } = await import('../routes/uploadRoutes.js');
+  const uploads = await startApp(uploadRoutes);
+
+  try {
+    const form = new FormData();
+    form.append('file', new Blob([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])], { type: 'image/jpeg' }), 'bedroom.jpg');
+    const response = await fetch(uploads.url('/upload/review-photo'), { method: 'POST', body: form });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(recorded, [{ public_id: body.publicId, url: body.filePath, resource_type: 'image', ip: recorded[0].ip }]);
+    fs.rmSync(path.join(process.env.LOCAL_UPLOADS_DIR, body.publicId), { force: true });
+  } finally {
+    await uploads.close();
+  }
+});
@@ -0,0 +1,53 @@
+// Route test helpers: serve the routers under test on a free port and call them as a given role
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import { signAccessToken } from '../../middleware/auth.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// One active account per role; the auth middleware loads them through User.findById
+const accounts = new Map();
+const accountFor = (role) => {
+  if (!accounts.has(role)) {
+    accounts.set(role, { _id: new mongoose.Types.ObjectId(), role, active: true, token_version: 0 });
+  }
+  return accounts.get(role);
+};
+
+User.findById = (id) => {
+  const account = [...accounts.values()].find(entry => String(entry._id) === String(id)) || null;
+  return { select: () => ({ lean: async () => account }) };
+};
+
+/**
+ * Start an app with the routers mounted under /api. Returns { request, url, close }; request(path,
+ * { method, body, as, headers }) resolves to { status, headers, body } with the JSON body parsed,
+ * url(path) is the full address for requests request() cannot make (multipart uploads).
+ */
+export const startApp = async (...routers) => {
+  const app = express();
+  app.use(express.json());
+  routers.forEach(router => app.use('/api', router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (path, { method = 'GET', body, as, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(as ? { Authorization: `Bearer ${signAccessToken(accountFor(as))}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  return { request, url: (path) => base + path, close: () => new Promise(resolve => server.close(resolve)) };
+};
@@ -0,0 +1,184 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockLevel from '../models/StockLevel.js';
+import ProductRevision from '../models/ProductRevision.js';
+import Project from '../models/Project.js';
+import MoodBoard from '../models/MoodBoard.js';
+import Category from '../models/Category.js';
+import Designer from '../models/Designer.js';
+import { getStorage } from '../storage/index.js';
+import { purgeExpiredTrash } from '../services/trash.js';
+import productTrashRoutes from '../routes/productTrashRoutes.js';
+import { startApp } from './support/http.js';
+
+let app;
+let removed;
+let deletedProducts;
+let trash;
+let references;
+
+before(async () => {
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_UPLOADS_DIR = path.join(os.tmpdir(), 'interior-test-uploads');
+  process.env.LOCAL_UPLOADS_BASE_URL = 'http://media.test';
+  app = await startApp(productTrashRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  removed = [];
+  deletedProducts = [];
+  trash = [];
+
+  getStorage().remove = async (publicId) => {
+    removed.push(publicId);
+    return { result: 'ok' };
+  };
+  StockLevel.deleteMany = async () => ({ deletedCount: 0 });
+  ProductRevision.findOne = () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) });
+  ProductRevision.create = async (data) => data;
+  Product.deleteOne = async ({ _id }) => deletedProducts.push(String(_id));
+  // Documents other than the purged product that point at media, by model
+  references = { Product: [], Project: [], MoodBoard: [], Category: [], Designer: [] };
+  const lookup = (name) => () => {
+    const query = { setOptions: () => query, select: () => query, lean: async () => references[name] };
+    return query;
+  };
+  Product.find = lookup('Product');
+  Project.find = lookup('Project');
+  MoodBoard.find = lookup('MoodBoard');
+  Category.find = lookup('Category');
+  Designer.find = lookup('Designer');
+
+  Product.findOne = async ({ _id, deleted_at }) => (
+    trash.find(product => String(product._id) === String(_id) && deleted_at && product.deleted_at) || null
+  );
+});
+
+// A product document whose saves only record that they happened
+const productDoc = (fields = {}) => {
+  const product = new Product({
+    product_name: 'Rattan chair',
+    price_new: 9000,
+    brand: 'Cane & Co',
+    category: 'Seating',
+    ...fields
+  });
+  product.saves = 0;
+  product.save = async () => {
+    product.saves += 1;
+    return product;
+  };
+  return product;
+};
+
+test('trashed products are hidden from reads unless asked for', async () => {
+  const filters = [];
+  Product.collection.find = async (filter) => {
+    filters.push(filter);
+    return { toArray: async () => [] };
+  };
+  Product.collection.countDocuments = async (filter) => {
+    filters.push(filter);
+    return 0;
+  };
+
+  await mongoose.Model.find.call(Product, { brand: 'Cane & Co' });
+  await mongoose.Model.countDocuments.call(Product, {});
+  await mongoose.Model.find.call(Product, { deleted_at: { $ne: null } });
+  await mongoose.Model.find.call(Product, {}).setOptions({ withDeleted: true });
+
+  assert.deepEqual(filters, [
+    { brand: 'Cane & Co', deleted_at: null },
+    { deleted_at: null },
+    { deleted_at: { $ne: null } },
+    {}
+  ]);
+});
+
+test('restoring takes a product out of the trash', async () => {
+  const product = productDoc({ deleted_at: new Date(), deleted_by: new mongoose.Types.ObjectId() });
+  trash.push(product);
+
+  const { status, body } = await app.request(`/products/${product._id}/restore`, { method: 'POST', as: 'editor' });
+  assert.equal(status, 200);
+  assert.equal(body.data.deleted_at, null);
+  assert.equal(product.saves, 1);
+  assert.equal(product.deleted_by, null);
+});
+
+test('only trashed products can be restored or purged', async () => {
+  const live = productDoc();
+  trash.push(live);
+
+  assert.equal((await app.request(`/products/${live._id}/restore`, { method: 'POST', as: 'editor' })).status, 404);
+  assert.equal((await app.request(`/products/${live._id}/purge`, { method: 'DELETE', as: 'admin' })).status, 404);
+  assert.equal((await app.request('/products/not-an-id/restore', { method: 'POST', as: 'editor' })).status, 400);
+});
+
+test('purging deletes the product, its stock and its stored media; admins only', async () => {
+  const product = productDoc({
+    deleted_at: new Date(),
+    media: [{ url: 'http://media.test/uploads/front.jpg' }, { url: 'https://example.com/remote.jpg' }],
+    variants: [{ sku: 'RC-1', price_new: 9000, media: [{ url: 'http://media.test/uploads/variant.jpg' }] }]
+  });
+  trash.push(product);
+
+  assert.equal((await app.request(`/products/${product._id}/purge`, { method: 'DELETE', as: 'editor' })).status, 403);
+  assert.deepEqual(deletedProducts, []);
+
+  const { status } = await app.request(`/products/${product._id}/purge`, { method: 'DELETE', as: 'admin' });
+  assert.equal(status, 200);
+  assert.deepEqual(deletedProducts, [String(product._id)]);
+  assert.deepEqual(removed.sort(), ['front.jpg', 'variant.jpg']);
+});
+
+test('purging keeps media still used elsewhere', async () => {
+  const product = productDoc({
+    deleted_at: new Date(),
+    image_url: 'http://media.test/uploads/front.jpg',
+    media: [
+      { url: 'http://media.test/uploads/front.jpg' },
+      { url: 'http://media.test/uploads/side.jpg' },
+      { url: 'http://media.test/uploads/room.jpg' },
+      { url: 'http://media.test/uploads/swatch.jpg' },
+      { url: 'http://media.test/uploads/own.jpg' }
+    ],
+    variants: [{ sku: 'RC-1', price_new: 9000, media: [{ url: 'http://media.test/uploads/variant.jpg' }] }]
+  });
+  trash.push(product);
+  references.Product = [
+    { image_url: 'http://media.test/uploads/front.jpg', media: [] },
+    { media: [], variants: [{ media: [{ url: 'http://media.test/uploads/side.jpg' }] }] }
+  ];
+  references.Project = [{ media: [{ url: 'http://media.test/uploads/room.jpg' }] }];
+  references.MoodBoard = [{ items: [{ image_url: 'http://media.test/uploads/swatch.jpg' }] }];
+  references.Designer = [{ photo_url: 'http://media.test/uploads/variant.jpg' }];
+
+  assert.equal((await app.request(`/products/${product._id}/purge`, { method: 'DELETE', as: 'editor' })).status, 403);
+  const { status } = await app.request(`/products/${product._id}/purge`, { method: 'DELETE', as: 'admin' });
+  assert.equal(status, 200);
+  assert.deepEqual(removed, ['own.jpg']);
+  assert.deepEqual(deletedProducts, [String(product._id)]);
+});
+
+test('the scheduled purge removes products trashed before the retention period', async () => {
+  const expired = productDoc({ deleted_at: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) });
+  let query;
+  Product.find = async (filter) => {
+    query = filter;
+    return [expired];
+  };
+
+  assert.equal(await purgeExpiredTrash(30), 1);
+  assert.deepEqual(deletedProducts, [String(expired._id)]);
+
+  const cutoff = query.deleted_at.$lte.getTime();
+  assert.equal(query.deleted_at.$ne, null);
+  assert.ok(Math.abs(cutoff - (Date.now() - 30 * 24 * 60 * 60 * 1000)) < 5000);
+});
@@ -0,0 +1,32 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { retryDelay, signPayload } from '../services/webhooks.js';
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'product.updated' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1760000000.${body}`).digest('hex');
+  assert.equal(signPayload('whsec_test', 1760000000, body), expected);
+  assert.notEqual(signPayload('whsec_other', 1760000000, body), expected);
+  assert.notEqual(signPayload('whsec_test', 1760000001, body), expected);
+});
+
+test('retryDelay doubles from 30 seconds', (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(Math, 'random', () => 0.5);
+  assert.deepEqual([1, 2, 3, 4].map(retryDelay), [30000, 60000, 120000, 240000]);
+});
+
+test('retryDelay is capped at six hours', (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(Math, 'random', () => 0.5);
+  assert.equal(retryDelay(20), 6 * 60 * 60 * 1000);
+});
+
+test('retryDelay jitters by at most 20% either way', (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(Math, 'random', () => 0);
+  assert.equal(retryDelay(1), 24000);
+  mock.method(Math, 'random', () => 0.999999);
+  assert.ok(retryDelay(1) <= 36000);
+});
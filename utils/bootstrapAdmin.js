@@ -0,0 +1,30 @@
+import User from '../models/User.js';
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no admin exists yet.
+ * Does nothing once any admin account is present, so the env vars can stay set.
+ */
+export const ensureBootstrapAdmin = async () => {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  const adminCount = await User.countDocuments({ role: 'admin' });
+  if (adminCount > 0) return null;
+
+  if (!email || !password) {
+    console.warn('⚠️  No admin user exists. Set ADMIN_EMAIL and ADMIN_PASSWORD to create one on startup.');
+    return null;
+  }
+
+  const existing = await User.findOne({ email: email.trim().toLowerCase() });
+  const user = existing || new User({ email, name: process.env.ADMIN_NAME || 'Administrator' });
+  user.role = 'admin';
+  user.active = true;
+  await user.setPassword(password);
+  await user.save();
+
+  console.log(`👑 Bootstrap admin ready: ${user.email}`);
+  return user;
+};
+
+export default ensureBootstrapAdmin;
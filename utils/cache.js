@@ -0,0 +1,33 @@
+/**
+ * Small in-memory cache with a per-entry TTL. When full, the oldest entry is
+ * evicted (Map keeps insertion order and reads re-insert, so this is LRU).
+ */
+export const createCache = ({ ttlMs = 10 * 60 * 1000, max = 500 } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expires <= Date.now()) return undefined;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttlMs });
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+    return value;
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() { return entries.size; }
+  };
+};
+
+export default createCache;
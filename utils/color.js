@@ -0,0 +1,83 @@
+// Colour helpers for image palettes and the ?color= product filter
+
+// Named families products can be filtered by; every palette colour maps to one
+export const COLOR_FAMILIES = [
+  'black', 'grey', 'white', 'beige', 'brown', 'red', 'orange', 'yellow',
+  'green', 'teal', 'blue', 'purple', 'pink'
+];
+
+// A palette colour must cover at least this share of the image to tag the product
+const FAMILY_MIN_SHARE = 0.15;
+
+const HEX_PATTERN = /^#?([0-9a-f]{6})$/i;
+
+export const isHexColor = (value) => typeof value === 'string' && HEX_PATTERN.test(value.trim());
+
+export const toHex = ({ r, g, b }) => '#' + [r, g, b]
+  .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+  .join('');
+
+export const fromHex = (hex) => {
+  const [, digits] = hex.trim().match(HEX_PATTERN);
+  const value = parseInt(digits, 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+// Hue in degrees, saturation and lightness in 0..1
+const toHsl = ({ r, g, b }) => {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return { h: 0, s: 0, l: lightness };
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) hue = ((green - blue) / delta) % 6;
+  else if (max === green) hue = (blue - red) / delta + 2;
+  else hue = (red - green) / delta + 4;
+  return { h: (hue * 60 + 360) % 360, s: saturation, l: lightness };
+};
+
+/**
+ * Name the family a hex colour belongs to. Interior finishes are mostly muted,
+ * so warm light tones read as beige and warm dark ones as brown.
+ */
+export const colorFamily = (hex) => {
+  const { h, s, l } = toHsl(fromHex(hex));
+
+  if (l < 0.12) return 'black';
+  if (l > 0.93) return 'white';
+  if (s < 0.12) {
+    if (l > 0.85) return 'white';
+    return l < 0.2 ? 'black' : 'grey';
+  }
+
+  if (h >= 15 && h < 45) {
+    if (l < 0.45) return 'brown';
+    if (l > 0.65 && s < 0.6) return 'beige';
+    return 'orange';
+  }
+  if (h < 15 || h >= 345) {
+    if (l < 0.3 && s < 0.6) return 'brown';
+    return l > 0.75 ? 'pink' : 'red';
+  }
+  if (h < 70) return l > 0.8 || (l > 0.7 && s < 0.5) ? 'beige' : 'yellow';
+  if (h < 165) return 'green';
+  if (h < 195) return 'teal';
+  if (h < 255) return 'blue';
+  if (h < 290) return 'purple';
+  return 'pink';
+};
+
+// Colour families of a product's analysed image media
+export const colorFamiliesFromMedia = (media = []) => {
+  const families = new Set();
+  media
+    .filter(item => item.type === 'image' && Array.isArray(item.palette))
+    .forEach(item => item.palette.forEach((swatch, index) => {
+      if (index === 0 || swatch.share >= FAMILY_MIN_SHARE) families.add(colorFamily(swatch.hex));
+    }));
+  return [...families];
+};
@@ -0,0 +1,7 @@
+// Quote a CSV field when it contains a delimiter, quote or line break
+export const csvEscape = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+export const csvLine = (values) => values.map(value => csvEscape(value === null || value === undefined ? '' : String(value))).join(',') + '\r\n';
+
+// Stop spreadsheet apps from evaluating user-supplied text as a formula
+export const neutralizeFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
@@ -0,0 +1,43 @@
+// Identify a media file from its first bytes rather than trusting its name or Content-Type
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// Bytes needed by sniffFileType
+export const SNIFF_BYTES = 64;
+
+/**
+ * Resolve to { format, resourceType } for the image and video formats the
+ * catalog accepts, or null when the header is not one of them.
+ */
+export const sniffFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return { format: 'jpg', resourceType: 'image' };
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return { format: 'png', resourceType: 'image' };
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return { format: 'gif', resourceType: 'image' };
+
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    if (ascii(buffer, 8, 12) === 'WEBP') return { format: 'webp', resourceType: 'image' };
+    if (ascii(buffer, 8, 12) === 'AVI ') return { format: 'avi', resourceType: 'video' };
+  }
+
+  // ISO base media: size, "ftyp", major brand
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (brand === 'qt  ') return { format: 'mov', resourceType: 'video' };
+    if (brand.startsWith('avif') || brand === 'heic') return null;
+    return { format: 'mp4', resourceType: 'video' };
+  }
+
+  // Matroska/WebM share the EBML header; the DocType says which
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return ascii(buffer, 0, SNIFF_BYTES).includes('webm')
+      ? { format: 'webm', resourceType: 'video' }
+      : { format: 'mkv', resourceType: 'video' };
+  }
+
+  return null;
+};
+
+export default sniffFileType;
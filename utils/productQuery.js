@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import { normalizeAttributeKey, isValidAttributeKey, PRODUCT_STATUSES } from '../models/Product.js';
+import { COLOR_FAMILIES, colorFamily, isHexColor } from './color.js';
+
+// Fields the listing endpoint can sort by, and how their cursor values are typed
+const SORT_FIELDS = {
+  created_at: 'date',
+  updated_at: 'date',
+  price_new: 'number',
+  product_name: 'string',
+  rating: 'number'
+};
+
+// Sort names that differ from the document path they sort on
+const SORT_PATHS = {
+  rating: 'rating.average'
+};
+
+const sortPath = (sortField) => SORT_PATHS[sortField] || sortField;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Encode the position of the last returned document as an opaque cursor
+export const encodeCursor = (doc, sortField) => {
+  const value = sortPath(sortField).split('.').reduce((node, key) => (node ? node[key] : undefined), doc);
+  const payload = { v: value, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor back into a typed sort value and an ObjectId tie-breaker
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id) || v === undefined) return null;
+
+    let value = v;
+    if (SORT_FIELDS[sortField] === 'date') {
+      value = new Date(v);
+      if (Number.isNaN(value.getTime())) return null;
+    } else if (SORT_FIELDS[sortField] === 'number' && typeof v !== 'number') {
+      return null;
+    } else if (SORT_FIELDS[sortField] === 'string' && typeof v !== 'string') {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const parsePrice = (raw, name, errors) => {
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (typeof raw !== 'string' || raw.trim() === '' || !Number.isFinite(value) || value < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return undefined;
+  }
+  return value;
+};
+
+const parseString = (raw, name, errors) => {
+  if (raw === undefined) return undefined;
+  if (typeof raw !== 'string' || raw.trim() === '') {
+    errors.push(`${name} must be a non-empty string`);
+    return undefined;
+  }
+  return raw.trim();
+};
+
+/**
+ * ?status=draft,in_review or ?status=all; published when omitted. Only staff get to
+ * widen it, so routes override the result for everyone else.
+ */
+export const parseStatusFilter = (raw, errors) => {
+  if (raw === undefined) return 'published';
+  const statuses = typeof raw === 'string'
+    ? raw.split(',').map(value => value.trim().toLowerCase()).filter(Boolean)
+    : [];
+  if (statuses.includes('all')) return undefined;
+  if (statuses.length === 0 || statuses.some(status => !PRODUCT_STATUSES.includes(status))) {
+    errors.push(`status must be "all" or one of: ${PRODUCT_STATUSES.join(', ')}`);
+    return undefined;
+  }
+  return statuses.length > 1 ? { $in: statuses } : statuses[0];
+};
+
+/**
+ * Parse the query string of GET /products into a Mongo filter, sort and page.
+ * Returns { errors } when any parameter is invalid.
+ */
+export const parseProductListQuery = (query = {}) => {
+  const errors = [];
+  const filter = {};
+
+  const status = parseStatusFilter(query.status, errors);
+  if (status) filter.status = status;
+
+  const category = parseString(query.category, 'category', errors);
+  const brand = parseString(query.brand, 'brand', errors);
+  if (category) filter.category = category;
+  if (brand) filter.brand = brand;
+
+  const minPrice = parsePrice(query.minPrice, 'minPrice', errors);
+  const maxPrice = parsePrice(query.maxPrice, 'maxPrice', errors);
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push('minPrice cannot be greater than maxPrice');
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price_new = {};
+    if (minPrice !== undefined) filter.price_new.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price_new.$lte = maxPrice;
+  }
+
+  // ?minRating=4 keeps products whose average rating is at least 4 stars
+  if (query.minRating !== undefined) {
+    const minRating = Number(query.minRating);
+    if (typeof query.minRating !== 'string' || !Number.isFinite(minRating) || minRating < 0 || minRating > 5) {
+      errors.push('minRating must be a number between 0 and 5');
+    } else {
+      filter['rating.average'] = { $gte: minRating };
+    }
+  }
+
+  // ?color=blue,beige (families) or ?color=2f4f8f (hex, matched to its family) against image palettes
+  const color = parseString(query.color, 'color', errors);
+  if (color) {
+    const families = color.split(',').map(value => value.trim().toLowerCase()).filter(Boolean).map(value => {
+      if (isHexColor(value)) return colorFamily(value);
+      if (COLOR_FAMILIES.includes(value)) return value;
+      errors.push(`color must be a hex colour or one of: ${COLOR_FAMILIES.join(', ')}`);
+      return null;
+    }).filter(Boolean);
+    if (families.length > 0) filter.colors = { $in: [...new Set(families)] };
+  }
+
+  // Variant filters: ?sku=ABC-1 and ?attr.color=Walnut,Oak&attr.material=Teak
+  // All attribute conditions must hold for the same variant
+  const variantMatch = {};
+  const sku = parseString(query.sku, 'sku', errors);
+  if (sku) variantMatch.sku = sku.toUpperCase();
+
+  Object.keys(query)
+    .filter(param => param.startsWith('attr.'))
+    .forEach(param => {
+      const key = normalizeAttributeKey(param.slice('attr.'.length));
+      const raw = parseString(query[param], param, errors);
+      if (!isValidAttributeKey(key)) {
+        errors.push(`${param} is not a valid attribute filter`);
+        return;
+      }
+      if (raw === undefined) return;
+      const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+      variantMatch[`attributes.${key}`] = values.length > 1 ? { $in: values } : values[0];
+    });
+
+  if (Object.keys(variantMatch).length > 0) {
+    filter.variants = { $elemMatch: variantMatch };
+  }
+
+  const sortField = query.sort === undefined ? 'created_at' : query.sort;
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sortField)) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const order = query.order === undefined ? (['created_at', 'rating'].includes(sortField) ? 'desc' : 'asc') : query.order;
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push('order must be "asc" or "desc"');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  let cursorFilter = null;
+  if (query.cursor !== undefined && errors.length === 0) {
+    const decoded = typeof query.cursor === 'string' ? decodeCursor(query.cursor, sortField) : null;
+    if (!decoded) {
+      errors.push('cursor is invalid');
+    } else {
+      // Keyset pagination: continue strictly after (value, _id) in sort order
+      const op = order === 'desc' ? '$lt' : '$gt';
+      const path = sortPath(sortField);
+      cursorFilter = {
+        $or: [
+          { [path]: { [op]: decoded.value } },
+          { [path]: decoded.value, _id: { [op]: decoded.id } }
+        ]
+      };
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const direction = order === 'desc' ? -1 : 1;
+  return {
+    filter,
+    cursorFilter,
+    sort: { [sortPath(sortField)]: direction, _id: direction },
+    sortField,
+    limit
+  };
+};
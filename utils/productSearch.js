@@ -0,0 +1,61 @@
+// Fields returned with highlighted snippets, in display order
+const HIGHLIGHT_FIELDS = ['product_name', 'brand', 'category', 'description'];
+const SNIPPET_RADIUS = 60;
+
+// Escape user input so it can be embedded safely in a RegExp
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search query into lowercase terms, dropping quotes and negations
+export const tokenizeQuery = (q) => q
+  .toLowerCase()
+  .replace(/["]/g, ' ')
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+  .filter(Boolean);
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Wrap every occurrence of the search terms in <mark> tags, trimming long text around the first hit
+const highlight = (text, termPattern) => {
+  const match = termPattern.exec(text);
+  termPattern.lastIndex = 0;
+  if (!match) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_RADIUS * 2) {
+    start = Math.max(0, match.index - SNIPPET_RADIUS);
+    end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+  }
+
+  const excerpt = escapeHtml(text.slice(start, end))
+    .replace(termPattern, (hit) => `<mark>${hit}</mark>`);
+
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build { field: snippet } for every searchable field that contains a query term.
+ * Matches are on word prefixes, so "sofas" still highlights for the stemmed term "sofa".
+ */
+export const buildHighlights = (product, terms) => {
+  if (terms.length === 0) return {};
+
+  const alternatives = terms
+    .map(escapeRegex)
+    .join('|');
+  const termPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})[\\p{L}\\p{N}]*`, 'giu');
+
+  return HIGHLIGHT_FIELDS.reduce((highlights, field) => {
+    const value = product[field];
+    if (typeof value === 'string' && value) {
+      const snippet = highlight(value, termPattern);
+      if (snippet) highlights[field] = snippet;
+    }
+    return highlights;
+  }, {});
+};
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { HttpError } from './HttpError.js';
+
+// Staff see products in every status; everyone else only published ones
+export const canSeeUnpublished = (req) => Boolean(req.user && ['admin', 'editor', 'viewer'].includes(req.user.role));
+
+/**
+ * Load the product named in req.params.id, or send the 400/404 response and return null.
+ * Public routes pass { visibleOnly: true } so unpublished products are a 404 to customers.
+ */
+export const findProductOr404 = async (req, res, { visibleOnly = false } = {}) => {
+  const productId = req.params.id;
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid product ID format"
+    });
+    return null;
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || (visibleOnly && product.status !== 'published' && !canSeeUnpublished(req))) {
+    res.status(404).json({
+      success: false,
+      error: "Product not found"
+    });
+    return null;
+  }
+
+  // Attributed in the product's change history when it is saved
+  product.$locals.actor = req.user ? req.user.id : null;
+  return product;
+};
+
+// Ids of the listed products that exist (unknown ones are dropped); 400 on a malformed id
+export const existingProductIds = async (ids) => {
+  if (ids === undefined || ids === null) return [];
+  const list = Array.isArray(ids) ? ids : [ids];
+  const invalid = list.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) throw new HttpError(400, `Invalid product ID format: ${invalid}`);
+
+  const products = await Product.find({ _id: { $in: list } }).select('_id').lean();
+  return products.map(product => product._id);
+};
+
+// Strong ETag for a product; it changes on every save (the schema uses optimistic concurrency)
+export const productEtag = (product) => `"${product._id}-${product.__v || 0}"`;
+
+/**
+ * Refuse a write based on a stale copy of the product: an If-Match header that no longer
+ * matches is a 412, a `__v` in the body that is behind the stored one is a 409.
+ */
+export const checkProductPreconditions = (req, product) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    // Compressing proxies weaken ETags, so the W/ prefix is ignored
+    const etags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (!etags.includes('*') && !etags.includes(productEtag(product))) {
+      throw new HttpError(412, "Product has changed since it was fetched (If-Match failed); reload it and try again");
+    }
+  }
+
+  const version = req.body && req.body.__v;
+  if (version !== undefined && version !== null && Number(version) !== (product.__v || 0)) {
+    throw new HttpError(409, `Product is at version ${product.__v || 0}, not ${version}; reload it and try again`);
+  }
+};
+
+// Send a Mongoose ValidationError as the standard 400 response
+export const sendValidationError = (res, err) => {
+  const errors = Object.values(err.errors).map(error => error.message);
+  return res.status(400).json({
+    success: false,
+    error: "Validation failed: " + errors.join(', ')
+  });
+};
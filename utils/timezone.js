@@ -0,0 +1,64 @@
+// Timezone arithmetic on top of Intl, so no tz database package is needed.
+// Calendar dates are 'YYYY-MM-DD' strings; times of day are minutes after midnight.
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const zonedParts = (date, timeZone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value])
+);
+
+// Milliseconds `timeZone` is ahead of UTC at the instant `date`
+export const timeZoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant at which the wall clock in `timeZone` reads `date` + `minutes`
+export const zonedDateTime = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = timeZoneOffset(new Date(wallClock), timeZone);
+  // Re-check once in case the guess crossed a DST change
+  const corrected = timeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - corrected);
+};
+
+// 'YYYY-MM-DDTHH:MM' as shown on a wall clock in `timeZone`
+export const formatInTimeZone = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+export const calendarDateIn = (date, timeZone) => formatInTimeZone(date, timeZone).slice(0, 10);
+
+export const isCalendarDate = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// 0 = Sunday ... 6 = Saturday
+export const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+export const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);